@@ -366,16 +366,16 @@ class NewsService {
       // Parse the response
       final data = result.data as Map<String, dynamic>;
 
-      if (data['status'] == 'success') {
-        final results = data['results'] as List<dynamic>;
-        return results
-            .map((item) => NewsArticle.fromJson(item as Map<String, dynamic>))
-            .toList();
-      } else {
-        throw Exception(data['error'] ?? 'Unknown error occurred');
-      }
+      // Errors are thrown as FirebaseFunctionsException
+      final results = data['results'] as List<dynamic>;
+      return results
+          .map((item) => NewsArticle.fromJson(item as Map<String, dynamic>))
+          .toList();
     } on FirebaseFunctionsException catch (e) {
-      throw Exception('Firebase error: ${e.message}');
+      // e.details['code'] is the API error code, e.g. 'quota-exceeded'
+      final details = e.details;
+      final code = details is Map ? details['code'] : e.code;
+      throw Exception('Firebase error ($code): ${e.message}');
     } catch (e) {
       throw Exception('Failed to fetch news: $e');
     }
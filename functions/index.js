@@ -7,67 +7,377 @@
 
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
-const { buildAllQueries } = require("./utils/queryBuilder");
-const { fetchNewsForQueries } = require("./utils/newsFetcher");
-const { summarizeArticles } = require("./utils/summarizer");
+const { createCacheBackend, createCache } = require("./utils/cache");
+const { identifyCallableCaller, identifyHttpCaller } = require("./utils/auth");
+const { createRateLimiterFromConfig } = require("./utils/rateLimiter");
+const {
+  pickProfileFields,
+  mergeProfile,
+  getProfile,
+  saveProfile,
+  deleteProfile,
+} = require("./utils/profileStore");
+const {
+  DIGEST_TIMEOUT_SECONDS,
+  generateDigests,
+  getFreshDigest,
+} = require("./utils/digestStore");
+const { SUPPORTED_PROVIDERS, DEFAULT_PROVIDER } = require("./utils/newsFetcher");
+const { toSummarizedResult } = require("./utils/summarizer");
+const { wantsEventStream, openEventStream } = require("./utils/sse");
+const { resolveFeedFormat, sendFeed } = require("./utils/feedWriter");
+const { getOne, parseQueryRequest } = require("./utils/queryParams");
+const {
+  createApiError,
+  isApiError,
+  toHttpsError,
+  toHttpError,
+} = require("./utils/errors");
+const { assertValidProfile } = require("./utils/requestValidator");
+const { createNewsService } = require("./utils/newsService");
+const { createDeadline } = require("./utils/outbound");
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
 
+// Response caches, shared by all requests served by this instance
+const cacheBackend = createCacheBackend(
+    process.env.CACHE_BACKEND || "memory",
+    () => admin.firestore(),
+);
+const newsCache = createCache(
+    "news",
+    cacheBackend,
+    parseInt(process.env.NEWS_CACHE_TTL_SECONDS, 10) || 900,
+);
+const summaryCache = createCache(
+    "summary",
+    cacheBackend,
+    parseInt(process.env.SUMMARY_CACHE_TTL_SECONDS, 10) || 86400,
+);
+
+// Per-caller rate limiter, shared by both endpoints
+const rateLimiter = createRateLimiterFromConfig(
+    process.env.RATE_LIMIT_BACKEND || "memory",
+    () => admin.firestore(),
+);
+
+// The news pipeline shared by getNews, getNewsHttp and the digest job
+const newsService = createNewsService({
+  getApiKeys,
+  getProvider: getNewsProvider,
+  newsCache,
+  summaryCache,
+  loadDigest: loadFreshDigest,
+});
+
 /**
  * Get API keys from environment variables or Firebase config
+ *
+ * NEWS_API_KEY is kept as an alias for the GNews key.
  */
 function getApiKeys() {
   // Try environment variables first, then Firebase config
-  const newsApiKey = process.env.NEWS_API_KEY || functions.config().news?.key;
-  const openaiApiKey = process.env.OPENAI_API_KEY || functions.config().openai?.key;
+  const config = functions.config();
+  const gnewsApiKey = process.env.GNEWS_API_KEY || process.env.NEWS_API_KEY ||
+    config.gnews?.key || config.news?.key;
+  const newsapiApiKey = process.env.NEWSAPI_API_KEY || config.newsapi?.key;
+  const openaiApiKey = process.env.OPENAI_API_KEY || config.openai?.key;
 
   return {
-    newsApiKey,
+    newsApiKeys: {
+      gnews: gnewsApiKey,
+      newsapi: newsapiApiKey,
+    },
     openaiApiKey,
   };
 }
 
 /**
- * Validate the incoming request data
+ * Resolve the primary news provider: request field first, then config
  * @param {Object} data - Request data
- * @returns {Object} Validation result with isValid boolean and error message
+ * @returns {string} Provider name
  */
-function validateRequest(data) {
-  if (!data) {
-    return {
-      isValid: false,
-      error: "Request data is required",
-    };
+function getNewsProvider(data) {
+  return data.provider ||
+    process.env.NEWS_PROVIDER ||
+    functions.config().news?.provider ||
+    DEFAULT_PROVIDER;
+}
+
+/**
+ * Check whether at least one news provider has an API key
+ * @param {Object} newsApiKeys - Map of provider name to key
+ * @returns {boolean} True if a provider is configured
+ */
+function hasNewsProvider(newsApiKeys) {
+  return SUPPORTED_PROVIDERS.some((provider) => Boolean(newsApiKeys[provider]));
+}
+
+/**
+ * Fill in a request from the caller's saved profile
+ *
+ * The profile is only loaded for signed-in callers that don't pass a
+ * location; any fields in the request are merged over it.
+ * @param {Object} data - Request data
+ * @param {Object} identity - Caller identity from utils/auth.js
+ * @returns {Promise<Object>} Request data to use
+ */
+async function resolveRequestData(data, identity) {
+  if ((data && data.location) || identity.type !== "user") {
+    return data;
   }
 
-  if (!data.location) {
-    return {
-      isValid: false,
-      error: "Location is required. Please provide city, state, and country.",
-    };
+  const profile = await getProfile(admin.firestore(), identity.id);
+  return profile ? mergeProfile(profile, data) : data;
+}
+
+/**
+ * Build the request data for getNewsHttp
+ *
+ * POST requests send it as JSON. GET requests pass it as query parameters
+ * (see utils/queryParams.js), with `profile=<id>` to start from a saved
+ * profile whose owner turned on `feedEnabled`; query parameters override
+ * the saved profile's fields.
+ * @param {Object} req - HTTP request
+ * @param {Object} identity - Caller identity from utils/auth.js
+ * @returns {Promise<Object>} Request data to use
+ * @throws {Error} "not-found" API error for an unknown or unshared profile
+ */
+async function resolveHttpRequestData(req, identity) {
+  if (req.method !== "GET") {
+    return resolveRequestData(req.body, identity);
   }
 
-  const { location } = data;
+  const data = parseQueryRequest(req.query);
+  const profileId = getOne(req.query, "profile");
+  if (profileId === undefined) {
+    return resolveRequestData(data, identity);
+  }
+
+  // Profile IDs are auth UIDs; anything else can't name a document
+  const profile = /^[A-Za-z0-9_-]{1,128}$/.test(profileId) ?
+    await getProfile(admin.firestore(), profileId) :
+    null;
+  if (!profile || profile.feedEnabled !== true) {
+    throw createApiError("not-found", "No shared news profile was found with this ID.");
+  }
+  return mergeProfile(profile, data);
+}
+
+/**
+ * Describe the feed for a request
+ * @param {Object} req - HTTP request
+ * @param {Object} data - Request data
+ * @returns {Object} { title, description, selfUrl } for utils/feedWriter.js
+ */
+function describeFeed(req, data) {
+  const location = data.location || {};
+  const place = [location.city, location.state, location.country].filter(Boolean).join(", ");
+  const host = req.headers.host || "localhost";
+
+  return {
+    title: place ? `News for ${place}` : "Personalized news",
+    description: "Local, national, business and community news, summarized",
+    selfUrl: `${req.protocol || "https"}://${host}${req.originalUrl || req.url || "/"}`,
+  };
+}
+
+/**
+ * Load the pre-generated digest for a request when it is fresh enough
+ *
+ * Only first-page requests with the default page size and no explicit
+ * from/to dates are served from a digest. Errors are logged and treated as "no digest" so the caller falls
+ * back to a live fetch.
+ * @param {Object} data - Validated request data
+ * @returns {Promise<Object|null>} Response fields from the digest, or null
+ */
+async function loadFreshDigest(data) {
+  const isFirstPage = !data.cursor && (data.page === undefined || data.page === 1);
+  if (
+    !isFirstPage ||
+    data.pageSize !== undefined ||
+    data.from !== undefined ||
+    data.to !== undefined
+  ) {
+    return null;
+  }
+
+  try {
+    const digest = await getFreshDigest(
+        admin.firestore(),
+        data,
+        parseInt(process.env.DIGEST_MAX_AGE_MINUTES, 10) || 90,
+    );
+    if (!digest) {
+      return null;
+    }
 
-  if (!location.city && !location.state && !location.country) {
     return {
-      isValid: false,
-      error: "At least one of city, state, or country is required in location.",
+      results: digest.results,
+      sections: digest.sections,
+      queriesUsed: digest.queriesUsed,
+      totalArticles: digest.totalArticles,
+      queryPlan: digest.queryPlan,
+      dateRange: digest.dateRange,
+      ...(digest.briefing !== undefined ? { briefing: digest.briefing } : {}),
+      page: digest.page,
+      pageSize: digest.pageSize,
+      nextCursor: digest.nextCursor,
+      failedQueries: digest.failedQueries || [],
+      warnings: digest.warnings || [],
+      servedFrom: "digest",
+      generatedAt: digest.generatedAt,
     };
+  } catch (error) {
+    console.error("Error reading pre-generated digest:", error.message);
+    return null;
   }
+}
 
-  return { isValid: true };
+/**
+ * Get the UID of a signed-in callable caller
+ * @param {Object} context - Callable context
+ * @returns {string} Auth UID
+ * @throws {Error} "unauthenticated" API error if the caller is not signed in
+ */
+function requireUid(context) {
+  if (!context?.auth?.uid) {
+    throw createApiError(
+        "unauthenticated",
+        "You must be signed in to manage your news profile.",
+    );
+  }
+  return context.auth.uid;
+}
+
+/**
+ * Take a rate limit token for a caller
+ * @param {Object} identity - Caller identity from utils/auth.js
+ * @returns {Promise<Object>} { allowed, remaining, retryAfterSeconds }
+ */
+async function checkRateLimit(identity) {
+  if (!rateLimiter) {
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+  return rateLimiter.consume(identity.key);
+}
+
+/**
+ * Enforce authentication and the rate limit for an identified caller
+ * @param {Object} caller - Result of identifyCallableCaller / identifyHttpCaller
+ * @returns {Promise<void>}
+ * @throws {Error} "unauthenticated" or "rate-limited" API error
+ */
+async function authorizeCaller(caller) {
+  if (!caller.identity) {
+    throw createApiError("unauthenticated", caller.error);
+  }
+
+  const rateLimit = await checkRateLimit(caller.identity);
+  if (!rateLimit.allowed) {
+    throw createApiError(
+        "rate-limited",
+        `Too many requests. Please try again in ${rateLimit.retryAfterSeconds} seconds.`,
+        { retryAfterSeconds: rateLimit.retryAfterSeconds },
+    );
+  }
+}
+
+/**
+ * Convert an error in a callable into the HttpsError to throw, logging
+ * unexpected errors
+ * @param {*} error - Caught error
+ * @param {string} functionName - Callable name for the log
+ * @param {string} message - Client message for unexpected errors
+ * @returns {functions.https.HttpsError} Error to throw
+ */
+function toCallableError(error, functionName, message) {
+  if (isApiError(error)) {
+    return toHttpsError(error);
+  }
+  console.error(`Unexpected error in ${functionName}:`, error);
+  return toHttpsError(createApiError("internal", message));
+}
+
+/**
+ * Send an error as an HTTP response, logging unexpected errors
+ * @param {Object} res - HTTP response
+ * @param {*} error - Caught error
+ * @param {string} functionName - Function name for the log
+ */
+function sendHttpError(res, error, functionName) {
+  if (!isApiError(error)) {
+    console.error(`Unexpected error in ${functionName}:`, error);
+  }
+
+  const { httpStatus, body } = toHttpError(error);
+  res.set("Cache-Control", "no-store");
+  if (body.retryAfterSeconds) {
+    res.set("Retry-After", String(body.retryAfterSeconds));
+  }
+  res.status(httpStatus).json(body);
+}
+
+/**
+ * Let CDNs and browsers cache a successful GET response
+ *
+ * Responses for anonymous callers only depend on the URL, so they are
+ * public; responses for callers with an ID token or API key may include
+ * their saved profile, so only the caller may cache them.
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} identity - Caller identity from utils/auth.js
+ */
+function setCacheHeaders(req, res, identity) {
+  if (req.method !== "GET") {
+    return;
+  }
+
+  const maxAge = parseInt(process.env.HTTP_CACHE_MAX_AGE_SECONDS, 10) || 300;
+  res.set(
+      "Cache-Control",
+      `${identity.type === "ip" ? "public" : "private"}, max-age=${maxAge}`,
+  );
+}
+
+/**
+ * Get the CORS origin to allow for a request
+ * @param {Object} req - Express request
+ * @returns {string} Allowed origin, "*" when no allow-list is configured
+ */
+function getAllowedOrigin(req) {
+  const allowedOrigins = (process.env.HTTP_ALLOWED_ORIGINS || "*")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean);
+
+  if (allowedOrigins.includes("*")) {
+    return "*";
+  }
+  return allowedOrigins.includes(req.headers.origin) ? req.headers.origin : allowedOrigins[0];
 }
 
 /**
  * Main callable function to get personalized news
  *
+ * Signed-in users who saved a profile (see saveNewsProfile) can omit
+ * `location`; the saved profile is loaded and request fields override it.
+ *
  * Expected input:
  * {
  *   "location": { "city": "Ramgarh", "state": "Jharkhand", "country": "India" },
  *   "businessInterests": ["Bakery", "Gift Studio"],
- *   "community": "Dalit empowerment"
+ *   "community": "Dalit empowerment",
+ *   "provider": "gnews", // optional, "gnews" or "newsapi"
+ *   "page": 1, // optional, or pass "cursor" from a previous response
+ *   "pageSize": 3, // optional, results per query per page
+ *   "languages": ["hi", "en"], // optional, ISO 639-1 codes (default: ["en"])
+ *   "country": "in", // optional, ISO 3166-1 code (GNews only)
+ *   "summaryLanguage": "article", // optional, "article" or an ISO 639-1 code
+ *   "maxAgeHours": 24, // optional, or "from"/"to" as ISO 8601 dates
+ *   "enrich": false, // optional, add structured AI enrichment to each result
+ *   "digest": false // optional, add a briefing across all results
  * }
  *
  * Returns:
@@ -78,101 +388,147 @@ function validateRequest(data) {
  *       "title": "",
  *       "url": "",
  *       "summary": "",
+ *       "summaryMethod": "llm", // "llm", "extractive" or "description"
  *       "image": "",
- *       "publishedAt": ""
+ *       "publishedAt": "",
+ *       "provider": "gnews",
+ *       "category": "local",
+ *       "otherCategories": [],
+ *       "language": "en",
+ *       "score": 0.82,
+ *       "relatedSources": [{ "source": "", "url": "", "title": "", "publishedAt": "" }],
+ *       "enrichment": { "topic": "", "sentiment": "", "entities": {}, "relevance": 0.9 }
  *     }
- *   ]
+ *   ],
+ *   "sections": {
+ *     "local": { "count": 1, "results": [] },
+ *     "national": { "count": 0, "results": [] },
+ *     "business": { "count": 0, "results": [] },
+ *     "community": { "count": 0, "results": [] }
+ *   },
+ *   "dateRange": { "from": "2024-01-12T08:00:00Z", "to": null },
+ *   "briefing": { // only with "digest": true, null if it couldn't be written
+ *     "sections": [{ "category": "local", "text": "", "sources": [{ "index": 0, "url": "", "title": "" }] }]
+ *   },
+ *   "cache": {
+ *     "news": { "hits": 0, "misses": 0 },
+ *     "summaries": { "hits": 0, "misses": 0 }
+ *   },
+ *   "page": 1,
+ *   "pageSize": 3,
+ *   "nextCursor": "eyJwIjoyLC...",
+ *   "failedQueries": [{ "query": "", "language": "en", "status": 429, "code": null, "error": "" }],
+ *   "warnings": [{ "code": "quota-exceeded", "message": "", "queries": [""] }]
  * }
+ *
+ * Failures are thrown as HttpsError, with the API error code (see
+ * utils/errors.js) in `details.code`.
  */
-exports.getNews = functions.https.onCall(async (data) => {
+exports.getNews = functions.https.onCall(async (rawData, context) => {
   try {
-    // Validate request
-    const validation = validateRequest(data);
-    if (!validation.isValid) {
-      return {
-        status: "error",
-        error: validation.error,
-        results: [],
-      };
-    }
-
-    // Get API keys
-    const { newsApiKey, openaiApiKey } = getApiKeys();
+    // Identify the caller, then enforce authentication and rate limits
+    const caller = identifyCallableCaller(context);
+    await authorizeCaller(caller);
 
-    if (!newsApiKey) {
-      console.error("NEWS_API_KEY is not configured");
-      return {
-        status: "error",
-        error: "News API is not configured. Please contact administrator.",
-        results: [],
-      };
-    }
+    // Use the caller's saved profile when no location is passed
+    const data = await resolveRequestData(rawData, caller.identity);
+    return await newsService.run(data);
+  } catch (error) {
+    throw toCallableError(error, "getNews");
+  }
+});
 
-    // Build search queries based on user input
-    const queries = buildAllQueries(data);
+/**
+ * Stream news for getNewsHttp as Server-Sent Events
+ *
+ * Each article is sent as an `article` event as soon as the query that found
+ * it returns, with its description as the summary. Once every query is done,
+ * a `ranked` event lists the results in order, after filtering, clustering
+ * and ranking; articles missing from it were merged into another story or
+ * dropped. A `summary` event follows for each result when its summary is
+ * ready, then a `done` event with the rest of the response. Events are keyed
+ * by article URL. Errors before the first event are sent as a regular HTTP
+ * error; later ones as an `error` event with the same body.
+ * @param {Object} res - HTTP response
+ * @param {Object} data - Request data
+ * @returns {Promise<void>}
+ */
+async function streamNews(res, data) {
+  let stream = null;
+  const openStream = () => {
+    stream = stream || openEventStream(res);
+    return stream;
+  };
+  const toDescriptionResult = (article) => toSummarizedResult(
+      article,
+      article.description || "",
+      { summaryMethod: "description" },
+  );
 
-    if (queries.length === 0) {
-      return {
-        status: "success",
-        results: [],
-        message: "No search queries could be generated from the provided data.",
-      };
-    }
+  try {
+    const response = await newsService.run(data, {
+      hooks: {
+        before: { fetch: openStream },
+        after: {
+          rank: (ctx) => stream.send("ranked", {
+            results: ctx.articles.map(toDescriptionResult),
+          }),
+        },
+      },
+      onArticles: (articles) => articles.forEach((article) => {
+        stream.send("article", toDescriptionResult(article));
+      }),
+      onResult: (result) => {
+        stream.send("summary", {
+          url: result.url,
+          summary: result.summary,
+          summaryMethod: result.summaryMethod,
+          ...(result.enrichment !== undefined ? { enrichment: result.enrichment } : {}),
+        });
+      },
+    });
 
-    // Fetch news articles
-    let articles;
-    try {
-      articles = await fetchNewsForQueries(queries, newsApiKey);
-    } catch (fetchError) {
-      console.error("Error fetching news:", fetchError.message);
-      return {
-        status: "error",
-        error: "Failed to fetch news articles. Please try again later.",
-        results: [],
-      };
-    }
+    const { results, ...metadata } = response;
+    delete metadata.sections;
 
-    // If no articles found, return empty results
-    if (!articles || articles.length === 0) {
-      return {
-        status: "success",
-        results: [],
-        message: "No news articles found for your criteria.",
-      };
+    // A digest already has summaries, so it is sent as one ranked list
+    if (response.servedFrom === "digest") {
+      openStream().send("ranked", { results });
     }
-
-    // Summarize articles (with fallback to description if summarization fails)
-    const enableSummarization = Boolean(openaiApiKey);
-    const summarizedArticles = await summarizeArticles(
-        articles,
-        openaiApiKey,
-        enableSummarization,
-    );
-
-    return {
-      status: "success",
-      results: summarizedArticles,
-      queriesUsed: queries.length,
-      totalArticles: summarizedArticles.length,
-    };
+    openStream().send("done", metadata);
   } catch (error) {
-    console.error("Unexpected error in getNews:", error);
-    return {
-      status: "error",
-      error: "An unexpected error occurred. Please try again later.",
-      results: [],
-    };
+    if (!stream) {
+      throw error;
+    }
+    if (!isApiError(error)) {
+      console.error("Unexpected error streaming news:", error);
+    }
+    stream.send("error", toHttpError(error).body);
+  } finally {
+    stream?.close();
   }
-});
+}
 
 /**
  * HTTP endpoint version for testing with curl/Postman
+ *
+ * POST the getNews request as JSON, or GET with query parameters (see
+ * resolveHttpRequestData); successful GET responses can be cached (see
+ * setCacheHeaders). Pass `"stream": true` or
+ * `Accept: text/event-stream` to receive results progressively as
+ * Server-Sent Events (see streamNews). Pass `format=rss`, `atom` or
+ * `jsonfeed` (or the matching Accept header) for a feed, which supports
+ * conditional GET with If-None-Match and If-Modified-Since. Errors use the
+ * HTTP status of their code (see utils/errors.js).
  */
 exports.getNewsHttp = functions.https.onRequest(async (req, res) => {
   // Enable CORS
-  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Origin", getAllowedOrigin(req));
   res.set("Access-Control-Allow-Methods", "GET, POST");
-  res.set("Access-Control-Allow-Headers", "Content-Type");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization, X-API-Key");
+  res.set("Access-Control-Expose-Headers", "ETag, Last-Modified");
+  // The Accept header can pick a feed format
+  res.set("Vary", "Origin, Accept");
 
   if (req.method === "OPTIONS") {
     res.status(204).send("");
@@ -180,75 +536,185 @@ exports.getNewsHttp = functions.https.onRequest(async (req, res) => {
   }
 
   try {
-    const data = req.body;
-
-    // Validate request
-    const validation = validateRequest(data);
-    if (!validation.isValid) {
-      res.status(400).json({
-        status: "error",
-        error: validation.error,
-        results: [],
-      });
-      return;
-    }
+    // Identify the caller, then enforce authentication and rate limits
+    const caller = await identifyHttpCaller(req, (token) => admin.auth().verifyIdToken(token));
+    await authorizeCaller(caller);
 
-    // Get API keys
-    const { newsApiKey, openaiApiKey } = getApiKeys();
+    // An unknown feed format fails before any work is done
+    const format = resolveFeedFormat(req);
 
-    if (!newsApiKey) {
-      res.status(500).json({
-        status: "error",
-        error: "News API is not configured.",
-        results: [],
-      });
+    // Use the caller's saved profile when no location is passed
+    const data = await resolveHttpRequestData(req, caller.identity);
+
+    if (format) {
+      const response = await newsService.run(data);
+      setCacheHeaders(req, res, caller.identity);
+      sendFeed(req, res, response, format, describeFeed(req, data));
       return;
     }
 
-    // Build search queries
-    const queries = buildAllQueries(data);
-
-    if (queries.length === 0) {
-      res.json({
-        status: "success",
-        results: [],
-        message: "No search queries could be generated.",
-      });
+    if (data?.stream === true || wantsEventStream(req)) {
+      await streamNews(res, data);
       return;
     }
 
-    // Fetch news
-    const articles = await fetchNewsForQueries(queries, newsApiKey);
+    const response = await newsService.run(data);
+    setCacheHeaders(req, res, caller.identity);
+    res.json(response);
+  } catch (error) {
+    sendHttpError(res, error, "getNewsHttp");
+  }
+});
 
-    if (!articles || articles.length === 0) {
-      res.json({
-        status: "success",
-        results: [],
-        message: "No news articles found.",
-      });
-      return;
-    }
+/**
+ * Save the signed-in user's news profile, replacing any existing one
+ *
+ * Accepts the same profile fields as getNews: location, businessInterests,
+ * community, provider, languages, country, summaryLanguage, maxAgeHours,
+ * enrich and digest. Set `feedEnabled: true` to let feed readers fetch the
+ * profile's news from getNewsHttp with `profile=<uid>`.
+ */
+exports.saveNewsProfile = functions.https.onCall(async (data, context) => {
+  try {
+    const uid = requireUid(context);
+
+    assertValidProfile(data);
+    const profile = pickProfileFields(data);
+
+    return {
+      status: "success",
+      profile: await saveProfile(admin.firestore(), uid, profile),
+    };
+  } catch (error) {
+    throw toCallableError(
+        error,
+        "saveNewsProfile",
+        "Failed to save your news profile. Please try again later.",
+    );
+  }
+});
+
+/**
+ * Read the signed-in user's news profile
+ */
+exports.getNewsProfile = functions.https.onCall(async (data, context) => {
+  try {
+    const uid = requireUid(context);
 
-    // Summarize
-    const enableSummarization = Boolean(openaiApiKey);
-    const summarizedArticles = await summarizeArticles(
-        articles,
-        openaiApiKey,
-        enableSummarization,
+    return {
+      status: "success",
+      profile: await getProfile(admin.firestore(), uid),
+    };
+  } catch (error) {
+    throw toCallableError(
+        error,
+        "getNewsProfile",
+        "Failed to read your news profile. Please try again later.",
     );
+  }
+});
+
+/**
+ * Update fields of the signed-in user's news profile
+ *
+ * Fields that are passed replace the saved ones; others are kept.
+ */
+exports.updateNewsProfile = functions.https.onCall(async (data, context) => {
+  try {
+    const uid = requireUid(context);
+
+    const existing = await getProfile(admin.firestore(), uid);
+    if (!existing) {
+      throw createApiError(
+          "not-found",
+          "No saved news profile. Use saveNewsProfile to create one.",
+      );
+    }
 
-    res.json({
+    // Fields that aren't profile fields are rejected rather than dropped
+    const profile = mergeProfile(existing, data);
+    assertValidProfile(profile);
+
+    return {
       status: "success",
-      results: summarizedArticles,
-      queriesUsed: queries.length,
-      totalArticles: summarizedArticles.length,
-    });
+      profile: await saveProfile(admin.firestore(), uid, profile),
+    };
   } catch (error) {
-    console.error("Error in getNewsHttp:", error);
-    res.status(500).json({
-      status: "error",
-      error: "An unexpected error occurred.",
-      results: [],
-    });
+    throw toCallableError(
+        error,
+        "updateNewsProfile",
+        "Failed to update your news profile. Please try again later.",
+    );
   }
 });
+
+/**
+ * Delete the signed-in user's news profile
+ */
+exports.deleteNewsProfile = functions.https.onCall(async (data, context) => {
+  try {
+    const uid = requireUid(context);
+
+    await deleteProfile(admin.firestore(), uid);
+    return { status: "success" };
+  } catch (error) {
+    throw toCallableError(
+        error,
+        "deleteNewsProfile",
+        "Failed to delete your news profile. Please try again later.",
+    );
+  }
+});
+
+/**
+ * Generate the digest payload for one group of saved profiles
+ *
+ * The run's failed queries and warnings are stored with it, so requests
+ * served from the digest still report degraded results.
+ * @param {Object} data - Profile fields shared by the group
+ * @returns {Promise<Object>} Response fields to store in the digest
+ */
+async function generateDigestPayload(data) {
+  const response = await newsService.run(data, { useDigest: false });
+
+  return {
+    results: response.results,
+    sections: response.sections,
+    queriesUsed: response.queriesUsed,
+    totalArticles: response.totalArticles,
+    queryPlan: response.queryPlan,
+    dateRange: response.dateRange,
+    ...(response.briefing !== undefined ? { briefing: response.briefing } : {}),
+    page: response.page,
+    pageSize: response.pageSize,
+    nextCursor: response.nextCursor,
+    failedQueries: response.failedQueries,
+    warnings: response.warnings,
+  };
+}
+
+/**
+ * Scheduled job that pre-generates digests for saved profiles
+ *
+ * Profiles with the same location and interests share one digest, which
+ * getNews serves while it is younger than DIGEST_MAX_AGE_MINUTES. The run
+ * stops starting groups before DIGEST_TIMEOUT_SECONDS is up, and the next
+ * run starts with the groups it didn't reach.
+ */
+exports.pregenerateNewsDigests = functions
+    .runWith({ timeoutSeconds: DIGEST_TIMEOUT_SECONDS })
+    .pubsub
+    .schedule(process.env.DIGEST_SCHEDULE || "every 60 minutes")
+    .onRun(async () => {
+      const { newsApiKeys } = getApiKeys();
+      if (!hasNewsProvider(newsApiKeys)) {
+        console.error("NEWS_API_KEY is not configured, skipping digest generation");
+        return null;
+      }
+
+      const stats = await generateDigests(admin.firestore(), generateDigestPayload, {
+        deadline: createDeadline(DIGEST_TIMEOUT_SECONDS * 1000),
+      });
+      console.log("Pre-generated news digests:", JSON.stringify(stats));
+      return null;
+    });
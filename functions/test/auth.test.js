@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for the Auth Utility
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  getClientIp,
+  identifyCallableCaller,
+  identifyHttpCaller,
+} = require("../utils/auth");
+
+describe("Auth Tests", () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  describe("identifyCallableCaller", () => {
+    test("should identify signed-in users by UID", () => {
+      const caller = identifyCallableCaller({ auth: { uid: "user-1" } });
+
+      expect(caller.authenticated).toBe(true);
+      expect(caller.identity.key).toBe("user:user-1");
+    });
+
+    test("should fall back to the IP address for anonymous callers", () => {
+      const caller = identifyCallableCaller({ rawRequest: { ip: "10.0.0.1", headers: {} } });
+
+      expect(caller.authenticated).toBe(false);
+      expect(caller.identity.type).toBe("ip");
+      expect(caller.identity.key).toMatch(/^ip:[0-9a-f]{16}$/);
+    });
+
+    test("should reject anonymous callers when auth is required", () => {
+      process.env.NEWS_REQUIRE_AUTH = "true";
+
+      const caller = identifyCallableCaller({ rawRequest: { ip: "10.0.0.1" } });
+
+      expect(caller.identity).toBeUndefined();
+      expect(caller.error).toContain("signed in");
+    });
+  });
+
+  describe("identifyHttpCaller", () => {
+    test("should verify Firebase ID tokens", async () => {
+      const verifyIdToken = jest.fn().mockResolvedValue({ uid: "user-2" });
+
+      const caller = await identifyHttpCaller(
+          { headers: { authorization: "Bearer token" } },
+          verifyIdToken,
+      );
+
+      expect(verifyIdToken).toHaveBeenCalledWith("token");
+      expect(caller.identity.key).toBe("user:user-2");
+    });
+
+    test("should reject invalid ID tokens", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      const verifyIdToken = jest.fn().mockRejectedValue(new Error("expired"));
+
+      const caller = await identifyHttpCaller(
+          { headers: { authorization: "Bearer bad" } },
+          verifyIdToken,
+      );
+
+      expect(caller.identity).toBeUndefined();
+      expect(caller.error).toContain("ID token");
+    });
+
+    test("should accept configured API keys and reject others", async () => {
+      process.env.NEWS_CLIENT_API_KEYS = "partner-key, other-key";
+
+      const valid = await identifyHttpCaller({ headers: { "x-api-key": "partner-key" } });
+      const invalid = await identifyHttpCaller({ headers: { "x-api-key": "wrong" } });
+
+      expect(valid.authenticated).toBe(true);
+      expect(valid.identity.type).toBe("apiKey");
+      expect(valid.identity.key).not.toContain("partner-key");
+      expect(invalid.identity).toBeUndefined();
+    });
+
+    test("should require credentials when auth is required", async () => {
+      process.env.NEWS_REQUIRE_AUTH = "true";
+
+      const caller = await identifyHttpCaller({ headers: {}, ip: "10.0.0.1" });
+
+      expect(caller.identity).toBeUndefined();
+    });
+  });
+
+  describe("getClientIp", () => {
+    test("should use the X-Forwarded-For address added by the front end", () => {
+      const ip = getClientIp({ headers: { "x-forwarded-for": "1.2.3.4, 203.0.113.7" }, ip: "10.0.0.1" });
+
+      expect(ip).toBe("203.0.113.7");
+    });
+
+    test("should ignore addresses the client adds to X-Forwarded-For", () => {
+      const first = getClientIp({ headers: { "x-forwarded-for": "1.1.1.1, 203.0.113.7" } });
+      const second = getClientIp({ headers: { "x-forwarded-for": "2.2.2.2, 203.0.113.7" } });
+
+      expect(first).toBe(second);
+    });
+
+    test("should fall back to the connection address", () => {
+      expect(getClientIp({ headers: {}, ip: "10.0.0.1" })).toBe("10.0.0.1");
+    });
+  });
+});
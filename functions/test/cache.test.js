@@ -0,0 +1,119 @@
+/**
+ * Unit Tests for the Cache Utility
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  createMemoryBackend,
+  createFirestoreBackend,
+  createCacheBackend,
+  createCache,
+} = require("../utils/cache");
+
+describe("Cache Tests", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("createCache", () => {
+    test("should return stored values and count hits and misses", async () => {
+      const cache = createCache("test", createMemoryBackend(), 60);
+      const stats = { hits: 0, misses: 0 };
+
+      expect(await cache.get("key", stats)).toBeNull();
+      await cache.set("key", ["value"]);
+      expect(await cache.get("key", stats)).toEqual(["value"]);
+
+      expect(stats).toEqual({ hits: 1, misses: 1 });
+    });
+
+    test("should treat expired entries as misses", async () => {
+      const cache = createCache("test", createMemoryBackend(), 60);
+      const now = Date.now();
+      const clock = jest.spyOn(Date, "now").mockReturnValue(now);
+
+      await cache.set("key", "value");
+      clock.mockReturnValue(now + 61 * 1000);
+
+      expect(await cache.get("key")).toBeNull();
+    });
+
+    test("should keep namespaces apart on a shared backend", async () => {
+      const backend = createMemoryBackend();
+      const news = createCache("news", backend, 60);
+      const summaries = createCache("summary", backend, 60);
+
+      await news.set("key", "news value");
+
+      expect(await summaries.get("key")).toBeNull();
+    });
+
+    test("should treat backend errors as misses", async () => {
+      const backend = {
+        get: jest.fn().mockRejectedValue(new Error("unavailable")),
+        set: jest.fn().mockRejectedValue(new Error("unavailable")),
+      };
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      const cache = createCache("test", backend, 60);
+      const stats = { hits: 0, misses: 0 };
+
+      await expect(cache.set("key", "value")).resolves.toBeUndefined();
+      expect(await cache.get("key", stats)).toBeNull();
+      expect(stats.misses).toBe(1);
+    });
+
+    test("should be disabled without a backend", async () => {
+      const cache = createCache("test", null, 60);
+
+      await cache.set("key", "value");
+
+      expect(cache.enabled).toBe(false);
+      expect(await cache.get("key")).toBeNull();
+    });
+  });
+
+  describe("createMemoryBackend", () => {
+    test("should evict the oldest entry when full", async () => {
+      const backend = createMemoryBackend(2);
+
+      await backend.set("a", { value: 1 });
+      await backend.set("b", { value: 2 });
+      await backend.set("c", { value: 3 });
+
+      expect(await backend.get("a")).toBeNull();
+      expect(await backend.get("c")).toEqual({ value: 3 });
+    });
+  });
+
+  describe("createFirestoreBackend", () => {
+    test("should store entries under a hashed document ID", async () => {
+      const docs = new Map();
+      const firestore = {
+        collection: () => ({
+          doc: (id) => ({
+            get: async () => ({ exists: docs.has(id), data: () => docs.get(id) }),
+            set: async (data) => docs.set(id, data),
+            delete: async () => docs.delete(id),
+          }),
+        }),
+      };
+      const backend = createFirestoreBackend(() => firestore);
+      const expiresAt = Date.now() + 1000;
+
+      await backend.set("news:gnews|query", { value: "cached", expiresAt });
+
+      expect([...docs.keys()][0]).toMatch(/^[0-9a-f]{64}$/);
+      expect(await backend.get("news:gnews|query")).toEqual({ value: "cached", expiresAt });
+      expect(await backend.get("missing")).toBeNull();
+    });
+  });
+
+  describe("createCacheBackend", () => {
+    test("should select the backend from configuration", () => {
+      expect(createCacheBackend("none")).toBeNull();
+      expect(createCacheBackend("memory").name).toBe("memory");
+      expect(createCacheBackend("firestore", () => ({})).name).toBe("firestore");
+    });
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Unit Tests for the Callable Functions
+ */
+
+/* eslint-disable no-undef */
+
+jest.mock("axios");
+jest.mock("openai");
+jest.mock("firebase-admin", () => {
+  const profiles = new Map();
+  const digests = new Map();
+  const collections = { newsProfiles: profiles, newsDigests: digests };
+  const firestore = {
+    collection: (name) => {
+      const docs = collections[name] || new Map();
+      const query = {
+        get: async () => ({
+          docs: [...docs].map(([id, data]) => ({ id, data: () => data })),
+        }),
+      };
+
+      return {
+        ...query,
+        select: () => query,
+        doc: (id) => ({
+          get: async () => ({
+            exists: docs.has(id),
+            data: () => docs.get(id),
+          }),
+          set: async (data) => {
+            docs.set(id, data);
+          },
+          delete: async () => {
+            docs.delete(id);
+          },
+        }),
+      };
+    },
+  };
+
+  return {
+    mockProfiles: profiles,
+    mockDigests: digests,
+    initializeApp: jest.fn(),
+    firestore: () => firestore,
+    auth: () => ({
+      verifyIdToken: async () => {
+        throw new Error("Invalid token");
+      },
+    }),
+  };
+});
+
+process.env.GNEWS_API_KEY = "test-key";
+
+const axios = require("axios");
+const admin = require("firebase-admin");
+const {
+  getNews,
+  saveNewsProfile,
+  getNewsProfile,
+  updateNewsProfile,
+  deleteNewsProfile,
+  pregenerateNewsDigests,
+} = require("../index");
+
+const ramgarh = { city: "Ramgarh", state: "Jharkhand", country: "India" };
+
+/**
+ * Build the callable context of a signed-in user
+ * @param {string} uid - Auth UID
+ * @returns {Object} Callable context
+ */
+function signedIn(uid) {
+  return { auth: { uid } };
+}
+
+describe("Callable Tests", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    admin.mockProfiles.clear();
+    admin.mockDigests.clear();
+
+    const publishedAt = new Date(Date.now() - 3600000).toISOString();
+    axios.get.mockImplementation(async (url, { params }) => ({
+      data: {
+        articles: [{
+          title: `Story for ${params.q}`,
+          description: "A local story.",
+          url: `https://news.example.com/${encodeURIComponent(params.q)}`,
+          publishedAt,
+          source: { name: "Example News" },
+        }],
+      },
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("news profile callables", () => {
+    test.each([
+      ["saveNewsProfile", saveNewsProfile, { location: ramgarh }],
+      ["getNewsProfile", getNewsProfile, {}],
+      ["updateNewsProfile", updateNewsProfile, { community: "Weavers" }],
+      ["deleteNewsProfile", deleteNewsProfile, {}],
+    ])("%s should reject callers who aren't signed in", async (name, callable, data) => {
+      await expect(callable.run(data, {})).rejects.toMatchObject({
+        code: "unauthenticated",
+        details: { code: "unauthenticated" },
+      });
+      expect(admin.mockProfiles.size).toBe(0);
+    });
+
+    test("should save, read and delete a profile", async () => {
+      const saved = await saveNewsProfile.run(
+          { location: ramgarh, businessInterests: ["Bakery"] },
+          signedIn("user-1"),
+      );
+
+      expect(saved).toEqual({
+        status: "success",
+        profile: { location: ramgarh, businessInterests: ["Bakery"] },
+      });
+      await expect(getNewsProfile.run({}, signedIn("user-1")))
+          .resolves.toEqual(saved);
+
+      await deleteNewsProfile.run({}, signedIn("user-1"));
+      await expect(getNewsProfile.run({}, signedIn("user-1")))
+          .resolves.toEqual({ status: "success", profile: null });
+    });
+
+    test("should not update a profile that was never saved", async () => {
+      await expect(updateNewsProfile.run({ community: "Weavers" }, signedIn("user-2")))
+          .rejects.toMatchObject({ code: "not-found", details: { code: "not-found" } });
+      expect(admin.mockProfiles.has("user-2")).toBe(false);
+    });
+
+    test("should merge updated fields over the saved profile", async () => {
+      admin.mockProfiles.set("user-3", { location: ramgarh, businessInterests: ["Bakery"] });
+
+      const updated = await updateNewsProfile.run(
+          { businessInterests: ["Gift Studio"], feedEnabled: true },
+          signedIn("user-3"),
+      );
+
+      expect(updated.profile).toEqual({
+        location: ramgarh,
+        businessInterests: ["Gift Studio"],
+        feedEnabled: true,
+      });
+      expect(admin.mockProfiles.get("user-3")).toMatchObject(updated.profile);
+    });
+
+    test.each([
+      ["an invalid field", { languages: "hindi" }, "languages"],
+      ["an unknown field", { favouriteColour: "blue" }, "favouriteColour"],
+    ])("should reject an update with %s", async (label, data, field) => {
+      admin.mockProfiles.set("user-4", { location: ramgarh });
+
+      await expect(updateNewsProfile.run(data, signedIn("user-4"))).rejects.toMatchObject({
+        code: "invalid-argument",
+        details: {
+          code: "invalid-argument",
+          details: expect.arrayContaining([expect.objectContaining({ field })]),
+        },
+      });
+      expect(admin.mockProfiles.get("user-4")).toEqual({ location: ramgarh });
+    });
+  });
+
+  describe("getNews", () => {
+    test("should load the saved profile when no location is passed", async () => {
+      admin.mockProfiles.set("user-5", { location: { city: "Bokaro", country: "India" } });
+
+      const response = await getNews.run({ pageSize: 2 }, signedIn("user-5"));
+
+      expect(response.status).toBe("success");
+      const queries = axios.get.mock.calls.map(([, { params }]) => params.q);
+      expect(queries.some((query) => query.includes("\"Bokaro\""))).toBe(true);
+    });
+
+    test("should use the request's location over the saved profile", async () => {
+      admin.mockProfiles.set("user-6", { location: { city: "Bokaro", country: "India" } });
+
+      await getNews.run({ location: { city: "Ramgarh" }, pageSize: 2 }, signedIn("user-6"));
+
+      const queries = axios.get.mock.calls.map(([, { params }]) => params.q);
+      expect(queries.some((query) => query.includes("\"Bokaro\""))).toBe(false);
+    });
+
+    test("should reject an invalid request with invalid-argument and the problems", async () => {
+      await expect(getNews.run({ location: ramgarh, pageSize: 0 }, signedIn("user-7")))
+          .rejects.toMatchObject({
+            code: "invalid-argument",
+            details: {
+              code: "invalid-argument",
+              details: [expect.objectContaining({ field: "pageSize" })],
+            },
+          });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test("should fail with failed-precondition when no news provider key is set", async () => {
+      const gnewsApiKey = process.env.GNEWS_API_KEY;
+      delete process.env.GNEWS_API_KEY;
+
+      try {
+        await expect(getNews.run({ location: ramgarh }, signedIn("user-8")))
+            .rejects.toMatchObject({
+              code: "failed-precondition",
+              details: { code: "not-configured" },
+            });
+      } finally {
+        process.env.GNEWS_API_KEY = gnewsApiKey;
+      }
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test("should fail with resource-exhausted when every query hit the quota", async () => {
+      const quotaError = new Error("Request failed with status code 429");
+      // Longer than the retry limit, so the failure isn't retried
+      quotaError.response = { status: 429, headers: { "retry-after": "3600" } };
+      axios.get.mockRejectedValue(quotaError);
+
+      // A place no other test asks for, so nothing is served from the cache
+      await expect(getNews.run({ location: { city: "Dumka", country: "India" } }, signedIn("user-9")))
+          .rejects.toMatchObject({
+            code: "resource-exhausted",
+            details: {
+              code: "quota-exceeded",
+              failedQueries: expect.arrayContaining([expect.objectContaining({ status: 429 })]),
+            },
+          });
+      expect(axios.get).toHaveBeenCalled();
+    });
+  });
+
+  describe("pregenerateNewsDigests", () => {
+    test("should keep the warnings of a degraded run with the digest", async () => {
+      const quotaError = new Error("Request failed with status code 429");
+      // Longer than the retry limit, so the failure isn't retried
+      quotaError.response = { status: 429, headers: { "retry-after": "3600" } };
+      axios.get.mockRejectedValueOnce(quotaError);
+      // A place no other test asks for, so nothing is served from the cache
+      admin.mockProfiles.set("user-10", {
+        location: { city: "Giridih", state: "Jharkhand", country: "India" },
+      });
+
+      await pregenerateNewsDigests.run({});
+      const response = await getNews.run({}, signedIn("user-10"));
+
+      expect(admin.mockDigests.size).toBe(1);
+      expect(response.servedFrom).toBe("digest");
+      expect(response.totalArticles).toBeGreaterThan(0);
+      expect(response.failedQueries).toEqual([expect.objectContaining({ status: 429 })]);
+      expect(response.warnings).toEqual([expect.objectContaining({ code: "quota-exceeded" })]);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for News Categories
+ */
+
+/* eslint-disable no-undef */
+
+const { resolveCategory, groupIntoSections } = require("../utils/categories");
+
+describe("Category Tests", () => {
+  describe("resolveCategory", () => {
+    test("should pick the highest-priority category", () => {
+      const result = resolveCategory(["national", "business", "local"]);
+
+      expect(result.category).toBe("local");
+      expect(result.otherCategories).toEqual(["business", "national"]);
+    });
+
+    test("should ignore duplicates and unknown categories", () => {
+      const result = resolveCategory(["community", "community", "sports"]);
+
+      expect(result).toEqual({ category: "community", otherCategories: [] });
+    });
+
+    test("should return null category for no matches", () => {
+      expect(resolveCategory([]).category).toBeNull();
+    });
+  });
+
+  describe("groupIntoSections", () => {
+    test("should group articles with a count per section", () => {
+      const sections = groupIntoSections([
+        { url: "a", category: "local" },
+        { url: "b", category: "local" },
+        { url: "c", category: "business" },
+      ]);
+
+      expect(sections.local.count).toBe(2);
+      expect(sections.business.results[0].url).toBe("c");
+      expect(sections.national).toEqual({ count: 0, results: [] });
+      expect(sections.community.count).toBe(0);
+    });
+
+    test("should skip articles without a category", () => {
+      const sections = groupIntoSections([{ url: "a" }]);
+      const total = Object.values(sections).reduce((sum, section) => sum + section.count, 0);
+
+      expect(total).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for Date Range Filtering
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  DEFAULT_MAX_AGE_HOURS,
+  isValidDateInput,
+  isValidMaxAgeHours,
+  resolveDateRange,
+  filterByDateRange,
+} = require("../utils/dateRange");
+
+const NOW = Date.parse("2024-01-15T12:34:56Z");
+
+describe("Date Range Tests", () => {
+  describe("isValidDateInput", () => {
+    test("should accept ISO 8601 dates and date-times", () => {
+      expect(isValidDateInput("2024-01-15")).toBe(true);
+      expect(isValidDateInput("2024-01-15T08:00:00Z")).toBe(true);
+      expect(isValidDateInput("2024-01-15T08:00+05:30")).toBe(true);
+    });
+
+    test("should reject other formats and impossible dates", () => {
+      expect(isValidDateInput("15/01/2024")).toBe(false);
+      expect(isValidDateInput("2024-13-45")).toBe(false);
+      expect(isValidDateInput(1705305600000)).toBe(false);
+    });
+  });
+
+  describe("isValidMaxAgeHours", () => {
+    test("should accept whole hours up to 30 days", () => {
+      expect(isValidMaxAgeHours(24)).toBe(true);
+      expect(isValidMaxAgeHours(720)).toBe(true);
+      expect(isValidMaxAgeHours(0)).toBe(false);
+      expect(isValidMaxAgeHours(1.5)).toBe(false);
+      expect(isValidMaxAgeHours(721)).toBe(false);
+    });
+  });
+
+  describe("resolveDateRange", () => {
+    test("should default to the configured window, rounded down to the hour", () => {
+      const range = resolveDateRange({}, NOW);
+
+      const expected = Date.parse("2024-01-15T12:00:00Z") - DEFAULT_MAX_AGE_HOURS * 3600000;
+      expect(range).toEqual({ from: new Date(expected).toISOString().replace(".000", ""), to: null });
+    });
+
+    test("should use maxAgeHours", () => {
+      expect(resolveDateRange({ maxAgeHours: 24 }, NOW).from).toBe("2024-01-14T12:00:00Z");
+    });
+
+    test("should use explicit dates, including the whole day for a bare to date", () => {
+      const range = resolveDateRange({ from: "2024-01-01", to: "2024-01-07" }, NOW);
+
+      expect(range).toEqual({ from: "2024-01-01T00:00:00Z", to: "2024-01-07T23:59:59Z" });
+    });
+
+    test("should count maxAgeHours back from to", () => {
+      const range = resolveDateRange({ to: "2024-01-10T06:00:00Z", maxAgeHours: 6 }, NOW);
+
+      expect(range).toEqual({ from: "2024-01-10T00:00:00Z", to: "2024-01-10T06:00:00Z" });
+    });
+  });
+
+  describe("filterByDateRange", () => {
+    test("should drop articles outside the range and keep undated ones", () => {
+      const range = { from: "2024-01-10T00:00:00Z", to: "2024-01-12T00:00:00Z" };
+      const articles = [
+        { title: "Too old", publishedAt: "2024-01-09T23:59:59Z" },
+        { title: "In range", publishedAt: "2024-01-11T08:00:00Z" },
+        { title: "Too new", publishedAt: "2024-01-12T00:00:01Z" },
+        { title: "Undated", publishedAt: "" },
+      ];
+
+      expect(filterByDateRange(articles, range).map((article) => article.title))
+          .toEqual(["In range", "Undated"]);
+    });
+  });
+});
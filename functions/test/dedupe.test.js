@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for URL Canonicalization and Story Clustering
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  canonicalizeUrl,
+  stripTrackingParams,
+  getUrlKey,
+  titleShingles,
+  jaccardSimilarity,
+  clusterArticles,
+} = require("../utils/dedupe");
+
+describe("Dedupe Tests", () => {
+  describe("canonicalizeUrl", () => {
+    test("should strip tracking parameters and fragments", () => {
+      expect(canonicalizeUrl(
+          "https://News.example.com/story?utm_source=x&id=7&fbclid=abc&utm_medium=y#comments",
+      )).toBe("https://news.example.com/story?id=7");
+    });
+
+    test("should remove AMP variants", () => {
+      expect(canonicalizeUrl("https://example.com/amp/world/story")).toBe("https://example.com/world/story");
+      expect(canonicalizeUrl("https://example.com/world/story/amp/")).toBe("https://example.com/world/story");
+      expect(canonicalizeUrl("https://example.com/world/story.amp.html")).toBe("https://example.com/world/story.html");
+      expect(canonicalizeUrl("https://example.com/story?amp=1")).toBe("https://example.com/story");
+    });
+
+    test("should unwrap Google AMP cache URLs", () => {
+      expect(canonicalizeUrl(
+          "https://www-example-com.cdn.ampproject.org/c/s/www.example.com/story/amp",
+      )).toBe("https://www.example.com/story");
+    });
+
+    test("should return unparseable input unchanged", () => {
+      expect(canonicalizeUrl("not a url")).toBe("not a url");
+      expect(canonicalizeUrl("")).toBe("");
+    });
+  });
+
+  describe("stripTrackingParams", () => {
+    test("should drop utm_* and click IDs only", () => {
+      expect(stripTrackingParams(
+          "https://example.com/amp/story.amp.html?utm_source=x&ref=home&outputType=amp&gclid=1#top",
+      )).toBe("https://example.com/amp/story.amp.html?ref=home&outputType=amp#top");
+    });
+
+    test("should return links without tracking parameters unchanged", () => {
+      expect(stripTrackingParams("https://Example.com/story?b=2&a=1")).toBe("https://Example.com/story?b=2&a=1");
+      expect(stripTrackingParams("not a url")).toBe("not a url");
+    });
+  });
+
+  describe("getUrlKey", () => {
+    test("should ignore scheme and www", () => {
+      expect(getUrlKey("http://www.example.com/story?utm_campaign=z"))
+          .toBe(getUrlKey("https://example.com/story"));
+    });
+  });
+
+  describe("titleShingles / jaccardSimilarity", () => {
+    test("should ignore the source suffix, case and punctuation", () => {
+      const a = titleShingles("Ramgarh bakery wins state award - Times of India");
+      const b = titleShingles("Ramgarh Bakery Wins State Award | Hindustan Times");
+
+      expect(jaccardSimilarity(a, b)).toBe(1);
+    });
+
+    test("should score unrelated titles low", () => {
+      const a = titleShingles("Ramgarh bakery wins state award");
+      const b = titleShingles("Flood warning issued for Jharkhand districts");
+
+      expect(jaccardSimilarity(a, b)).toBe(0);
+    });
+
+    test("should treat empty titles as dissimilar", () => {
+      expect(jaccardSimilarity(titleShingles(""), titleShingles(""))).toBe(0);
+    });
+  });
+
+  describe("clusterArticles", () => {
+    test("should merge the same story from different sources", () => {
+      const clustered = clusterArticles([
+        {
+          title: "Ramgarh bakery wins state award - Times of India",
+          url: "https://toi.example.com/a",
+          source: "Times of India",
+          category: "local",
+          otherCategories: [],
+          queryMatches: 1,
+        },
+        {
+          title: "Flood warning issued for Jharkhand districts",
+          url: "https://news.example.com/b",
+          source: "Example News",
+        },
+        {
+          title: "Ramgarh bakery wins state award",
+          url: "https://ht.example.com/c",
+          source: "Hindustan Times",
+          publishedAt: "2024-01-15T10:00:00Z",
+          category: "business",
+          otherCategories: ["community"],
+          queryMatches: 2,
+        },
+      ]);
+
+      expect(clustered).toHaveLength(2);
+      expect(clustered[0].url).toBe("https://toi.example.com/a");
+      expect(clustered[0].relatedSources).toEqual([{
+        source: "Hindustan Times",
+        url: "https://ht.example.com/c",
+        title: "Ramgarh bakery wins state award",
+        publishedAt: "2024-01-15T10:00:00Z",
+      }]);
+      expect(clustered[0].category).toBe("local");
+      expect(clustered[0].otherCategories).toEqual(["community", "business"]);
+      expect(clustered[0].queryMatches).toBe(3);
+      expect(clustered[1].relatedSources).toEqual([]);
+    });
+
+    test("should put the cluster in the highest-priority category of any member", () => {
+      const clustered = clusterArticles([
+        {
+          title: "Jharkhand announces new district roads",
+          url: "https://national.example.com/a",
+          category: "national",
+          otherCategories: [],
+        },
+        {
+          title: "Jharkhand announces new district roads",
+          url: "https://local.example.com/b",
+          category: "local",
+          otherCategories: ["national"],
+        },
+      ]);
+
+      expect(clustered).toHaveLength(1);
+      expect(clustered[0].url).toBe("https://national.example.com/a");
+      expect(clustered[0].category).toBe("local");
+      expect(clustered[0].otherCategories).toEqual(["national"]);
+    });
+
+    test("should merge URL variants even when titles differ", () => {
+      const clustered = clusterArticles([
+        { title: "Original headline", url: "https://example.com/story" },
+        { title: "Updated headline text here", url: "https://www.example.com/story/amp?utm_source=x" },
+      ]);
+
+      expect(clustered).toHaveLength(1);
+      expect(clustered[0].relatedSources).toHaveLength(1);
+    });
+
+    test("should respect the similarity threshold", () => {
+      const articles = [
+        { title: "Ramgarh bakery wins state award today", url: "https://a.example.com/1" },
+        { title: "Ramgarh bakery wins state award for quality", url: "https://b.example.com/2" },
+      ];
+
+      expect(clusterArticles(articles, 0.9)).toHaveLength(2);
+      expect(clusterArticles(articles, 0.3)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for the Digest Store
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  getDigestKey,
+  groupProfiles,
+  generateDigests,
+  getFreshDigest,
+} = require("../utils/digestStore");
+
+/**
+ * Create a minimal in-memory Firestore stand-in
+ * @param {Object} collections - Initial documents as { collection: { id: data } }
+ * @returns {Object} Fake Firestore with the stored documents in `docs`
+ */
+function createFakeFirestore(collections = {}) {
+  const docs = new Map();
+  for (const [name, entries] of Object.entries(collections)) {
+    for (const [id, data] of Object.entries(entries)) {
+      docs.set(`${name}/${id}`, data);
+    }
+  }
+
+  const list = (name) => ({
+    get: async () => ({
+      docs: [...docs.entries()]
+          .filter(([path]) => path.startsWith(`${name}/`))
+          .map(([path, data]) => ({ id: path.slice(name.length + 1), data: () => data })),
+    }),
+  });
+
+  return {
+    docs,
+    collection: (name) => ({
+      ...list(name),
+      select: () => list(name),
+      doc: (id) => ({
+        get: async () => ({
+          exists: docs.has(`${name}/${id}`),
+          data: () => docs.get(`${name}/${id}`),
+        }),
+        set: async (data) => docs.set(`${name}/${id}`, data),
+      }),
+    }),
+  };
+}
+
+const ramgarhBakery = {
+  location: { city: "Ramgarh", state: "Jharkhand", country: "India" },
+  businessInterests: ["Bakery", "Gift Studio"],
+};
+
+describe("Digest Store Tests", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("getDigestKey", () => {
+    test("should ignore case, interest order and defaulted fields", () => {
+      const other = {
+        location: { city: "ramgarh ", state: "JHARKHAND", country: "india" },
+        businessInterests: ["gift studio", "bakery"],
+        languages: ["en"],
+        page: 1,
+      };
+
+      expect(getDigestKey(other)).toBe(getDigestKey(ramgarhBakery));
+    });
+
+    test("should ignore exclusion order and case but not the exclusions", () => {
+      const excluding = { ...ramgarhBakery, excludeKeywords: ["Cricket", "gossip"] };
+      const reordered = { ...ramgarhBakery, excludeKeywords: ["gossip", "cricket "] };
+
+      expect(getDigestKey(reordered)).toBe(getDigestKey(excluding));
+      expect(getDigestKey(excluding)).not.toBe(getDigestKey(ramgarhBakery));
+      expect(getDigestKey({ ...ramgarhBakery, excludeKeywords: [] }))
+          .toBe(getDigestKey(ramgarhBakery));
+    });
+
+    test("should differ for different interests", () => {
+      const other = { ...ramgarhBakery, community: "Dalit empowerment" };
+
+      expect(getDigestKey(other)).not.toBe(getDigestKey(ramgarhBakery));
+    });
+  });
+
+  describe("groupProfiles", () => {
+    test("should group identical profiles and skip profiles without location", () => {
+      const groups = groupProfiles([
+        ramgarhBakery,
+        { ...ramgarhBakery, businessInterests: ["bakery", "gift studio"] },
+        { community: "Dalit empowerment" },
+      ]);
+
+      expect(groups.length).toBe(1);
+      expect(groups[0].profileCount).toBe(2);
+    });
+  });
+
+  describe("generateDigests", () => {
+    test("should run the pipeline once per group and store the result", async () => {
+      const db = createFakeFirestore({
+        newsProfiles: { a: ramgarhBakery, b: ramgarhBakery, c: { location: { country: "India" } } },
+      });
+      const generate = jest.fn().mockResolvedValue({ results: [{ title: "A", image: undefined }] });
+
+      const stats = await generateDigests(db, generate);
+      const stored = db.docs.get(`newsDigests/${getDigestKey(ramgarhBakery)}`);
+
+      expect(generate).toHaveBeenCalledTimes(2);
+      expect(stats).toMatchObject({ profiles: 3, groups: 2, generated: 2, failed: 0 });
+      expect(stored.profileCount).toBe(2);
+      expect(stored.results).toEqual([{ title: "A" }]);
+      expect(stored.generatedAt).toBeInstanceOf(Date);
+    });
+
+    test("should start with groups that have no digest, then the oldest", async () => {
+      const indiaOnly = { location: { country: "India" } };
+      const bokaro = { location: { city: "Bokaro", country: "India" } };
+      const db = createFakeFirestore({
+        newsProfiles: { a: ramgarhBakery, b: indiaOnly, c: bokaro },
+        newsDigests: {
+          [getDigestKey(ramgarhBakery)]: { generatedAt: new Date("2024-01-15T10:00:00Z") },
+          [getDigestKey(indiaOnly)]: { generatedAt: new Date("2024-01-15T08:00:00Z") },
+        },
+      });
+      const generate = jest.fn().mockResolvedValue({ results: [] });
+
+      await generateDigests(db, generate);
+
+      expect(generate.mock.calls.map(([request]) => request.location)).toEqual([
+        bokaro.location,
+        indiaOnly.location,
+        ramgarhBakery.location,
+      ]);
+    });
+
+    test("should leave groups for the next run when time runs out", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      const db = createFakeFirestore({
+        newsProfiles: { a: ramgarhBakery, b: { location: { country: "India" } } },
+      });
+      let remainingMs = 40000;
+      const deadline = { remainingMs: () => remainingMs };
+      const generate = jest.fn().mockImplementation(async () => {
+        remainingMs -= 20000;
+        return { results: [] };
+      });
+
+      const stats = await generateDigests(db, generate, { deadline, groupTimeMs: 30000 });
+
+      expect(generate).toHaveBeenCalledTimes(1);
+      expect(stats).toMatchObject({ groups: 2, generated: 1, skipped: 1 });
+    });
+
+    test("should count failed groups and continue", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      const db = createFakeFirestore({
+        newsProfiles: { a: ramgarhBakery, b: { location: { country: "India" } } },
+      });
+      const generate = jest.fn()
+          .mockRejectedValueOnce(new Error("quota"))
+          .mockResolvedValueOnce({ results: [] });
+
+      const stats = await generateDigests(db, generate);
+
+      expect(stats.failed).toBe(1);
+      expect(stats.generated).toBe(1);
+    });
+  });
+
+  describe("getFreshDigest", () => {
+    test("should return digests younger than the max age", async () => {
+      const db = createFakeFirestore({
+        newsDigests: {
+          [getDigestKey(ramgarhBakery)]: { results: [], generatedAt: new Date() },
+        },
+      });
+
+      const digest = await getFreshDigest(db, ramgarhBakery, 60);
+
+      expect(digest.results).toEqual([]);
+      expect(typeof digest.generatedAt).toBe("string");
+    });
+
+    test("should ignore stale or missing digests", async () => {
+      const db = createFakeFirestore({
+        newsDigests: {
+          [getDigestKey(ramgarhBakery)]: {
+            results: [],
+            generatedAt: new Date(Date.now() - 2 * 3600000),
+          },
+        },
+      });
+
+      expect(await getFreshDigest(db, ramgarhBakery, 60)).toBeNull();
+      expect(await getFreshDigest(db, { location: { city: "Ranchi" } }, 60)).toBeNull();
+    });
+  });
+});
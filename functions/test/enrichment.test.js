@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for Structured Enrichment
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  describeReader,
+  validateEnrichment,
+  parseEnrichment,
+} = require("../utils/enrichment");
+
+const validReply = {
+  summary: "The district launched a scholarship scheme.",
+  topic: "education",
+  sentiment: "positive",
+  entities: { places: ["Ramgarh"], organizations: ["District Council"], schemes: [] },
+  relevance: 0.75,
+};
+
+describe("Enrichment Tests", () => {
+  describe("validateEnrichment", () => {
+    test("should accept a reply matching the schema", () => {
+      expect(validateEnrichment(validReply)).toEqual([]);
+    });
+
+    test("should list every schema error", () => {
+      const errors = validateEnrichment({
+        ...validReply,
+        topic: "gossip",
+        entities: { places: "Ramgarh" },
+        relevance: 4,
+      });
+
+      expect(errors).toEqual([
+        expect.stringContaining("topic must be one of"),
+        "entities.places must be a list of strings",
+        "relevance must be a number from 0 to 1",
+      ]);
+    });
+  });
+
+  describe("parseEnrichment", () => {
+    test("should parse fenced JSON and normalize entities", () => {
+      const reply = "```json\n" + JSON.stringify({
+        ...validReply,
+        sentiment: "Neutral",
+        entities: { places: [" Ramgarh ", "Ramgarh", ""], organizations: ["District Council"] },
+        relevance: 0.756,
+      }) + "\n```";
+
+      const { enrichment, errors } = parseEnrichment(reply);
+
+      expect(errors).toEqual([]);
+      expect(enrichment).toEqual({
+        ...validReply,
+        sentiment: "neutral",
+        entities: { places: ["Ramgarh"], organizations: ["District Council"], schemes: [] },
+        relevance: 0.76,
+      });
+    });
+
+    test("should return no enrichment for malformed replies", () => {
+      expect(parseEnrichment("Sure! Here is the JSON:")).toEqual({
+        enrichment: null,
+        errors: ["reply is not valid JSON"],
+      });
+      expect(parseEnrichment(JSON.stringify({ summary: "Only a summary" })).enrichment).toBeNull();
+    });
+  });
+
+  describe("describeReader", () => {
+    test("should describe the reader's location, community and interests", () => {
+      expect(describeReader({
+        location: { city: "Ramgarh", country: "India" },
+        community: "Dalit empowerment",
+        businessInterests: ["Bakery"],
+      })).toBe("Reader location: Ramgarh, India\nReader community: Dalit empowerment\n" +
+        "Reader business interests: Bakery");
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for API Errors and Warnings
+ */
+
+/* eslint-disable no-undef */
+
+const functions = require("firebase-functions");
+const {
+  createApiError,
+  isApiError,
+  toHttpsError,
+  toHttpError,
+  createQueryFailureError,
+  buildWarnings,
+} = require("../utils/errors");
+
+describe("Errors Tests", () => {
+  describe("createApiError", () => {
+    test("should use the code's default message", () => {
+      const error = createApiError("not-configured");
+
+      expect(isApiError(error)).toBe(true);
+      expect(error.code).toBe("not-configured");
+      expect(error.message).toContain("not configured");
+    });
+
+    test("should treat unknown codes as internal", () => {
+      expect(createApiError("made-up").code).toBe("internal");
+    });
+
+    test("should not treat plain errors as API errors", () => {
+      expect(isApiError(new Error("boom"))).toBe(false);
+      expect(isApiError(Object.assign(new Error("reset"), { code: "ECONNRESET" }))).toBe(false);
+    });
+  });
+
+  describe("toHttpsError", () => {
+    test("should map the code and keep the details", () => {
+      const error = toHttpsError(createApiError("rate-limited", "Slow down", { retryAfterSeconds: 6 }));
+
+      expect(error).toBeInstanceOf(functions.https.HttpsError);
+      expect(error.code).toBe("resource-exhausted");
+      expect(error.message).toBe("Slow down");
+      expect(error.details).toEqual({ code: "rate-limited", retryAfterSeconds: 6 });
+    });
+
+    test("should hide the message of unexpected errors", () => {
+      const error = toHttpsError(new Error("database password is wrong"));
+
+      expect(error.code).toBe("internal");
+      expect(error.message).not.toContain("password");
+    });
+  });
+
+  describe("toHttpError", () => {
+    test("should map the code to an HTTP status and error body", () => {
+      const { httpStatus, body } = toHttpError(createApiError("invalid-argument", "Location is required"));
+
+      expect(httpStatus).toBe(400);
+      expect(body).toEqual({
+        status: "error",
+        code: "invalid-argument",
+        error: "Location is required",
+        results: [],
+      });
+    });
+
+    test.each([
+      ["unauthenticated", 401],
+      ["rate-limited", 429],
+      ["provider-unavailable", 502],
+      ["quota-exceeded", 429],
+      ["deadline-exceeded", 504],
+      ["internal", 500],
+    ])("should send %s as %d", (code, status) => {
+      expect(toHttpError(createApiError(code)).httpStatus).toBe(status);
+    });
+  });
+
+  describe("createQueryFailureError", () => {
+    test("should report quota errors when every query hit a quota", () => {
+      const error = createQueryFailureError([
+        { query: "a", status: 429 },
+        { query: "b", status: 429 },
+      ]);
+
+      expect(error.code).toBe("quota-exceeded");
+      expect(error.details.failedQueries).toHaveLength(2);
+    });
+
+    test("should report the providers as unavailable for mixed failures", () => {
+      const error = createQueryFailureError([
+        { query: "a", status: 429 },
+        { query: "b", status: 500 },
+      ]);
+
+      expect(error.code).toBe("provider-unavailable");
+    });
+
+    test("should report deadline errors", () => {
+      expect(createQueryFailureError([{ query: "a", code: "DEADLINE_EXCEEDED" }]).code)
+          .toBe("deadline-exceeded");
+    });
+  });
+
+  describe("buildWarnings", () => {
+    test("should return no warnings when nothing failed", () => {
+      expect(buildWarnings({ failedQueries: [], failedSummaries: [] })).toEqual([]);
+    });
+
+    test("should group failed queries by reason and count failed summaries", () => {
+      const warnings = buildWarnings({
+        failedQueries: [
+          { query: "a", language: "en", status: 429 },
+          { query: "a", language: "hi", status: 429 },
+          { query: "b", status: 503 },
+        ],
+        failedSummaries: [{ url: "https://example.com", error: "API Error" }],
+      });
+
+      expect(warnings).toEqual([
+        expect.objectContaining({ code: "quota-exceeded", queries: ["a"] }),
+        expect.objectContaining({ code: "provider-unavailable", queries: ["b"] }),
+        expect.objectContaining({ code: "summarization-degraded", count: 1 }),
+      ]);
+    });
+  });
+});
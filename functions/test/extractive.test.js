@@ -0,0 +1,80 @@
+/**
+ * Unit Tests for the Extractive Summarizer
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  stripTruncationMarker,
+  splitSentences,
+  summarizeExtractive,
+} = require("../utils/extractive");
+
+const article = {
+  title: "Ramgarh district opens bakery training centre",
+  description: "The Ramgarh district administration opened a bakery training centre on Monday.",
+  content: "The Ramgarh district administration opened a bakery training centre on Monday. " +
+    "The centre will train 200 women from self-help groups every year in baking and packaging. " +
+    "The weather was pleasant. " +
+    "Trainees will also learn how to apply for loans under the PMEGP scheme to start their own bakery units. " +
+    "Mr. Kumar, the deputy commissioner, said the district plans similar bakery centres in two more blocks… " +
+    "[+1432 chars]",
+};
+
+/**
+ * Count the words of a text
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+describe("Extractive Summarizer Tests", () => {
+  describe("stripTruncationMarker", () => {
+    test("should remove the providers' truncation markers", () => {
+      expect(stripTruncationMarker("Some text… [+1432 chars]")).toBe("Some text");
+      expect(stripTruncationMarker("Some text... [260 chars]")).toBe("Some text");
+    });
+  });
+
+  describe("splitSentences", () => {
+    test("should split on sentence ends but not after titles or before lowercase", () => {
+      expect(splitSentences("Mr. Kumar spoke. It rained approx. ten hours! बारिश हुई। Done"))
+          .toEqual(["Mr. Kumar spoke.", "It rained approx. ten hours!", "बारिश हुई।", "Done"]);
+    });
+  });
+
+  describe("summarizeExtractive", () => {
+    test("should keep the best sentences in order within the word limits", () => {
+      const summary = summarizeExtractive(article, { minWords: 30, maxWords: 45 });
+
+      expect(summary.startsWith(article.description)).toBe(true);
+      expect(summary).not.toContain("weather");
+      expect(countWords(summary)).toBeGreaterThanOrEqual(30);
+      expect(countWords(summary)).toBeLessThanOrEqual(45);
+    });
+
+    test("should drop the description when the body repeats it", () => {
+      const summary = summarizeExtractive(article);
+
+      expect(summary.match(/opened a bakery training centre/g)).toHaveLength(1);
+      expect(summary).not.toContain("weather");
+      expect(summary).not.toContain("chars]");
+    });
+
+    test("should cut a single overlong sentence", () => {
+      const summary = summarizeExtractive({
+        title: "Long",
+        description: `${"word ".repeat(100).trim()}.`,
+      }, { minWords: 10, maxWords: 20 });
+
+      expect(summary).toBe(`${"word ".repeat(20).trim()}…`);
+    });
+
+    test("should return nothing when there is no usable text", () => {
+      expect(summarizeExtractive({ title: "Title", description: "Too short." })).toBe("");
+      expect(summarizeExtractive({ title: "Title" })).toBe("");
+    });
+  });
+});
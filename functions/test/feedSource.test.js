@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for RSS/Atom Feed Ingestion
+ */
+
+/* eslint-disable no-undef */
+
+const fs = require("fs");
+const path = require("path");
+
+jest.mock("axios");
+
+const axios = require("axios");
+
+const {
+  parseFeedList,
+  selectFeeds,
+  toIsoDate,
+  parseFeed,
+  fetchFeedCached,
+} = require("../utils/feedSource");
+const { fetchNewsForQueries } = require("../utils/newsFetcher");
+const { createOutboundClient } = require("../utils/outbound");
+
+/**
+ * Read a fixture feed
+ * @param {string} name - File name in test/fixtures
+ * @returns {string} Feed XML
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+const RSS_FEED = {
+  url: "https://ramgarh.example.in/rss.xml",
+  name: "",
+  location: "Ramgarh",
+  community: "",
+  category: "local",
+  language: "en",
+};
+
+const ATOM_FEED = {
+  url: "https://jharkhand.example.gov.in/press/feed.atom",
+  name: "Jharkhand Government",
+  location: "Jharkhand",
+  community: "",
+  category: "local",
+  language: "en",
+};
+
+describe("Feed Source Tests", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("parseFeedList", () => {
+    test("should fill in defaults and drop entries without a web URL", () => {
+      const feeds = parseFeedList(JSON.stringify([
+        { url: "https://example.com/rss", community: "Farmers" },
+        { url: "ftp://example.com/rss" },
+        { name: "No URL" },
+      ]));
+
+      expect(feeds).toEqual([{
+        url: "https://example.com/rss",
+        name: "",
+        location: "",
+        community: "Farmers",
+        category: "community",
+        language: "en",
+      }]);
+      expect(parseFeedList("not json")).toEqual([]);
+    });
+  });
+
+  describe("selectFeeds", () => {
+    const feeds = parseFeedList([
+      { url: "https://example.com/ramgarh", location: "Ramgarh" },
+      { url: "https://example.com/farmers", community: "farmers" },
+      { url: "https://example.com/national" },
+      { url: "https://example.com/hindi", language: "hi" },
+    ]);
+
+    test("should pick feeds mapped to the request's location or community", () => {
+      const selected = selectFeeds(feeds, {
+        location: { city: "ramgarh", state: "Jharkhand" },
+        community: "Farmers",
+      });
+
+      expect(selected.map((feed) => feed.url)).toEqual([
+        "https://example.com/ramgarh",
+        "https://example.com/farmers",
+        "https://example.com/national",
+      ]);
+    });
+
+    test("should skip feeds in languages that weren't requested", () => {
+      const selected = selectFeeds(feeds, { location: { city: "Ranchi" }, languages: ["hi"] });
+
+      expect(selected.map((feed) => feed.url)).toEqual(["https://example.com/hindi"]);
+    });
+  });
+
+  describe("toIsoDate", () => {
+    test("should parse RSS dates, including Indian Standard Time", () => {
+      expect(toIsoDate("Mon, 12 Oct 2026 09:30:00 IST")).toBe("2026-10-12T04:00:00.000Z");
+      expect(toIsoDate("Mon, 12 Oct 2026 09:30:00 GMT")).toBe("2026-10-12T09:30:00.000Z");
+      expect(toIsoDate("sometime")).toBe("");
+    });
+  });
+
+  describe("parseFeed", () => {
+    test("should normalize RSS 2.0 items", () => {
+      const articles = parseFeed(readFixture("district-news.rss.xml"), RSS_FEED);
+
+      expect(articles).toHaveLength(2);
+      expect(articles[0]).toEqual({
+        title: "New water treatment plant opens in Ramgarh",
+        url: "https://ramgarh.example.in/news/water-plant?utm_source=rss",
+        description: "The plant will supply clean drinking water to 40 villages & the town.",
+        content: "The district administration opened the plant on Monday. " +
+          "It will supply clean drinking water to 40 villages and the town.",
+        image: "https://ramgarh.example.in/images/plant.jpg",
+        publishedAt: "2026-10-12T04:00:00.000Z",
+        source: "Ramgarh District News",
+        provider: "feed",
+        language: "en",
+      });
+      // Permalink guid and relative thumbnail
+      expect(articles[1].url).toBe("https://ramgarh.example.in/news/road-repairs");
+      expect(articles[1].image).toBe("https://ramgarh.example.in/images/road.jpg");
+    });
+
+    test("should normalize Atom entries", () => {
+      const articles = parseFeed(readFixture("press-releases.atom.xml"), ATOM_FEED);
+
+      expect(articles.map((article) => article.title)).toEqual([
+        "Applications open for the Krishi Sahayata scheme",
+        "Health camp in Ranchi this weekend",
+      ]);
+      expect(articles[0]).toMatchObject({
+        url: "https://jharkhand.example.gov.in/press/krishi-sahayata",
+        description: "Farmers can apply for the input subsidy until 30 November.",
+        image: "https://jharkhand.example.gov.in/img/krishi.png",
+        publishedAt: "2026-10-12T02:30:00.000Z",
+        source: "Jharkhand Government",
+      });
+      expect(articles[1].description).toBe("Free check-ups at the district hospital.");
+      expect(articles[1].publishedAt).toBe("2026-10-11T12:00:00.000Z");
+    });
+
+    test("should reject documents that aren't feeds", () => {
+      expect(() => parseFeed("<html><body>Not found</body></html>", RSS_FEED))
+          .toThrow("Feed is not an RSS 2.0 or Atom document");
+    });
+  });
+
+  describe("fetchFeedCached", () => {
+    test("should page through the feed's items", async () => {
+      axios.get.mockResolvedValue({ data: readFixture("district-news.rss.xml") });
+
+      const page = await fetchFeedCached(RSS_FEED, { page: 2, maxItems: 1 });
+
+      expect(axios.get.mock.calls[0][0]).toBe(RSS_FEED.url);
+      expect(page.map((article) => article.title)).toEqual(["Road repairs on the Patratu highway"]);
+    });
+  });
+
+  describe("fetchNewsForQueries with feeds", () => {
+    test("should merge feed items with the API results", async () => {
+      axios.get.mockImplementation(async (url) => {
+        if (url === RSS_FEED.url) {
+          return { data: readFixture("district-news.rss.xml") };
+        }
+        if (url === ATOM_FEED.url) {
+          throw Object.assign(new Error("Request failed with status code 404"), {
+            response: { status: 404 },
+          });
+        }
+        return {
+          data: {
+            articles: [
+              { title: "API copy", url: "https://ramgarh.example.in/news/water-plant" },
+              { title: "API only", url: "https://example.com/api-only" },
+            ],
+          },
+        };
+      });
+
+      const failures = [];
+      const articles = await fetchNewsForQueries(
+          [{ query: "Ramgarh news", category: "local" }],
+          "key",
+          "gnews",
+          {
+            feeds: [RSS_FEED, ATOM_FEED],
+            failures,
+            outbound: createOutboundClient({ retries: 0 }),
+          },
+      );
+
+      expect(articles.map((article) => article.url)).toEqual([
+        "https://ramgarh.example.in/news/water-plant",
+        "https://example.com/api-only",
+        "https://ramgarh.example.in/news/road-repairs",
+      ]);
+      expect(articles[0].queryMatches).toBe(2);
+      expect(articles[2]).toMatchObject({ provider: "feed", category: "local" });
+      expect(failures).toEqual([expect.objectContaining({
+        query: ATOM_FEED.url,
+        status: 404,
+      })]);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for Feed Output
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  resolveFeedFormat,
+  escapeXml,
+  buildFeed,
+  isNotModified,
+  sendFeed,
+} = require("../utils/feedWriter");
+const { parseFeed } = require("../utils/feedSource");
+
+const RESPONSE = {
+  status: "success",
+  results: [
+    {
+      title: "Fish & chips <shop> opens",
+      url: "https://example.com/news?a=1&b=2",
+      summary: "A \"new\" shop opened on Main Street.",
+      image: "https://example.com/shop.jpg",
+      publishedAt: "2024-01-15T08:00:00Z",
+      category: "business",
+      language: "en",
+    },
+    {
+      title: "Undated story",
+      url: "https://example.com/undated",
+      summary: "No date.",
+      image: "",
+      publishedAt: "",
+      category: "local",
+      language: "en",
+    },
+  ],
+};
+
+const META = {
+  title: "News for Ramgarh",
+  description: "Local news",
+  selfUrl: "https://example.com/getNewsHttp?city=Ramgarh&format=rss",
+};
+
+/**
+ * Create a mock HTTP response
+ * @returns {Object} Response recording headers, status and body
+ */
+function createResponse() {
+  const res = { headers: {}, statusCode: null, body: undefined };
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+  });
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.send = jest.fn((body) => {
+    res.body = body;
+  });
+  res.end = jest.fn();
+  return res;
+}
+
+describe("Feed Writer Tests", () => {
+  describe("resolveFeedFormat", () => {
+    test("should prefer the format parameter over the Accept header", () => {
+      expect(resolveFeedFormat({
+        query: { format: "atom" },
+        headers: { accept: "application/rss+xml" },
+      })).toBe("atom");
+      expect(resolveFeedFormat({ query: {}, headers: { accept: "application/feed+json" } }))
+          .toBe("jsonfeed");
+      expect(resolveFeedFormat({ query: {}, headers: { accept: "application/json" } })).toBeNull();
+    });
+
+    test("should reject unknown formats", () => {
+      expect(() => resolveFeedFormat({ query: { format: "csv" }, headers: {} }))
+          .toThrow("Format must be one of: rss, atom, jsonfeed.");
+    });
+  });
+
+  describe("escapeXml", () => {
+    test("should escape markup and drop control characters", () => {
+      expect(escapeXml("<a href=\"x\">Tom & Jerry's</a>\u0007"))
+          .toBe("&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;");
+    });
+  });
+
+  describe("buildFeed", () => {
+    test("should render RSS that feed readers can parse", () => {
+      const feed = buildFeed(RESPONSE, "rss", META);
+
+      expect(feed.contentType).toBe("application/rss+xml; charset=utf-8");
+      expect(feed.lastModified.toISOString()).toBe("2024-01-15T08:00:00.000Z");
+      expect(feed.body).toContain("<title>Fish &amp; chips &lt;shop&gt; opens</title>");
+      expect(feed.body).toContain("<pubDate>Mon, 15 Jan 2024 08:00:00 GMT</pubDate>");
+
+      const items = parseFeed(feed.body, { url: META.selfUrl, language: "en" });
+      expect(items[0]).toMatchObject({
+        url: "https://example.com/news?a=1&b=2",
+        description: "A \"new\" shop opened on Main Street.",
+        image: "https://example.com/shop.jpg",
+        source: "News for Ramgarh",
+      });
+    });
+
+    test("should render Atom that feed readers can parse", () => {
+      const feed = buildFeed(RESPONSE, "atom", META);
+
+      const items = parseFeed(feed.body, { url: META.selfUrl, language: "en" });
+      expect(items.map((item) => item.url)).toEqual([
+        "https://example.com/news?a=1&b=2",
+        "https://example.com/undated",
+      ]);
+      // Undated entries use the feed's update time
+      expect(items[1].publishedAt).toBe("2024-01-15T08:00:00.000Z");
+    });
+
+    test("should render JSON Feed 1.1", () => {
+      const feed = buildFeed(RESPONSE, "jsonfeed", META);
+      const json = JSON.parse(feed.body);
+
+      expect(json.version).toBe("https://jsonfeed.org/version/1.1");
+      expect(json.items[0]).toEqual({
+        id: "https://example.com/news?a=1&b=2",
+        url: "https://example.com/news?a=1&b=2",
+        title: "Fish & chips <shop> opens",
+        content_text: "A \"new\" shop opened on Main Street.",
+        image: "https://example.com/shop.jpg",
+        date_published: "2024-01-15T08:00:00.000Z",
+        tags: ["business"],
+        language: "en",
+      });
+      expect(json.items[1].date_published).toBeUndefined();
+    });
+
+    test("should give the same ETag to the same feed", () => {
+      expect(buildFeed(RESPONSE, "rss", META).etag).toBe(buildFeed(RESPONSE, "rss", META).etag);
+      expect(buildFeed(RESPONSE, "rss", META).etag).not.toBe(buildFeed(RESPONSE, "atom", META).etag);
+    });
+  });
+
+  describe("isNotModified", () => {
+    const lastModified = new Date("2024-01-15T08:00:00Z");
+
+    test("should match If-None-Match, ignoring weak tags", () => {
+      expect(isNotModified({ headers: { "if-none-match": "\"a\", W/\"b\"" } }, "\"b\"", lastModified))
+          .toBe(true);
+      expect(isNotModified({ headers: { "if-none-match": "\"a\"" } }, "\"b\"", lastModified))
+          .toBe(false);
+    });
+
+    test("should compare If-Modified-Since when there is no If-None-Match", () => {
+      const headers = { "if-modified-since": "Mon, 15 Jan 2024 08:00:00 GMT" };
+      expect(isNotModified({ headers }, "\"b\"", lastModified)).toBe(true);
+      expect(isNotModified({ headers }, "\"b\"", new Date("2024-01-15T09:00:00Z"))).toBe(false);
+    });
+  });
+
+  describe("sendFeed", () => {
+    test("should send the feed with its validators", () => {
+      const res = createResponse();
+
+      sendFeed({ headers: {} }, res, RESPONSE, "rss", META);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["Content-Type"]).toBe("application/rss+xml; charset=utf-8");
+      expect(res.headers["Last-Modified"]).toBe("Mon, 15 Jan 2024 08:00:00 GMT");
+      expect(res.body).toContain("<rss version=\"2.0\"");
+    });
+
+    test("should answer a matching conditional GET with 304", () => {
+      const first = createResponse();
+      sendFeed({ headers: {} }, first, RESPONSE, "rss", META);
+
+      const res = createResponse();
+      sendFeed({ headers: { "if-none-match": first.headers.ETag } }, res, RESPONSE, "rss", META);
+
+      expect(res.statusCode).toBe(304);
+      expect(res.send).not.toHaveBeenCalled();
+      expect(res.end).toHaveBeenCalled();
+    });
+  });
+});
@@ -10,6 +10,7 @@ const {
   buildCommunityQueries,
   buildAllQueries,
 } = require("../utils/queryBuilder");
+const { formatQuery } = require("../utils/querySyntax");
 
 // Mock the external dependencies
 jest.mock("axios");
@@ -20,13 +21,20 @@ const { OpenAI } = require("openai");
 
 const {
   fetchFromGNews,
+  resolveProviderChain,
   fetchNewsForQueries,
 } = require("../utils/newsFetcher");
 
 const {
+  summarizeArticle,
   summarizeArticles,
+  summarizeDigest,
 } = require("../utils/summarizer");
 
+const { createCache, createMemoryBackend } = require("../utils/cache");
+const { hashUrl } = require("../utils/pagination");
+const { createOutboundClient } = require("../utils/outbound");
+
 describe("Query Builder Tests", () => {
   describe("buildLocalQueries", () => {
     test("should build queries from full location", () => {
@@ -36,13 +44,19 @@ describe("Query Builder Tests", () => {
         country: "India",
       };
 
-      const queries = buildLocalQueries(location);
+      const queries = buildLocalQueries(location).map(formatQuery);
 
-      expect(queries).toContain("Ramgarh news");
-      expect(queries).toContain("Ramgarh local news");
-      expect(queries).toContain("Jharkhand local news");
-      expect(queries).toContain("India national news");
-      expect(queries.length).toBe(6);
+      expect(queries).toEqual([
+        "\"Ramgarh\" AND \"Jharkhand\"",
+        "\"Jharkhand\" AND (\"local news\" OR \"latest news\")",
+        "\"India\" AND (\"national news\" OR \"latest news\")",
+      ]);
+    });
+
+    test("should pair the city with the country when the state is missing", () => {
+      const queries = buildLocalQueries({ city: "Ramgarh", country: "India" }).map(formatQuery);
+
+      expect(queries).toContain("\"Ramgarh\" AND \"India\"");
     });
 
     test("should handle missing city", () => {
@@ -51,11 +65,11 @@ describe("Query Builder Tests", () => {
         country: "India",
       };
 
-      const queries = buildLocalQueries(location);
+      const queries = buildLocalQueries(location).map(formatQuery);
 
-      expect(queries).not.toContain("undefined news");
-      expect(queries).toContain("Jharkhand local news");
-      expect(queries).toContain("India national news");
+      expect(queries.join(" ")).not.toContain("undefined");
+      expect(queries).toContain("\"Jharkhand\" AND (\"local news\" OR \"latest news\")");
+      expect(queries).toContain("\"India\" AND (\"national news\" OR \"latest news\")");
     });
 
     test("should return empty array for null location", () => {
@@ -70,15 +84,26 @@ describe("Query Builder Tests", () => {
   });
 
   describe("buildBusinessQueries", () => {
-    test("should build queries for business interests", () => {
+    test("should OR business interests into one query", () => {
       const interests = ["Bakery", "Gift Studio"];
 
-      const queries = buildBusinessQueries(interests);
+      const queries = buildBusinessQueries(interests).map(formatQuery);
 
-      expect(queries).toContain("Bakery business news");
-      expect(queries).toContain("Bakery trends");
-      expect(queries).toContain("Gift Studio business news");
-      expect(queries).toContain("Gift Studio trends");
+      expect(queries).toEqual([
+        "(\"Bakery\" OR \"Gift Studio\") AND (business OR market OR trends)",
+      ]);
+    });
+
+    test("should start a new query when the interests no longer fit", () => {
+      const interests = Array.from({ length: 10 }, (_, index) => `Interest number ${index}`);
+
+      const queries = buildBusinessQueries(interests).map(formatQuery);
+
+      expect(queries.length).toBeGreaterThan(1);
+      queries.forEach((query) => expect(query.length).toBeLessThanOrEqual(200));
+      interests.forEach((interest) => {
+        expect(queries.filter((query) => query.includes(`"${interest}"`)).length).toBe(1);
+      });
     });
 
     test("should handle empty array", () => {
@@ -94,10 +119,9 @@ describe("Query Builder Tests", () => {
     test("should filter out empty strings", () => {
       const interests = ["Bakery", "", "  "];
 
-      const queries = buildBusinessQueries(interests);
+      const queries = buildBusinessQueries(interests).map(formatQuery);
 
-      expect(queries).toContain("Bakery business news");
-      expect(queries.length).toBe(2);
+      expect(queries).toEqual(["\"Bakery\" AND (business OR market OR trends)"]);
     });
   });
 
@@ -105,11 +129,11 @@ describe("Query Builder Tests", () => {
     test("should build queries for community interest", () => {
       const community = "Dalit empowerment";
 
-      const queries = buildCommunityQueries(community);
+      const queries = buildCommunityQueries(community).map(formatQuery);
 
-      expect(queries).toContain("Dalit empowerment schemes");
-      expect(queries).toContain("Dalit empowerment news");
-      expect(queries).toContain("Dalit empowerment initiatives");
+      expect(queries).toEqual([
+        "\"Dalit empowerment\" AND (schemes OR news OR initiatives)",
+      ]);
     });
 
     test("should handle empty string", () => {
@@ -134,14 +158,26 @@ describe("Query Builder Tests", () => {
       const queries = buildAllQueries(data);
 
       // Should contain local queries
-      expect(queries).toContain("Ramgarh news");
-      expect(queries).toContain("India national news");
+      expect(queries).toContain("\"Ramgarh\" AND \"Jharkhand\"");
+      expect(queries).toContain("\"India\" AND (\"national news\" OR \"latest news\")");
 
       // Should contain business queries
-      expect(queries).toContain("Bakery business news");
+      expect(queries).toContain("\"Bakery\" AND (business OR market OR trends)");
 
       // Should contain community queries
-      expect(queries).toContain("Dalit empowerment schemes");
+      expect(queries).toContain("\"Dalit empowerment\" AND (schemes OR news OR initiatives)");
+    });
+
+    test("should add exclusion keywords to every query", () => {
+      const queries = buildAllQueries({
+        location: { city: "Ramgarh", state: "Jharkhand" },
+        businessInterests: ["Bakery"],
+        excludeKeywords: ["cricket", " film review ", ""],
+      });
+
+      queries.forEach((query) => {
+        expect(query).toMatch(/ NOT "cricket" NOT "film review"$/);
+      });
     });
 
     test("should remove duplicate queries", () => {
@@ -243,6 +279,273 @@ describe("News Fetcher Tests", () => {
       const uniqueUrls = new Set(articles.map((a) => a.url));
       expect(uniqueUrls.size).toBe(articles.length);
     });
+
+    test("should deduplicate tracking and AMP variants of a URL", async () => {
+      const mockArticle = {
+        title: "Test",
+        description: "Test",
+        image: "",
+        publishedAt: "",
+        source: { name: "Source" },
+      };
+
+      axios.get.mockResolvedValue({
+        data: {
+          articles: [
+            { ...mockArticle, url: "https://example.com/story?utm_source=feed" },
+            { ...mockArticle, url: "https://www.example.com/amp/story#top" },
+          ],
+        },
+      });
+
+      const articles = await fetchNewsForQueries(["query"], "key");
+
+      expect(articles).toHaveLength(1);
+      expect(articles[0].url).toBe("https://example.com/story");
+      expect(articles[0].queryMatches).toBe(1);
+    });
+
+    test("should keep the provider's link apart from tracking parameters", async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          articles: [{
+            title: "Test",
+            url: "https://example.com/amp/story?ref=home&utm_medium=rss&fbclid=abc",
+            source: { name: "Source" },
+          }],
+        },
+      });
+
+      const articles = await fetchNewsForQueries(["query"], "key");
+
+      expect(articles[0].url).toBe("https://example.com/amp/story?ref=home");
+    });
+
+    test("should fall back to the secondary provider when the primary fails", async () => {
+      const quotaError = new Error("Request failed with status code 429");
+      quotaError.response = { status: 429 };
+
+      axios.get
+          .mockRejectedValueOnce(quotaError)
+          .mockResolvedValueOnce({
+            data: {
+              articles: [
+                {
+                  title: "Fallback Article",
+                  url: "https://example.com/fallback",
+                  urlToImage: "https://example.com/image.jpg",
+                  source: { name: "NewsAPI Source" },
+                },
+              ],
+            },
+          });
+
+      const articles = await fetchNewsForQueries(
+          ["query"],
+          { gnews: "gnews-key", newsapi: "newsapi-key" },
+          "gnews",
+      );
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(axios.get.mock.calls[1][0]).toContain("newsapi.org");
+      expect(articles.length).toBe(1);
+      expect(articles[0].provider).toBe("newsapi");
+      expect(articles[0].image).toBe("https://example.com/image.jpg");
+    });
+
+    test("should write structured queries in each provider's syntax", async () => {
+      const quotaError = new Error("Request failed with status code 429");
+      quotaError.response = { status: 429 };
+      const interests = Array.from({ length: 10 }, (_, index) => ({
+        text: `Interest number ${index}`,
+        exact: true,
+      }));
+      const search = { all: [interests, ["business"]], exclude: [{ text: "cricket", exact: true }] };
+
+      axios.get
+          .mockRejectedValueOnce(quotaError)
+          .mockResolvedValueOnce({ data: { articles: [] } });
+
+      await fetchNewsForQueries(
+          [{ query: "Interests", category: "business", search }],
+          { gnews: "gnews-key", newsapi: "newsapi-key" },
+          "gnews",
+      );
+
+      const gnewsQuery = axios.get.mock.calls[0][1].params.q;
+      const newsapiQuery = axios.get.mock.calls[1][1].params.q;
+      expect(gnewsQuery.length).toBeLessThanOrEqual(200);
+      expect(gnewsQuery).not.toContain("NOT \"cricket\"");
+      expect(newsapiQuery).toContain("\"Interest number 9\"");
+      expect(newsapiQuery).toMatch(/ NOT "cricket"$/);
+    });
+
+    test("should retry the provider chain after a rate limit", async () => {
+      const quotaError = new Error("Request failed with status code 429");
+      quotaError.response = { status: 429, headers: { "retry-after": "1" } };
+
+      axios.get
+          .mockRejectedValueOnce(quotaError)
+          .mockResolvedValueOnce({
+            data: { articles: [{ title: "Retried", url: "https://example.com/retried" }] },
+          });
+
+      const sleep = jest.fn().mockResolvedValue();
+      const articles = await fetchNewsForQueries(["query"], "key", "gnews", {
+        outbound: createOutboundClient({ retries: 1, sleep }),
+      });
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalledWith(1000);
+      expect(articles[0].title).toBe("Retried");
+    });
+
+    test("should report queries that failed", async () => {
+      const serverError = new Error("Request failed with status code 503");
+      serverError.response = { status: 503 };
+
+      axios.get
+          .mockRejectedValueOnce(serverError)
+          .mockResolvedValueOnce({
+            data: { articles: [{ title: "Ok", url: "https://example.com/ok" }] },
+          });
+
+      const failures = [];
+      const articles = await fetchNewsForQueries(["failing", "working"], "key", "gnews", {
+        outbound: createOutboundClient({ retries: 0, concurrency: 1 }),
+        failures,
+      });
+
+      expect(articles).toHaveLength(1);
+      expect(failures).toEqual([{
+        query: "failing",
+        language: "en",
+        status: 503,
+        code: null,
+        error: "Failed to fetch news: Request failed with status code 503",
+      }]);
+    });
+
+    test("should tag articles with the provider that served them", async () => {
+      axios.get.mockResolvedValue({
+        data: { articles: [{ title: "Test", url: "https://example.com/a" }] },
+      });
+
+      const articles = await fetchNewsForQueries(["query"], "key", "gnews");
+
+      expect(articles[0].provider).toBe("gnews");
+    });
+
+    test("should carry query categories onto articles", async () => {
+      axios.get.mockResolvedValue({
+        data: { articles: [{ title: "Shared", url: "https://example.com/shared" }] },
+      });
+
+      const articles = await fetchNewsForQueries(
+          [
+            { query: "India national news", category: "national" },
+            { query: "Bakery business news", category: "business" },
+          ],
+          "key",
+      );
+
+      expect(articles.length).toBe(1);
+      expect(articles[0].category).toBe("business");
+      expect(articles[0].otherCategories).toEqual(["national"]);
+    });
+
+    test("should serve repeated queries from the cache", async () => {
+      axios.get.mockResolvedValue({
+        data: { articles: [{ title: "Cached", url: "https://example.com/cached" }] },
+      });
+      const cache = createCache("news", createMemoryBackend(), 60);
+      const cacheStats = { hits: 0, misses: 0 };
+
+      await fetchNewsForQueries(["query"], "key", "gnews", { cache, cacheStats });
+      const articles = await fetchNewsForQueries(["query"], "key", "gnews", {
+        cache,
+        cacheStats,
+      });
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(articles[0].title).toBe("Cached");
+      expect(cacheStats).toEqual({ hits: 1, misses: 1 });
+    });
+
+    test("should request the given page and skip articles served on earlier pages", async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          articles: [
+            { title: "Old", url: "https://example.com/old" },
+            { title: "New", url: "https://example.com/new" },
+          ],
+        },
+      });
+
+      const articles = await fetchNewsForQueries(["query"], "key", "newsapi", {
+        page: 2,
+        seenUrlHashes: new Set([hashUrl("https://example.com/old")]),
+      });
+
+      expect(axios.get.mock.calls[0][1].params.page).toBe(2);
+      expect(articles.map((a) => a.title)).toEqual(["New"]);
+    });
+
+    test("should search each language and tag articles with their language", async () => {
+      axios.get.mockImplementation(async (url, { params }) => ({
+        data: {
+          articles: [
+            { title: `Article ${params.lang}`, url: `https://example.com/${params.lang}` },
+          ],
+        },
+      }));
+
+      const articles = await fetchNewsForQueries(["Ramgarh news"], "key", "gnews", {
+        languages: ["hi", "en"],
+        country: "in",
+      });
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(axios.get.mock.calls[0][1].params.country).toBe("in");
+      expect(articles.map((a) => a.language).sort()).toEqual(["en", "hi"]);
+    });
+
+    test("should skip providers that don't support a language", async () => {
+      axios.get.mockResolvedValue({
+        data: { articles: [{ title: "Hindi", url: "https://example.com/hi" }] },
+      });
+
+      const articles = await fetchNewsForQueries(
+          ["query"],
+          { gnews: "gnews-key", newsapi: "newsapi-key" },
+          "newsapi",
+          { languages: ["hi"] },
+      );
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get.mock.calls[0][0]).toContain("gnews.io");
+      expect(articles[0].provider).toBe("gnews");
+    });
+  });
+
+  describe("resolveProviderChain", () => {
+    test("should put the primary provider first", () => {
+      const chain = resolveProviderChain({ gnews: "g", newsapi: "n" }, "newsapi");
+
+      expect(chain.map((entry) => entry.provider)).toEqual(["newsapi", "gnews"]);
+    });
+
+    test("should skip providers without a key", () => {
+      const chain = resolveProviderChain({ gnews: "g", newsapi: undefined }, "newsapi");
+
+      expect(chain).toEqual([{ provider: "gnews", apiKey: "g" }]);
+    });
+
+    test("should use a plain string key for the primary provider only", () => {
+      const chain = resolveProviderChain("key", "newsapi");
+
+      expect(chain).toEqual([{ provider: "newsapi", apiKey: "key" }]);
+    });
   });
 });
 
@@ -251,6 +554,26 @@ describe("Summarizer Tests", () => {
     jest.clearAllMocks();
   });
 
+  describe("summarizeArticle", () => {
+    const article = { title: "Test", description: "Original description" };
+
+    test("should return the model's summary", async () => {
+      const llm = { complete: jest.fn().mockResolvedValue(" AI generated summary ") };
+
+      await expect(summarizeArticle(article, llm, "test-model", "hi")).resolves.toBe("AI generated summary");
+      expect(llm.complete).toHaveBeenCalledWith(expect.objectContaining({
+        model: "test-model",
+        system: expect.stringContaining("Write the summary in Hindi."),
+      }));
+    });
+
+    test("should fall back to the description when the model fails", async () => {
+      const llm = { complete: jest.fn().mockRejectedValue(new Error("API Error")) };
+
+      await expect(summarizeArticle(article, llm)).resolves.toBe("Original description");
+    });
+  });
+
   describe("summarizeArticles", () => {
     test("should return articles with description as summary when AI is disabled", async () => {
       const articles = [
@@ -348,6 +671,330 @@ describe("Summarizer Tests", () => {
 
       expect(result[0].summary).toBe("Fallback description");
     });
+
+    test("should cache summaries by article URL and model", async () => {
+      const mockCreate = jest.fn().mockResolvedValue({
+        choices: [{ message: { content: "Cached summary" } }],
+      });
+      OpenAI.mockImplementation(() => ({
+        chat: { completions: { create: mockCreate } },
+      }));
+
+      const cache = createCache("summary", createMemoryBackend(), 60);
+      const cacheStats = { hits: 0, misses: 0 };
+      const articles = [
+        {
+          title: "Test",
+          url: "https://example.com/cached",
+          description: "Description",
+        },
+      ];
+
+      await summarizeArticles(articles, "valid-key", true, { cache, cacheStats });
+      const result = await summarizeArticles(articles, "valid-key", true, {
+        cache,
+        cacheStats,
+      });
+
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+      expect(result[0].summary).toBe("Cached summary");
+      expect(cacheStats).toEqual({ hits: 1, misses: 1 });
+    });
+
+    test("should ask for the requested summary language", async () => {
+      const mockCreate = jest.fn().mockResolvedValue({
+        choices: [{ message: { content: "सारांश" } }],
+      });
+      OpenAI.mockImplementation(() => ({
+        chat: { completions: { create: mockCreate } },
+      }));
+
+      const articles = [
+        { title: "Test", url: "https://example.com/en", description: "D", language: "en" },
+      ];
+
+      await summarizeArticles(articles, "valid-key", true, { summaryLanguage: "hi" });
+
+      const systemPrompt = mockCreate.mock.calls[0][0].messages[0].content;
+      expect(systemPrompt).toContain("Write the summary in Hindi.");
+    });
+
+    test("should summarize in the article language by default", async () => {
+      const mockCreate = jest.fn().mockResolvedValue({
+        choices: [{ message: { content: "Summary" } }],
+      });
+      OpenAI.mockImplementation(() => ({
+        chat: { completions: { create: mockCreate } },
+      }));
+
+      const articles = [
+        { title: "Test", url: "https://example.com/hi", description: "D", language: "hi" },
+      ];
+
+      const result = await summarizeArticles(articles, "valid-key", true);
+
+      expect(mockCreate.mock.calls[0][0].messages[0].content).toContain("Hindi");
+      expect(result[0].language).toBe("hi");
+    });
+
+    test("should not cache the description fallback", async () => {
+      OpenAI.mockImplementation(() => ({
+        chat: {
+          completions: {
+            create: jest.fn().mockRejectedValue(new Error("API Error")),
+          },
+        },
+      }));
+
+      const cache = createCache("summary", createMemoryBackend(), 60);
+      const articles = [{ title: "Test", url: "https://example.com/x", description: "D" }];
+
+      await summarizeArticles(articles, "valid-key", true, { cache });
+
+      expect(await cache.get("gpt-4o-mini|https://example.com/x")).toBeNull();
+    });
+
+    test("should report each result as soon as it is ready", async () => {
+      OpenAI.mockImplementation(() => ({
+        chat: {
+          completions: {
+            create: jest.fn()
+                .mockResolvedValueOnce({ choices: [{ message: { content: "First summary" } }] })
+                .mockRejectedValueOnce(new Error("API Error")),
+          },
+        },
+      }));
+
+      const onResult = jest.fn();
+      const articles = [
+        { title: "One", url: "https://example.com/1", description: "First description" },
+        { title: "Two", url: "https://example.com/2", description: "Second description" },
+      ];
+
+      await summarizeArticles(articles, "valid-key", true, { onResult });
+
+      expect(onResult).toHaveBeenCalledTimes(2);
+      expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ summary: "First summary" }), 0);
+      expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ summary: "Second description" }), 1);
+    });
+
+    test("should collect the articles that fell back to their description", async () => {
+      OpenAI.mockImplementation(() => ({
+        chat: {
+          completions: {
+            create: jest.fn()
+                .mockResolvedValueOnce({ choices: [{ message: { content: "First summary" } }] })
+                .mockRejectedValueOnce(new Error("API Error")),
+          },
+        },
+      }));
+
+      const failures = [];
+      await summarizeArticles(
+          [
+            { title: "One", url: "https://example.com/1", description: "First description" },
+            { title: "Two", url: "https://example.com/2", description: "Second description" },
+          ],
+          "valid-key",
+          true,
+          { failures },
+      );
+
+      expect(failures).toEqual([{ url: "https://example.com/2", error: "API Error" }]);
+    });
+
+    test("should record how each article was summarized", async () => {
+      OpenAI.mockImplementation(() => ({
+        chat: {
+          completions: {
+            create: jest.fn()
+                .mockResolvedValueOnce({ choices: [{ message: { content: "AI summary" } }] })
+                .mockRejectedValue(new Error("API Error")),
+          },
+        },
+      }));
+
+      const result = await summarizeArticles(
+          [
+            { title: "One", url: "https://example.com/1", description: "First description" },
+            {
+              title: "Market reopens",
+              url: "https://example.com/2",
+              description: "The market reopened today.",
+              content: "The market reopened today. Traders said footfall doubled after the festival " +
+                "season began. [+900 chars]",
+            },
+            { title: "Three", url: "https://example.com/3", description: "Third description" },
+          ],
+          "valid-key",
+          true,
+      );
+
+      expect(result.map((item) => item.summaryMethod)).toEqual(["llm", "extractive", "description"]);
+      expect(result[1].summary).toBe("The market reopened today. " +
+        "Traders said footfall doubled after the festival season began.");
+    });
+
+    test("should summarize offline without an API key", async () => {
+      const result = await summarizeArticles(
+          [{
+            title: "Market reopens",
+            url: "https://example.com/2",
+            description: "The market reopened today.",
+            content: "Traders said footfall doubled after the festival season began.",
+          }],
+          null,
+          true,
+      );
+
+      expect(result[0].summaryMethod).toBe("extractive");
+      expect(result[0]).not.toHaveProperty("content");
+    });
+
+    test("should report description results when AI is disabled", async () => {
+      const onResult = jest.fn();
+
+      await summarizeArticles(
+          [{ title: "One", url: "https://example.com/1", description: "First description" }],
+          null,
+          false,
+          { onResult },
+      );
+
+      expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ summary: "First description" }), 0);
+    });
+
+    test("should add structured enrichment in enrichment mode", async () => {
+      const mockCreate = jest.fn().mockResolvedValue({
+        choices: [{
+          message: {
+            content: JSON.stringify({
+              summary: "Ramgarh opens a new bakery training centre.",
+              topic: "Business",
+              sentiment: "positive",
+              entities: { places: ["Ramgarh"], organizations: [], schemes: ["PMEGP"] },
+              relevance: 0.9,
+            }),
+          },
+        }],
+      });
+      OpenAI.mockImplementation(() => ({
+        chat: { completions: { create: mockCreate } },
+      }));
+
+      const result = await summarizeArticles(
+          [{ title: "Bakery centre", url: "https://example.com/e", description: "D" }],
+          "valid-key",
+          true,
+          { enrich: true, readerContext: { location: { city: "Ramgarh" }, community: "Dalit empowerment" } },
+      );
+
+      const request = mockCreate.mock.calls[0][0];
+      expect(request.response_format).toEqual({ type: "json_object" });
+      expect(request.messages[1].content).toContain("Reader location: Ramgarh");
+      expect(result[0].summary).toBe("Ramgarh opens a new bakery training centre.");
+      expect(result[0].enrichment).toEqual({
+        topic: "business",
+        sentiment: "positive",
+        entities: { places: ["Ramgarh"], organizations: [], schemes: ["PMEGP"] },
+        relevance: 0.9,
+      });
+    });
+
+    test("should write a briefing that cites its source articles", async () => {
+      const mockCreate = jest.fn().mockResolvedValue({
+        choices: [{
+          message: {
+            content: JSON.stringify({
+              sections: [
+                { category: "business", text: "Bakeries expand.", sources: [2] },
+                { category: "local", text: "The fair opens today.", sources: [1, 1] },
+              ],
+            }),
+          },
+        }],
+      });
+      OpenAI.mockImplementation(() => ({
+        chat: { completions: { create: mockCreate } },
+      }));
+
+      const briefing = await summarizeDigest(
+          [
+            { title: "Fair opens", url: "https://example.com/fair", summary: "S1", category: "local" },
+            { title: "No category", url: "https://example.com/none", summary: "S2" },
+            { title: "Bakeries", url: "https://example.com/bakery", summary: "S3", category: "business" },
+          ],
+          "valid-key",
+      );
+
+      expect(mockCreate.mock.calls[0][0].messages[1].content).toContain("[2] (business) Bakeries");
+      expect(briefing).toEqual({
+        sections: [
+          {
+            category: "local",
+            text: "The fair opens today.",
+            sources: [{ index: 0, url: "https://example.com/fair", title: "Fair opens" }],
+          },
+          {
+            category: "business",
+            text: "Bakeries expand.",
+            sources: [{ index: 2, url: "https://example.com/bakery", title: "Bakeries" }],
+          },
+        ],
+      });
+    });
+
+    test("should return no briefing when the reply cites unknown articles", async () => {
+      OpenAI.mockImplementation(() => ({
+        chat: {
+          completions: {
+            create: jest.fn().mockResolvedValue({
+              choices: [{
+                message: {
+                  content: JSON.stringify({
+                    sections: [{ category: "local", text: "Text", sources: [5] }],
+                  }),
+                },
+              }],
+            }),
+          },
+        },
+      }));
+
+      const failures = [];
+      const briefing = await summarizeDigest(
+          [{ title: "Fair", url: "https://example.com/fair", summary: "S", category: "local" }],
+          "valid-key",
+          { failures },
+      );
+
+      expect(briefing).toBeNull();
+      expect(failures).toEqual([{ error: "The model returned an invalid briefing" }]);
+    });
+
+    test("should fall back to the description when enrichment is malformed", async () => {
+      OpenAI.mockImplementation(() => ({
+        chat: {
+          completions: {
+            create: jest.fn().mockResolvedValue({
+              choices: [{ message: { content: "{\"summary\": \"Cut off" } }],
+            }),
+          },
+        },
+      }));
+
+      const failures = [];
+      const result = await summarizeArticles(
+          [{ title: "Test", url: "https://example.com/m", description: "Fallback description" }],
+          "valid-key",
+          true,
+          { enrich: true, failures },
+      );
+
+      expect(result[0].summary).toBe("Fallback description");
+      expect(result[0].enrichment).toBeNull();
+      expect(failures[0].error).toContain("invalid enrichment");
+    });
   });
 });
 
@@ -0,0 +1,312 @@
+/**
+ * Unit Tests for the getNewsHttp Endpoint
+ */
+
+/* eslint-disable no-undef */
+
+jest.mock("axios");
+jest.mock("openai");
+jest.mock("firebase-admin", () => {
+  const profiles = new Map();
+  const firestore = {
+    collection: (name) => ({
+      doc: (id) => ({
+        get: async () => ({
+          exists: name === "newsProfiles" && profiles.has(id),
+          data: () => profiles.get(id),
+        }),
+        set: async () => {},
+      }),
+    }),
+  };
+
+  return {
+    mockProfiles: profiles,
+    initializeApp: jest.fn(),
+    firestore: () => firestore,
+    auth: () => ({
+      verifyIdToken: async (token) => {
+        if (token !== "valid-token") {
+          throw new Error("Invalid token");
+        }
+        return { uid: "user-1" };
+      },
+    }),
+  };
+});
+
+process.env.GNEWS_API_KEY = "test-key";
+
+const axios = require("axios");
+const admin = require("firebase-admin");
+const { getNewsHttp } = require("../index");
+
+/**
+ * Create a stand-in for an Express response that records what was sent
+ * @returns {Object} Response with `statusCode`, `headers`, `body` and the
+ *   streamed `chunks`, plus a `finished` promise
+ */
+function createResponse() {
+  let finish;
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    finished: new Promise((resolve) => {
+      finish = resolve;
+    }),
+  };
+
+  res.set = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    finish();
+    return res;
+  };
+  res.send = (body) => {
+    res.body = body;
+    finish();
+    return res;
+  };
+  res.write = (chunk) => {
+    res.chunks.push(chunk);
+    return true;
+  };
+  res.end = () => {
+    finish();
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Call getNewsHttp and wait for the response to finish
+ * @param {Object} request - Request fields: method, query, body, headers, ip
+ * @returns {Promise<Object>} Finished response, see createResponse
+ */
+async function callHttp(request) {
+  const req = {
+    method: "GET",
+    query: {},
+    body: {},
+    protocol: "https",
+    originalUrl: "/getNewsHttp",
+    ...request,
+    headers: { host: "example.test", ...request.headers },
+  };
+  const res = createResponse();
+  await getNewsHttp(req, res);
+  await res.finished;
+  return res;
+}
+
+/**
+ * Read the event names from a streamed response
+ * @param {Object} res - Response from callHttp
+ * @returns {Object[]} Events as { event, data }
+ */
+function readEvents(res) {
+  return res.chunks.join("").split("\n\n").filter(Boolean).map((block) => {
+    const [eventLine, dataLine] = block.split("\n");
+    return {
+      event: eventLine.slice("event: ".length),
+      data: JSON.parse(dataLine.slice("data: ".length)),
+    };
+  });
+}
+
+const ramgarh = { city: "Ramgarh", state: "Jharkhand", country: "India" };
+
+describe("getNewsHttp Tests", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    admin.mockProfiles.clear();
+
+    const publishedAt = new Date(Date.now() - 3600000).toISOString();
+    axios.get.mockImplementation(async (url, { params }) => ({
+      data: {
+        articles: [{
+          title: `Story for ${params.q}`,
+          description: "A local story.",
+          url: `https://news.example.com/${encodeURIComponent(params.q)}`,
+          publishedAt,
+          source: { name: "Example News" },
+        }],
+      },
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("shared profiles", () => {
+    test("should return not-found for an unknown profile", async () => {
+      const res = await callHttp({ query: { profile: "nobody", format: "rss" }, ip: "10.1.0.1" });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body).toMatchObject({ code: "not-found" });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test("should return not-found for a profile that isn't shared", async () => {
+      admin.mockProfiles.set("owner-1", { location: ramgarh });
+
+      const res = await callHttp({ query: { profile: "owner-1", format: "rss" }, ip: "10.1.0.2" });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe("No shared news profile was found with this ID.");
+    });
+
+    test("should let query parameters override the shared profile", async () => {
+      admin.mockProfiles.set("owner-2", { location: ramgarh, feedEnabled: true });
+
+      const res = await callHttp({
+        query: { profile: "owner-2", city: "Bokaro", format: "jsonfeed" },
+        ip: "10.1.0.3",
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(JSON.parse(res.body).title).toBe("News for Bokaro");
+      const queries = axios.get.mock.calls.map(([, { params }]) => params.q);
+      expect(queries.some((query) => query.includes("\"Bokaro\""))).toBe(true);
+      expect(queries.some((query) => query.includes("\"Ramgarh\""))).toBe(false);
+    });
+
+    test("should answer 304 when If-None-Match has the feed's ETag", async () => {
+      admin.mockProfiles.set("owner-3", { location: ramgarh, feedEnabled: true });
+      const request = { query: { profile: "owner-3", format: "rss" }, ip: "10.1.0.4" };
+
+      const first = await callHttp(request);
+      const second = await callHttp({
+        ...request,
+        headers: { "if-none-match": first.headers.etag },
+      });
+
+      expect(first.statusCode).toBe(200);
+      expect(first.headers.etag).toMatch(/^"[0-9a-f]{40}"$/);
+      expect(second.statusCode).toBe(304);
+      expect(second.body).toBeUndefined();
+    });
+  });
+
+  describe("Cache-Control", () => {
+    test("should let anyone cache an anonymous GET", async () => {
+      const res = await callHttp({ query: { city: "Ramgarh" }, ip: "10.2.0.1" });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["cache-control"]).toBe("public, max-age=300");
+    });
+
+    test("should only let the caller cache an authenticated GET", async () => {
+      const res = await callHttp({
+        query: { city: "Ramgarh" },
+        headers: { authorization: "Bearer valid-token" },
+        ip: "10.2.0.2",
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["cache-control"]).toBe("private, max-age=300");
+    });
+
+    test("should not mark POST responses cacheable", async () => {
+      const res = await callHttp({ method: "POST", body: { location: ramgarh }, ip: "10.2.0.3" });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["cache-control"]).toBeUndefined();
+    });
+
+    test("should never cache errors", async () => {
+      const res = await callHttp({ query: { interest: "Bakery" }, ip: "10.2.0.4" });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.headers["cache-control"]).toBe("no-store");
+    });
+  });
+
+  describe("streaming", () => {
+    test("should send articles, the ranking, their summaries, then done", async () => {
+      const res = await callHttp({
+        method: "POST",
+        body: { location: { city: "Ramgarh" }, stream: true },
+        ip: "10.3.0.1",
+      });
+      const events = readEvents(res);
+      const names = events.map(({ event }) => event);
+      const ranked = events.find(({ event }) => event === "ranked").data.results;
+      const summaries = events.filter(({ event }) => event === "summary").map(({ data }) => data);
+
+      expect(res.headers["content-type"]).toBe("text/event-stream; charset=utf-8");
+      expect(names[names.length - 1]).toBe("done");
+      expect(names.filter((name) => name === "ranked")).toHaveLength(1);
+      expect(names.lastIndexOf("article")).toBeLessThan(names.indexOf("ranked"));
+      expect(names.indexOf("ranked")).toBeLessThan(names.indexOf("summary"));
+      expect(ranked.length).toBeGreaterThan(0);
+      expect(summaries.map(({ url }) => url).sort()).toEqual(ranked.map(({ url }) => url).sort());
+      const articleUrls = events.filter(({ event }) => event === "article").map(({ data }) => data.url);
+      ranked.forEach(({ url }) => expect(articleUrls).toContain(url));
+      expect(events.find(({ event }) => event === "done").data.status).toBe("success");
+    });
+
+    test("should send a query's articles before the other queries return", async () => {
+      let release;
+      const slowQueries = new Promise((resolve) => {
+        release = resolve;
+      });
+      const respond = axios.get.getMockImplementation();
+      axios.get.mockImplementationOnce(respond)
+          .mockImplementation(async (...args) => {
+            await slowQueries;
+            return respond(...args);
+          });
+
+      const res = createResponse();
+      const pending = getNewsHttp({
+        method: "POST",
+        query: {},
+        // A place no other test asks for, so nothing is served from the cache
+        body: { location: { city: "Kathmandu", state: "Bagmati", country: "Nepal" }, stream: true },
+        headers: { host: "example.test" },
+        ip: "10.3.0.3",
+      }, res);
+      while (!res.chunks.join("").includes("event: article")) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      expect(readEvents(res).map(({ event }) => event)).toEqual(["article"]);
+      expect(readEvents(res)[0].data).toMatchObject({ summaryMethod: "description" });
+
+      release();
+      await pending;
+      await res.finished;
+      expect(readEvents(res).map(({ event }) => event)).toContain("ranked");
+    });
+
+    test("should send an error event when the request fails after the stream opened", async () => {
+      axios.get.mockRejectedValue(new Error("Network Error"));
+
+      const res = await callHttp({
+        method: "POST",
+        // A place no other test asks for, so nothing is served from the cache
+        body: { location: { city: "Hazaribagh" }, stream: true },
+        ip: "10.3.0.2",
+      });
+      const events = readEvents(res);
+
+      expect(res.statusCode).toBe(200);
+      expect(events.map(({ event }) => event)).toEqual(["error"]);
+      expect(events[0].data).toMatchObject({ status: "error", code: "provider-unavailable" });
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for LLM Providers
+ */
+
+/* eslint-disable no-undef */
+
+jest.mock("openai");
+
+const { OpenAI } = require("openai");
+
+const {
+  parsePairList,
+  createOpenAIClient,
+  createOpenAICompatibleProvider,
+  registerLlmProvider,
+  createLlmProvider,
+} = require("../utils/llm");
+const { summarizeArticles } = require("../utils/summarizer");
+
+describe("LLM Tests", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("parsePairList", () => {
+    test("should split each pair on its first colon", () => {
+      expect(parsePairList("api-key:abc,X-Url: https://example.com ,broken")).toEqual({
+        "api-key": "abc",
+        "X-Url": "https://example.com",
+      });
+      expect(parsePairList(undefined)).toEqual({});
+    });
+  });
+
+  describe("createOpenAIClient", () => {
+    test("should point the client at another OpenAI-compatible API", () => {
+      createOpenAIClient("key", {
+        baseURL: "https://example.openai.azure.com/openai/deployments/summaries",
+        headers: { "api-key": "key" },
+        query: { "api-version": "2024-06-01" },
+      });
+
+      expect(OpenAI).toHaveBeenCalledWith({
+        apiKey: "key",
+        maxRetries: 0,
+        baseURL: "https://example.openai.azure.com/openai/deployments/summaries",
+        defaultHeaders: { "api-key": "key" },
+        defaultQuery: { "api-version": "2024-06-01" },
+      });
+    });
+
+    test("should require an API key", () => {
+      expect(() => createOpenAIClient("")).toThrow("OPENAI_API_KEY is not configured");
+    });
+  });
+
+  describe("createOpenAICompatibleProvider", () => {
+    test("should send a chat completion and return the reply", async () => {
+      const mockCreate = jest.fn().mockResolvedValue({
+        choices: [{ message: { content: "{}" } }],
+      });
+      OpenAI.mockImplementation(() => ({
+        chat: { completions: { create: mockCreate } },
+      }));
+
+      const provider = createOpenAICompatibleProvider({ apiKey: "key" });
+      const reply = await provider.complete({
+        model: "llama3.1",
+        system: "System",
+        user: "User",
+        maxTokens: 100,
+        temperature: 0,
+        json: true,
+      });
+
+      expect(reply).toBe("{}");
+      expect(mockCreate).toHaveBeenCalledWith({
+        model: "llama3.1",
+        messages: [
+          { role: "system", content: "System" },
+          { role: "user", content: "User" },
+        ],
+        response_format: { type: "json_object" },
+        max_tokens: 100,
+        temperature: 0,
+      });
+    });
+  });
+
+  describe("createLlmProvider", () => {
+    test("should create registered providers by name", async () => {
+      const factory = jest.fn(({ apiKey }) => ({
+        name: "echo",
+        complete: async ({ user }) => `${apiKey}:${user}`,
+      }));
+      registerLlmProvider("echo", factory);
+
+      const provider = createLlmProvider("key", { provider: "echo" });
+
+      expect(await provider.complete({ user: "hi" })).toBe("key:hi");
+    });
+
+    test("should reject unknown providers", () => {
+      expect(() => createLlmProvider("key", { provider: "missing" }))
+          .toThrow("Unknown LLM provider \"missing\"");
+    });
+  });
+
+  describe("summarizeArticles with a custom provider", () => {
+    test("should use the provider and summary settings without an API key", async () => {
+      const complete = jest.fn().mockResolvedValue(" Short summary ");
+
+      const result = await summarizeArticles(
+          [{ title: "Test", url: "https://example.com/llm", description: "D" }],
+          null,
+          true,
+          {
+            llm: { name: "custom", complete },
+            model: "local-model",
+            settings: {
+              minWords: 20,
+              maxWords: 30,
+              temperature: 0,
+              systemPrompt: "Summarize in {minWords}-{maxWords} words.",
+            },
+          },
+      );
+
+      expect(result[0].summary).toBe("Short summary");
+      expect(complete).toHaveBeenCalledWith(expect.objectContaining({
+        model: "local-model",
+        system: "Summarize in 20-30 words.",
+        temperature: 0,
+      }));
+      expect(complete.mock.calls[0][0].user).toContain("in 20-30 words");
+    });
+  });
+});
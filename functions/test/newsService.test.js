@@ -0,0 +1,249 @@
+/**
+ * Unit Tests for the News Service
+ */
+
+/* eslint-disable no-undef */
+
+jest.mock("axios");
+jest.mock("openai");
+
+const axios = require("axios");
+
+const { STAGES, createNewsService } = require("../utils/newsService");
+
+const request = {
+  location: { city: "Ramgarh", state: "Jharkhand", country: "India" },
+};
+
+/**
+ * Create a service with a GNews key and no OpenAI key
+ * @param {Object} options - Extra createNewsService options
+ * @returns {Object} News service
+ */
+function createTestService(options = {}) {
+  return createNewsService({
+    getApiKeys: () => ({ newsApiKeys: { gnews: "test-key" }, openaiApiKey: "" }),
+    ...options,
+  });
+}
+
+/**
+ * Create stages that record the order they ran in
+ * @param {string[]} calls - List to record into
+ * @returns {Object} Stage implementations
+ */
+function recordingStages(calls) {
+  return Object.fromEntries(STAGES.map((stage) => [stage, async () => {
+    calls.push(stage);
+  }]));
+}
+
+describe("News Service Tests", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should run the stages in order with hooks around them", async () => {
+    const calls = [];
+    const service = createTestService({
+      stages: recordingStages(calls),
+      hooks: { before: { fetch: () => calls.push("service:before:fetch") } },
+    });
+
+    await service.run(request, {
+      hooks: {
+        before: { fetch: () => calls.push("request:before:fetch") },
+        after: { rank: [() => calls.push("request:after:rank")] },
+      },
+    });
+
+    expect(calls).toEqual([
+      "buildQueries",
+      "service:before:fetch",
+      "request:before:fetch",
+      "fetch",
+      "filter",
+      "rank",
+      "request:after:rank",
+      "summarize",
+      "briefing",
+    ]);
+  });
+
+  test("should use a replaced stage's output", async () => {
+    const service = createTestService({
+      stages: {
+        fetch: async (ctx) => {
+          ctx.articles = [{ title: "Stubbed", url: "https://example.com/a", description: "Desc" }];
+        },
+      },
+    });
+
+    const response = await service.run(request);
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(response.results.map((result) => result.title)).toEqual(["Stubbed"]);
+  });
+
+  test("should reject invalid requests", async () => {
+    const service = createTestService();
+
+    await expect(service.run({})).rejects.toMatchObject({ code: "invalid-argument" });
+  });
+
+  test("should reject invalid date ranges", async () => {
+    const service = createTestService();
+
+    await expect(service.run({ ...request, from: "last week" }))
+        .rejects.toMatchObject({ code: "invalid-argument" });
+    await expect(service.run({ ...request, from: "2024-01-10", maxAgeHours: 24 }))
+        .rejects.toThrow("Use either from or maxAgeHours, not both.");
+    await expect(service.run({ ...request, from: "2024-01-12", to: "2024-01-10" }))
+        .rejects.toThrow("From must be before to.");
+  });
+
+  test("should fail when no news provider is configured", async () => {
+    const service = createNewsService({
+      getApiKeys: () => ({ newsApiKeys: {}, openaiApiKey: "" }),
+    });
+
+    await expect(service.run(request)).rejects.toMatchObject({ code: "not-configured" });
+  });
+
+  test("should serve a fresh digest unless told not to", async () => {
+    const loadDigest = jest.fn().mockResolvedValue({ results: [], totalArticles: 0 });
+    const stages = recordingStages([]);
+    const service = createTestService({ loadDigest, stages });
+
+    expect(await service.run(request)).toEqual({ status: "success", results: [], totalArticles: 0 });
+
+    await service.run(request, { useDigest: false });
+    expect(loadDigest).toHaveBeenCalledTimes(1);
+  });
+
+  test("should fetch, rank and fall back to descriptions by default", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        articles: [{
+          title: "Ramgarh market reopens",
+          url: "https://example.com/market?utm_source=feed",
+          description: "The market reopened today",
+          publishedAt: new Date().toISOString(),
+          source: { name: "Example" },
+        }],
+      },
+    });
+
+    const response = await createTestService().run(request);
+
+    expect(response.status).toBe("success");
+    expect(response.totalArticles).toBe(1);
+    expect(response.results[0].url).toBe("https://example.com/market");
+    expect(response.results[0].summary).toBe("The market reopened today");
+    expect(response.queriesUsed).toBeGreaterThan(0);
+    expect(response.warnings).toEqual([]);
+  });
+
+  test("should send the date range to the provider and drop older articles", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        articles: [
+          {
+            title: "Ramgarh fair opens",
+            url: "https://example.com/fair",
+            publishedAt: "2024-01-11T08:00:00Z",
+            source: { name: "Example" },
+          },
+          {
+            title: "Ramgarh fair planned",
+            url: "https://example.com/old-fair",
+            publishedAt: "2023-12-01T08:00:00Z",
+            source: { name: "Example" },
+          },
+        ],
+      },
+    });
+
+    const response = await createTestService().run({
+      ...request,
+      from: "2024-01-10",
+      to: "2024-01-12",
+    });
+
+    expect(axios.get.mock.calls[0][1].params).toMatchObject({
+      from: "2024-01-10T00:00:00Z",
+      to: "2024-01-12T23:59:59Z",
+    });
+    expect(response.dateRange).toEqual({ from: "2024-01-10T00:00:00Z", to: "2024-01-12T23:59:59Z" });
+    expect(response.results.map((result) => result.title)).toEqual(["Ramgarh fair opens"]);
+  });
+
+  test("should pass each query's articles in the date range to onArticles once", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        articles: [
+          {
+            title: "Ramgarh fair opens",
+            url: "https://example.com/fair?utm_source=feed",
+            publishedAt: "2024-01-11T08:00:00Z",
+            source: { name: "Example" },
+          },
+          {
+            title: "Ramgarh fair planned",
+            url: "https://example.com/old-fair",
+            publishedAt: "2023-12-01T08:00:00Z",
+            source: { name: "Example" },
+          },
+        ],
+      },
+    });
+    const onArticles = jest.fn();
+
+    await createTestService().run({
+      ...request,
+      from: "2024-01-10",
+      to: "2024-01-12",
+    }, { onArticles });
+
+    expect(axios.get.mock.calls.length).toBeGreaterThan(1);
+    expect(onArticles).toHaveBeenCalledTimes(1);
+    expect(onArticles.mock.calls[0][0].map((article) => article.url)).toEqual(["https://example.com/fair"]);
+  });
+
+  test("should return a null briefing with a warning when OpenAI isn't configured", async () => {
+    const service = createTestService({
+      stages: {
+        fetch: async (ctx) => {
+          ctx.articles = [{ title: "Fair", url: "https://example.com/f", category: "local" }];
+        },
+      },
+    });
+
+    const response = await service.run({ ...request, digest: true });
+
+    expect(response.briefing).toBeNull();
+    expect(response.warnings).toEqual([expect.objectContaining({ code: "briefing-unavailable" })]);
+    expect(response.results).toHaveLength(1);
+  });
+
+  test("should fail when every query failed", async () => {
+    axios.get.mockRejectedValue(new Error("API Error"));
+
+    await expect(createTestService().run(request))
+        .rejects.toMatchObject({ code: "provider-unavailable" });
+  });
+
+  test("should succeed with a warning when some queries failed and the rest found nothing", async () => {
+    const quotaError = new Error("Request failed with status code 429");
+    quotaError.response = { status: 429 };
+    axios.get.mockImplementation((url, { params }) => (params.q.startsWith("\"India\"") ?
+      Promise.reject(quotaError) :
+      Promise.resolve({ data: { articles: [] } })));
+
+    const response = await createTestService().run(request);
+
+    expect(response.status).toBe("success");
+    expect(response.results).toEqual([]);
+    expect(response.warnings).toEqual([expect.objectContaining({ code: "quota-exceeded" })]);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Unit Tests for the Outbound Request Layer
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  createConcurrencyLimiter,
+  createDeadline,
+  isRetryableError,
+  getRetryAfterMs,
+  getBackoffDelayMs,
+  withRetry,
+  createOutboundClient,
+} = require("../utils/outbound");
+
+/**
+ * Create an error shaped like a wrapped provider error
+ * @param {number} status - HTTP status
+ * @param {string} retryAfter - Retry-After header value
+ * @returns {Error} Error
+ */
+function httpError(status, retryAfter) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+describe("Outbound Tests", () => {
+  describe("createConcurrencyLimiter", () => {
+    test("should never run more tasks than the limit at once", async () => {
+      const limiter = createConcurrencyLimiter(2);
+      let active = 0;
+      let maxActive = 0;
+
+      const task = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise((resolve) => setImmediate(resolve));
+        active--;
+        return "done";
+      };
+
+      const results = await Promise.all([1, 2, 3, 4, 5].map(() => limiter.run(task)));
+
+      expect(results).toEqual(["done", "done", "done", "done", "done"]);
+      expect(maxActive).toBe(2);
+    });
+
+    test("should keep running queued tasks after a failure", async () => {
+      const limiter = createConcurrencyLimiter(1);
+
+      const failed = limiter.run(async () => {
+        throw new Error("boom");
+      });
+      const next = limiter.run(async () => "ok");
+
+      await expect(failed).rejects.toThrow("boom");
+      await expect(next).resolves.toBe("ok");
+    });
+  });
+
+  describe("isRetryableError", () => {
+    test("should retry rate limits, server errors and network errors", () => {
+      expect(isRetryableError(httpError(429))).toBe(true);
+      expect(isRetryableError(httpError(503))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error("reset"), { code: "ECONNRESET" }))).toBe(true);
+    });
+
+    test("should not retry client errors or unknown errors", () => {
+      expect(isRetryableError(httpError(401))).toBe(false);
+      expect(isRetryableError(new Error("API Error"))).toBe(false);
+    });
+  });
+
+  describe("getRetryAfterMs", () => {
+    test("should read seconds and HTTP dates", () => {
+      const now = Date.parse("2024-01-15T12:00:00Z");
+
+      expect(getRetryAfterMs(httpError(429, "3"), now)).toBe(3000);
+      expect(getRetryAfterMs(httpError(429, "Mon, 15 Jan 2024 12:00:05 GMT"), now)).toBe(5000);
+      expect(getRetryAfterMs({ response: { headers: { "retry-after": "1" } } }, now)).toBe(1000);
+      expect(getRetryAfterMs(httpError(429), now)).toBeNull();
+    });
+  });
+
+  describe("getBackoffDelayMs", () => {
+    test("should grow exponentially up to the maximum, scaled by jitter", () => {
+      const options = { baseDelayMs: 100, maxDelayMs: 1000, random: () => 0.5 };
+
+      expect(getBackoffDelayMs(0, options)).toBe(50);
+      expect(getBackoffDelayMs(2, options)).toBe(200);
+      expect(getBackoffDelayMs(10, options)).toBe(500);
+    });
+  });
+
+  describe("withRetry", () => {
+    test("should retry retryable failures and return the result", async () => {
+      const sleep = jest.fn().mockResolvedValue();
+      const operation = jest.fn()
+          .mockRejectedValueOnce(httpError(503))
+          .mockResolvedValueOnce("ok");
+
+      const result = await withRetry(operation, { retries: 2, sleep, random: () => 1, baseDelayMs: 100 });
+
+      expect(result).toBe("ok");
+      expect(operation).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalledWith(100);
+    });
+
+    test("should wait for Retry-After when given", async () => {
+      const sleep = jest.fn().mockResolvedValue();
+      const operation = jest.fn()
+          .mockRejectedValueOnce(httpError(429, "2"))
+          .mockResolvedValueOnce("ok");
+
+      await withRetry(operation, { retries: 1, sleep });
+
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    test("should give up after the last retry", async () => {
+      const sleep = jest.fn().mockResolvedValue();
+      const operation = jest.fn().mockRejectedValue(httpError(429));
+
+      await expect(withRetry(operation, { retries: 2, sleep })).rejects.toThrow("status code 429");
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test("should not retry errors that aren't retryable", async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(401));
+
+      await expect(withRetry(operation, { retries: 2 })).rejects.toThrow("status code 401");
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test("should not wait past the deadline", async () => {
+      const sleep = jest.fn().mockResolvedValue();
+      const operation = jest.fn().mockRejectedValue(httpError(429, "30"));
+
+      await expect(withRetry(operation, {
+        retries: 2,
+        maxDelayMs: 60000,
+        deadline: createDeadline(1000),
+        sleep,
+      })).rejects.toThrow("status code 429");
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test("should fail with a deadline error when the operation is too slow", async () => {
+      const operation = () => new Promise((resolve) => setTimeout(() => resolve("late"), 200));
+
+      await expect(withRetry(operation, { deadline: createDeadline(20) }))
+          .rejects.toMatchObject({ code: "DEADLINE_EXCEEDED" });
+    });
+
+    test("should not start once the deadline has passed", async () => {
+      const operation = jest.fn();
+
+      await expect(withRetry(operation, { deadline: createDeadline(1, Date.now() - 10) }))
+          .rejects.toMatchObject({ code: "DEADLINE_EXCEEDED" });
+      expect(operation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createOutboundClient", () => {
+    test("should free the slot while a call waits to retry", async () => {
+      let finishWait;
+      const sleep = jest.fn(() => new Promise((resolve) => {
+        finishWait = resolve;
+      }));
+      const client = createOutboundClient({ concurrency: 1, retries: 1, sleep });
+      const calls = [];
+
+      const retrying = client.call(async (attempt) => {
+        calls.push(`retrying:${attempt}`);
+        if (attempt === 0) {
+          throw httpError(503);
+        }
+        return "retried";
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+      const other = await client.call(async () => {
+        calls.push("other");
+        return "other";
+      });
+      finishWait();
+
+      expect(other).toBe("other");
+      expect(await retrying).toBe("retried");
+      expect(calls).toEqual(["retrying:0", "other", "retrying:1"]);
+    });
+
+    test("should not start a queued call once its deadline has passed", async () => {
+      const client = createOutboundClient({ concurrency: 1, retries: 0 });
+      const deadline = createDeadline(20);
+      const operation = jest.fn(() => new Promise((resolve) => setTimeout(() => resolve("ok"), 60)));
+
+      const calls = [1, 2, 3].map(() => client.call(operation, { deadline }));
+      await Promise.all(calls.map((call) => expect(call).rejects.toMatchObject({
+        code: "DEADLINE_EXCEEDED",
+      })));
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+});
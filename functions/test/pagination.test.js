@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for the Pagination Utility
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  hashUrl,
+  encodeCursor,
+  decodeCursor,
+  resolvePagination,
+  buildNextCursor,
+} = require("../utils/pagination");
+
+describe("Pagination Tests", () => {
+  describe("cursor encoding", () => {
+    test("should round-trip pagination state", () => {
+      const state = { page: 3, pageSize: 5, seen: ["abc123abc123"] };
+
+      expect(decodeCursor(encodeCursor(state))).toEqual(state);
+    });
+
+    test("should reject malformed cursors", () => {
+      expect(decodeCursor("not-a-cursor")).toBeNull();
+      expect(decodeCursor(encodeCursor({ page: 0, pageSize: 5 }))).toBeNull();
+      expect(decodeCursor(null)).toBeNull();
+    });
+  });
+
+  describe("resolvePagination", () => {
+    test("should default to the first page", () => {
+      const pagination = resolvePagination({});
+
+      expect(pagination.page).toBe(1);
+      expect(pagination.seen).toEqual([]);
+    });
+
+    test("should use page and pageSize from the request", () => {
+      expect(resolvePagination({ page: 2, pageSize: 10 })).toEqual({
+        page: 2,
+        pageSize: 10,
+        seen: [],
+      });
+    });
+
+    test("should prefer the cursor over page and pageSize", () => {
+      const cursor = encodeCursor({ page: 4, pageSize: 2, seen: [] });
+
+      expect(resolvePagination({ cursor, page: 1 }).page).toBe(4);
+    });
+  });
+
+  describe("buildNextCursor", () => {
+    test("should point at the next page and remember served articles", () => {
+      const cursor = buildNextCursor(
+          { page: 1, pageSize: 3, seen: [] },
+          [{ url: "https://example.com/a" }],
+      );
+      const next = decodeCursor(cursor);
+
+      expect(next.page).toBe(2);
+      expect(next.pageSize).toBe(3);
+      expect(next.seen).toEqual([hashUrl("https://example.com/a")]);
+    });
+
+    test("should return null when the page was empty", () => {
+      expect(buildNextCursor({ page: 1, pageSize: 3, seen: [] }, [])).toBeNull();
+    });
+  });
+});
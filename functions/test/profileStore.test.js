@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for the Profile Store
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  pickProfileFields,
+  mergeProfile,
+  getProfile,
+  saveProfile,
+  deleteProfile,
+} = require("../utils/profileStore");
+
+/**
+ * Create a minimal in-memory Firestore stand-in
+ * @returns {Object} Fake Firestore with the stored documents in `docs`
+ */
+function createFakeFirestore() {
+  const docs = new Map();
+  return {
+    docs,
+    collection: (name) => ({
+      doc: (id) => ({
+        get: async () => ({
+          exists: docs.has(`${name}/${id}`),
+          data: () => docs.get(`${name}/${id}`),
+        }),
+        set: async (data) => docs.set(`${name}/${id}`, data),
+        delete: async () => docs.delete(`${name}/${id}`),
+      }),
+    }),
+  };
+}
+
+describe("Profile Store Tests", () => {
+  const profile = {
+    location: { city: "Ramgarh", state: "Jharkhand", country: "India" },
+    businessInterests: ["Bakery"],
+    community: "Dalit empowerment",
+  };
+
+  describe("pickProfileFields", () => {
+    test("should drop fields that don't belong in a profile", () => {
+      const picked = pickProfileFields({ ...profile, page: 2, cursor: "abc" });
+
+      expect(picked).toEqual(profile);
+    });
+  });
+
+  describe("mergeProfile", () => {
+    test("should let request fields override the saved profile", () => {
+      const merged = mergeProfile(profile, { community: "Women in business", page: 2 });
+
+      expect(merged.location).toEqual(profile.location);
+      expect(merged.community).toBe("Women in business");
+      expect(merged.page).toBe(2);
+    });
+
+    test("should ignore undefined request fields", () => {
+      const merged = mergeProfile(profile, { community: undefined });
+
+      expect(merged.community).toBe("Dalit empowerment");
+    });
+  });
+
+  describe("Firestore storage", () => {
+    test("should save, read and delete a profile by UID", async () => {
+      const db = createFakeFirestore();
+
+      await saveProfile(db, "user-1", { ...profile, page: 3 });
+      const stored = db.docs.get("newsProfiles/user-1");
+
+      expect(stored.page).toBeUndefined();
+      expect(stored.updatedAt).toBeInstanceOf(Date);
+      expect(await getProfile(db, "user-1")).toEqual(profile);
+
+      await deleteProfile(db, "user-1");
+
+      expect(await getProfile(db, "user-1")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for GET Query Parameters
+ */
+
+/* eslint-disable no-undef */
+
+const { parseQueryRequest } = require("../utils/queryParams");
+
+describe("Query Params Tests", () => {
+  describe("parseQueryRequest", () => {
+    test("should build the request shape from query parameters", () => {
+      expect(parseQueryRequest({
+        city: "Ramgarh",
+        state: " Jharkhand ",
+        interest: ["Bakery", "Gift Studio", ""],
+        community: "Dalit empowerment",
+        language: "hi",
+        maxAgeHours: "24",
+      })).toEqual({
+        location: { city: "Ramgarh", state: "Jharkhand" },
+        businessInterests: ["Bakery", "Gift Studio"],
+        community: "Dalit empowerment",
+        languages: ["hi"],
+        maxAgeHours: 24,
+      });
+    });
+
+    test("should convert the other options to the request's types", () => {
+      expect(parseQueryRequest({
+        country: "India",
+        countryCode: "in",
+        language: ["hi,en", "bn"],
+        page: "2",
+        pageSize: "5",
+        from: "2024-01-15",
+        enrich: "true",
+        digest: "0",
+        stream: "1",
+        utm_source: "newsletter",
+      })).toEqual({
+        location: { country: "India" },
+        country: "in",
+        languages: ["hi", "en", "bn"],
+        page: 2,
+        pageSize: 5,
+        from: "2024-01-15",
+        enrich: true,
+        digest: false,
+        stream: true,
+      });
+    });
+
+    test("should read exclusion keywords from repeated or comma-separated values", () => {
+      expect(parseQueryRequest({ city: "Ramgarh", exclude: ["cricket,film review", "gossip"] }))
+          .toEqual({
+            location: { city: "Ramgarh" },
+            excludeKeywords: ["cricket", "film review", "gossip"],
+          });
+    });
+
+    test("should leave out missing parameters so a profile can fill them in", () => {
+      expect(parseQueryRequest({ profile: "uid123", format: "rss" })).toEqual({});
+    });
+
+    test("should pass through values of the wrong type for validation", () => {
+      const data = parseQueryRequest({ city: "Ramgarh", maxAgeHours: "soon", enrich: "yes" });
+
+      expect(data.maxAgeHours).toBe("soon");
+      expect(data.enrich).toBe("yes");
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Unit Tests for the Query Planner
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  buildQueriesByCategory,
+  buildTaggedQueries,
+} = require("../utils/queryBuilder");
+const {
+  parseCategoryWeights,
+  allocateBudget,
+  planQueries,
+} = require("../utils/queryPlanner");
+
+const EQUAL_WEIGHTS = { local: 1, national: 1, business: 1, community: 1 };
+
+describe("Query Planner Tests", () => {
+  describe("buildQueriesByCategory", () => {
+    test("should split location queries into local and national", () => {
+      const queries = buildQueriesByCategory({
+        location: { city: "Ramgarh", state: "Jharkhand", country: "India" },
+        businessInterests: ["Bakery"],
+        community: "Dalit empowerment",
+      });
+
+      expect(queries.local.length).toBe(2);
+      expect(queries.national).toEqual([{
+        all: [[{ text: "India", exact: true }], ["national news", "latest news"]],
+      }]);
+      expect(queries.business.length).toBe(1);
+      expect(queries.community.length).toBe(1);
+    });
+  });
+
+  describe("buildTaggedQueries", () => {
+    test("should tag each query with its category", () => {
+      const queries = buildTaggedQueries({
+        location: { city: "Ramgarh", country: "India" },
+        community: "Dalit empowerment",
+      });
+
+      expect(queries.map(({ query, category }) => ({ query, category }))).toEqual([
+        { query: "\"Ramgarh\" AND \"India\"", category: "local" },
+        {
+          query: "\"India\" AND (\"national news\" OR \"latest news\")",
+          category: "national",
+        },
+        {
+          query: "\"Dalit empowerment\" AND (schemes OR news OR initiatives)",
+          category: "community",
+        },
+      ]);
+      expect(queries[0].search.all[0]).toEqual([{ text: "Ramgarh", exact: true }]);
+    });
+
+    test("should return empty array for null data", () => {
+      expect(buildTaggedQueries(null)).toEqual([]);
+    });
+  });
+
+  describe("parseCategoryWeights", () => {
+    test("should override only the listed categories", () => {
+      const weights = parseCategoryWeights("local:3, business:0");
+
+      expect(weights.local).toBe(3);
+      expect(weights.business).toBe(0);
+      expect(weights.community).toBe(2);
+    });
+
+    test("should ignore unknown categories and invalid weights", () => {
+      const weights = parseCategoryWeights("sports:5,local:abc");
+
+      expect(weights.sports).toBeUndefined();
+      expect(weights.local).toBe(1);
+    });
+  });
+
+  describe("allocateBudget", () => {
+    test("should give every category a slot before any gets a second", () => {
+      const allocation = allocateBudget(
+          { local: 4, national: 2, business: 4, community: 3 },
+          4,
+          EQUAL_WEIGHTS,
+      );
+
+      expect(allocation).toEqual({ local: 1, national: 1, business: 1, community: 1 });
+    });
+
+    test("should follow weights once every category has a slot", () => {
+      const allocation = allocateBudget(
+          { local: 4, national: 2, business: 4, community: 3 },
+          6,
+          { local: 1, national: 1, business: 2, community: 2 },
+      );
+
+      expect(allocation).toEqual({ local: 1, national: 1, business: 2, community: 2 });
+    });
+
+    test("should give unused slots to other categories", () => {
+      const allocation = allocateBudget(
+          { local: 4, national: 0, business: 0, community: 0 },
+          3,
+          EQUAL_WEIGHTS,
+      );
+
+      expect(allocation.local).toBe(3);
+    });
+
+    test("should skip categories with zero weight", () => {
+      const allocation = allocateBudget(
+          { local: 4, national: 2, business: 2, community: 3 },
+          5,
+          { local: 1, national: 0, business: 1, community: 1 },
+      );
+
+      expect(allocation.national).toBe(0);
+      expect(allocation.local + allocation.business + allocation.community).toBe(5);
+    });
+  });
+
+  describe("planQueries", () => {
+    test("should keep business and community queries with a full location", () => {
+      const plan = planQueries(buildTaggedQueries({
+        location: { city: "Ramgarh", state: "Jharkhand", country: "India" },
+        businessInterests: ["Bakery"],
+        community: "Dalit empowerment",
+      }), 5);
+
+      const categories = plan.planned.map((entry) => entry.category);
+
+      expect(plan.planned.length).toBe(5);
+      expect(categories).toContain("business");
+      expect(categories).toContain("community");
+      expect(categories).toContain("local");
+    });
+
+    test("should report every query that did not fit the budget as dropped", () => {
+      const taggedQueries = [
+        { query: "a", category: "local" },
+        { query: "b", category: "local" },
+        { query: "c", category: "local" },
+        { query: "d", category: "business" },
+      ];
+
+      const plan = planQueries(taggedQueries, 2, EQUAL_WEIGHTS);
+
+      expect(plan.planned).toEqual([
+        { query: "a", category: "local" },
+        { query: "d", category: "business" },
+      ]);
+      expect(plan.dropped).toEqual([
+        { query: "b", category: "local" },
+        { query: "c", category: "local" },
+      ]);
+    });
+
+    test("should not plan the same query twice", () => {
+      const plan = planQueries([
+        { query: "News local news", category: "local" },
+        { query: "News local news", category: "business" },
+      ], 5, EQUAL_WEIGHTS);
+
+      expect(plan.planned).toEqual([{ query: "News local news", category: "local" }]);
+    });
+
+    test("should return empty plan for null input", () => {
+      expect(planQueries(null)).toEqual({ planned: [], dropped: [] });
+    });
+  });
+});
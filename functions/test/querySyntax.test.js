@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for Provider Query Syntax
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  PROVIDER_SYNTAX,
+  exact,
+  formatQuery,
+  renderQuery,
+  filterExcludedArticles,
+} = require("../utils/querySyntax");
+
+describe("Query Syntax Tests", () => {
+  const ramgarh = {
+    all: [[exact("Ramgarh")], [exact("Jharkhand")]],
+    exclude: [exact("cricket")],
+  };
+
+  describe("formatQuery", () => {
+    test("should quote phrases and group alternatives", () => {
+      expect(formatQuery({
+        all: [[exact("Bakery"), exact("Gift Studio")], ["business", "latest news"]],
+        exclude: ["cricket"],
+      })).toBe("(\"Bakery\" OR \"Gift Studio\") AND (business OR \"latest news\") NOT cricket");
+    });
+
+    test("should drop double quotes inside terms", () => {
+      expect(formatQuery({ all: [[exact("The \"Best\" Bakery")]] })).toBe("\"The Best Bakery\"");
+    });
+  });
+
+  describe("renderQuery", () => {
+    test("should use boolean syntax for GNews and NewsAPI", () => {
+      expect(renderQuery(ramgarh, "gnews")).toBe("\"Ramgarh\" AND \"Jharkhand\" NOT \"cricket\"");
+      expect(renderQuery(ramgarh, "newsapi")).toBe("\"Ramgarh\" AND \"Jharkhand\" NOT \"cricket\"");
+    });
+
+    test("should fall back to plain keywords for other providers", () => {
+      expect(renderQuery(ramgarh, "other")).toBe("Ramgarh Jharkhand");
+    });
+
+    test("should drop exclusions, then alternatives, to fit the length limit", () => {
+      const interests = Array.from({ length: 8 }, (_, index) => exact(`Interest number ${index}`));
+      const search = {
+        all: [interests, ["business", "trends"]],
+        exclude: Array.from({ length: 10 }, (_, index) => exact(`Keyword ${index}`)),
+      };
+
+      const gnews = renderQuery(search, "gnews");
+      const newsapi = renderQuery(search, "newsapi");
+
+      expect(gnews.length).toBeLessThanOrEqual(PROVIDER_SYNTAX.gnews.maxLength);
+      expect(gnews).not.toContain("NOT");
+      expect(gnews).toContain("\"Interest number 0\"");
+      expect(gnews).toContain("(business OR trends)");
+      expect(newsapi).toBe(formatQuery(search));
+    });
+
+    test("should cut a single term that is too long on its own", () => {
+      const query = renderQuery({ all: [[exact("x".repeat(300))], [exact("India")]] }, "gnews");
+
+      expect(query).toBe(`"${"x".repeat(PROVIDER_SYNTAX.gnews.maxLength - 2)}"`);
+    });
+
+    test("should only cut plain string queries", () => {
+      expect(renderQuery("Ramgarh news", "gnews")).toBe("Ramgarh news");
+      expect(renderQuery("y".repeat(600), "newsapi").length).toBe(
+          PROVIDER_SYNTAX.newsapi.maxLength,
+      );
+    });
+  });
+
+  describe("filterExcludedArticles", () => {
+    const articles = [
+      { title: "Cricket league opens in Ramgarh", description: "" },
+      { title: "Bakery opens", description: "New film review screening nearby" },
+      { title: "Crickets heard at night", description: "" },
+      { title: "Market prices", description: "" },
+    ];
+
+    test("should drop articles mentioning an excluded keyword as a whole word", () => {
+      const filtered = filterExcludedArticles(articles, ["cricket", "Film Review"]);
+
+      expect(filtered.map((article) => article.title)).toEqual([
+        "Crickets heard at night",
+        "Market prices",
+      ]);
+    });
+
+    test("should keep every article without keywords", () => {
+      expect(filterExcludedArticles(articles, undefined)).toBe(articles);
+      expect(filterExcludedArticles(articles, [" "])).toBe(articles);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for the Ranker
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  parseRankingWeights,
+  scoreRecency,
+  scoreTextMatch,
+  getProfileTerms,
+  rankArticles,
+} = require("../utils/ranker");
+
+const NOW = Date.parse("2024-01-15T12:00:00Z");
+
+const profile = {
+  location: { city: "Ramgarh", state: "Jharkhand", country: "India" },
+  businessInterests: ["Bakery"],
+  community: "Dalit empowerment",
+};
+
+describe("Ranker Tests", () => {
+  describe("parseRankingWeights", () => {
+    test("should override only the listed signals", () => {
+      const weights = parseRankingWeights("recency:1, unknown:5");
+
+      expect(weights.recency).toBe(1);
+      expect(weights.textMatch).toBe(0.35);
+      expect(weights.unknown).toBeUndefined();
+    });
+  });
+
+  describe("scoreRecency", () => {
+    test("should halve the score every half-life", () => {
+      expect(scoreRecency("2024-01-15T12:00:00Z", NOW, 24)).toBe(1);
+      expect(scoreRecency("2024-01-14T12:00:00Z", NOW, 24)).toBeCloseTo(0.5);
+    });
+
+    test("should score unknown dates as 0", () => {
+      expect(scoreRecency("", NOW)).toBe(0);
+      expect(scoreRecency("not a date", NOW)).toBe(0);
+    });
+  });
+
+  describe("scoreTextMatch", () => {
+    test("should weight each matched profile field", () => {
+      const terms = getProfileTerms(profile);
+
+      const cityOnly = scoreTextMatch({ title: "Flood warning in Ramgarh" }, terms);
+      const cityAndBakery = scoreTextMatch(
+          { title: "Ramgarh bakery wins award", description: "" },
+          terms,
+      );
+
+      expect(cityOnly).toBeCloseTo(1 / 3.5);
+      expect(cityAndBakery).toBeCloseTo(2 / 3.5);
+    });
+
+    test("should score 0 without profile terms", () => {
+      expect(scoreTextMatch({ title: "Anything" }, [])).toBe(0);
+    });
+  });
+
+  describe("rankArticles", () => {
+    test("should sort by score and include it on each article", () => {
+      const articles = [
+        { url: "a", title: "Old national story", publishedAt: "2024-01-10T12:00:00Z", source: "A" },
+        { url: "b", title: "Ramgarh bakery opens", publishedAt: "2024-01-15T10:00:00Z", source: "B" },
+      ];
+
+      const ranked = rankArticles(articles, profile, undefined, NOW);
+
+      expect(ranked.map((a) => a.url)).toEqual(["b", "a"]);
+      expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+      expect(ranked[0].score).toBeLessThanOrEqual(1);
+    });
+
+    test("should favour articles returned by more queries", () => {
+      const articles = [
+        { url: "a", title: "Story", queryMatches: 1, source: "A" },
+        { url: "b", title: "Story", queryMatches: 3, source: "B" },
+      ];
+
+      const ranked = rankArticles(articles, {}, { queryMatches: 1 }, NOW);
+
+      expect(ranked[0].url).toBe("b");
+    });
+
+    test("should spread articles from the same source", () => {
+      const articles = [
+        { url: "a1", title: "Story", source: "A" },
+        { url: "a2", title: "Story", source: "A" },
+        { url: "b1", title: "Story", source: "B" },
+      ];
+
+      const ranked = rankArticles(articles, {}, { sourceDiversity: 1 }, NOW);
+
+      expect(ranked.map((a) => a.url)).toEqual(["a1", "b1", "a2"]);
+    });
+
+    test("should return empty array for empty input", () => {
+      expect(rankArticles([], profile)).toEqual([]);
+    });
+  });
+});
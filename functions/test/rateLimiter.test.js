@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for the Rate Limiter
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  takeTokens,
+  createMemoryBucketStore,
+  createRateLimiter,
+} = require("../utils/rateLimiter");
+
+describe("Rate Limiter Tests", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("takeTokens", () => {
+    const limits = { capacity: 2, refillPerMinute: 60 };
+
+    test("should start new callers with a full bucket", () => {
+      const { result } = takeTokens(null, limits, 1, 0);
+
+      expect(result).toEqual({ allowed: true, remaining: 1, retryAfterSeconds: 0 });
+    });
+
+    test("should reject when the bucket is empty and report when to retry", () => {
+      const { result } = takeTokens({ tokens: 0, updatedAt: 0 }, limits, 1, 0);
+
+      expect(result.allowed).toBe(false);
+      expect(result.retryAfterSeconds).toBe(1);
+    });
+
+    test("should refill tokens over time up to capacity", () => {
+      const { bucket } = takeTokens({ tokens: 0, updatedAt: 0 }, limits, 0, 10 * 60000);
+
+      expect(bucket.tokens).toBe(2);
+    });
+  });
+
+  describe("createRateLimiter", () => {
+    test("should limit each caller separately", async () => {
+      const limiter = createRateLimiter({ capacity: 1, refillPerMinute: 1 });
+
+      expect((await limiter.consume("user:a")).allowed).toBe(true);
+      expect((await limiter.consume("user:a")).allowed).toBe(false);
+      expect((await limiter.consume("user:b")).allowed).toBe(true);
+    });
+
+    test("should evict the caller seen longest ago from a full memory store", async () => {
+      const store = createMemoryBucketStore(2);
+      const limiter = createRateLimiter({ capacity: 1, refillPerMinute: 1, store });
+
+      await limiter.consume("ip:a");
+      await limiter.consume("ip:b");
+      await limiter.consume("ip:a");
+      await limiter.consume("ip:c");
+
+      // "b" was evicted and starts over; "a" was seen more recently and is kept
+      expect((await limiter.consume("ip:a")).allowed).toBe(false);
+      expect((await limiter.consume("ip:b")).allowed).toBe(true);
+    });
+
+    test("should allow calls when the store fails", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      const store = { update: jest.fn().mockRejectedValue(new Error("unavailable")) };
+      const limiter = createRateLimiter({ capacity: 1, refillPerMinute: 1, store });
+
+      expect((await limiter.consume("user:a")).allowed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for Request Validation
+ */
+
+/* eslint-disable no-undef */
+
+const {
+  validateRequest,
+  validateProfile,
+  assertValidRequest,
+} = require("../utils/requestValidator");
+const { toHttpError } = require("../utils/errors");
+
+const location = { city: "Ramgarh", state: "Jharkhand", country: "India" };
+
+describe("Request Validator Tests", () => {
+  describe("validateRequest", () => {
+    test("should accept a complete request", () => {
+      expect(validateRequest({
+        location,
+        businessInterests: ["Bakery", "Gift Studio", "Kirana & General Store"],
+        community: "Dalit empowerment",
+        excludeKeywords: ["cricket", "film review"],
+        provider: "gnews",
+        languages: ["hi", "en"],
+        country: "in",
+        summaryLanguage: "article",
+        page: 2,
+        pageSize: 5,
+        maxAgeHours: 24,
+        enrich: true,
+        digest: false,
+      })).toEqual({ isValid: true, details: [] });
+    });
+
+    test("should accept place names in other scripts and blank optional fields", () => {
+      const validation = validateRequest({
+        location: { city: "रामगढ़", state: "", country: "India" },
+        community: "",
+      });
+
+      expect(validation.isValid).toBe(true);
+    });
+
+    test("should report every problem with its field", () => {
+      const validation = validateRequest({
+        location: { city: 42, state: "x".repeat(101), country: "India<script>", zip: "829122" },
+        businessInterests: ["Bakery", "", "y".repeat(61)],
+        community: ["not", "a", "string"],
+        pageSize: 100,
+        enrich: "yes",
+        bussinessInterests: ["Typo"],
+      });
+
+      expect(validation.isValid).toBe(false);
+      expect(validation.details).toEqual([
+        { field: "location.city", message: "City must be a string." },
+        { field: "location.state", message: "State must be at most 100 characters." },
+        {
+          field: "location.country",
+          message: "Country can only contain letters, numbers, spaces and . , ' & ( ) / + -.",
+        },
+        { field: "location.zip", message: "Unknown field \"location.zip\"." },
+        { field: "businessInterests[1]", message: "Business interest must not be empty." },
+        {
+          field: "businessInterests[2]",
+          message: "Business interest must be at most 60 characters.",
+        },
+        { field: "community", message: "Community must be a string." },
+        { field: "pageSize", message: "Page size must be an integer between 1 and 25." },
+        { field: "enrich", message: "Enrich must be a boolean." },
+        { field: "bussinessInterests", message: "Unknown field \"bussinessInterests\"." },
+      ]);
+      expect(validation.error).toContain("City must be a string. State must be at most");
+    });
+
+    test("should limit the number of business interests", () => {
+      const validation = validateRequest({
+        location,
+        businessInterests: Array.from({ length: 200 }, (_, index) => `Interest ${index}`),
+      });
+
+      expect(validation.details).toEqual([{
+        field: "businessInterests",
+        message: "Business interests can have at most 10 entries.",
+      }]);
+    });
+
+    test("should check exclusion keywords like business interests", () => {
+      expect(validateRequest({
+        location,
+        excludeKeywords: ["cricket", "", "\"gossip\""],
+      }).details).toEqual([
+        { field: "excludeKeywords[1]", message: "Exclude keyword must not be empty." },
+        {
+          field: "excludeKeywords[2]",
+          message: "Exclude keyword can only contain letters, numbers, spaces and . , ' & ( ) / + -.",
+        },
+      ]);
+      expect(validateRequest({
+        location,
+        excludeKeywords: Array.from({ length: 11 }, (_, index) => `Keyword ${index}`),
+      }).details).toEqual([{
+        field: "excludeKeywords",
+        message: "Exclude keywords can have at most 10 entries.",
+      }]);
+    });
+
+    test("should check rules that combine fields", () => {
+      expect(validateRequest({ location: {} }).details).toEqual([{
+        field: "location",
+        message: "At least one of city, state, or country is required in location.",
+      }]);
+      expect(validateRequest({ location, from: "2024-01-12", to: "2024-01-10" }).details)
+          .toEqual([{ field: "from", message: "From must be before to." }]);
+      expect(validateRequest({}).error)
+          .toBe("Location is required. Please provide city, state, and country.");
+      expect(validateRequest(null).details)
+          .toEqual([{ field: null, message: "Request data is required" }]);
+    });
+  });
+
+  describe("validateProfile", () => {
+    test("should only allow profile fields", () => {
+      expect(validateProfile({ location, feedEnabled: true }).isValid).toBe(true);
+      expect(validateProfile({ location, page: 2 }).details)
+          .toEqual([{ field: "page", message: "Unknown field \"page\"." }]);
+    });
+  });
+
+  describe("assertValidRequest", () => {
+    test("should send the details to HTTP clients", () => {
+      let thrown;
+      try {
+        assertValidRequest({ location, page: 0, digest: "no" });
+      } catch (error) {
+        thrown = error;
+      }
+
+      const { httpStatus, body } = toHttpError(thrown);
+      expect(httpStatus).toBe(400);
+      expect(body.code).toBe("invalid-argument");
+      expect(body.details).toEqual([
+        { field: "page", message: "Page must be an integer between 1 and 50." },
+        { field: "digest", message: "Digest must be a boolean." },
+      ]);
+    });
+  });
+});
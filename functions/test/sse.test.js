@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for Server-Sent Events Streaming
+ */
+
+/* eslint-disable no-undef */
+
+const { wantsEventStream, formatEvent, openEventStream } = require("../utils/sse");
+
+/**
+ * Create a minimal HTTP response mock that records what was written
+ * @returns {Object} Response mock
+ */
+function createResponse() {
+  const res = {
+    statusCode: null,
+    headers: {},
+    chunks: [],
+    ended: false,
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    set: jest.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    }),
+    flushHeaders: jest.fn(),
+    write: jest.fn((chunk) => res.chunks.push(chunk)),
+    end: jest.fn(() => {
+      res.ended = true;
+    }),
+  };
+  return res;
+}
+
+describe("SSE Tests", () => {
+  describe("wantsEventStream", () => {
+    test("should stream when the body asks for it", () => {
+      expect(wantsEventStream({ body: { stream: true }, headers: {} })).toBe(true);
+    });
+
+    test("should stream when the client accepts text/event-stream", () => {
+      expect(wantsEventStream({ body: {}, headers: { accept: "text/event-stream" } })).toBe(true);
+    });
+
+    test("should not stream by default", () => {
+      expect(wantsEventStream({ body: {}, headers: { accept: "application/json" } })).toBe(false);
+      expect(wantsEventStream({ body: { stream: "true" }, headers: {} })).toBe(false);
+    });
+  });
+
+  describe("formatEvent", () => {
+    test("should write the event name and JSON data, ending with a blank line", () => {
+      expect(formatEvent("summary", { index: 0, summary: "Line one\nline two" }))
+          .toBe("event: summary\ndata: {\"index\":0,\"summary\":\"Line one\\nline two\"}\n\n");
+    });
+  });
+
+  describe("openEventStream", () => {
+    test("should send headers immediately and write events in order", () => {
+      const res = createResponse();
+      const stream = openEventStream(res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["Content-Type"]).toBe("text/event-stream; charset=utf-8");
+      expect(res.flushHeaders).toHaveBeenCalled();
+
+      stream.send("article", { index: 0 });
+      stream.send("done", { status: "success" });
+      stream.close();
+
+      expect(res.chunks).toEqual([
+        "event: article\ndata: {\"index\":0}\n\n",
+        "event: done\ndata: {\"status\":\"success\"}\n\n",
+      ]);
+      expect(res.ended).toBe(true);
+    });
+
+    test("should drop events sent after close", () => {
+      const res = createResponse();
+      const stream = openEventStream(res);
+
+      stream.close();
+      stream.send("summary", { index: 0 });
+      stream.close();
+
+      expect(res.write).not.toHaveBeenCalled();
+      expect(res.end).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Auth Utility
+ * Identifies callers of the callable and HTTP endpoints (Firebase Auth user,
+ * API key or IP address) and optionally requires authentication
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Check whether authentication is required for news endpoints
+ * @returns {boolean} True when NEWS_REQUIRE_AUTH is "true"
+ */
+function isAuthRequired() {
+  return process.env.NEWS_REQUIRE_AUTH === "true";
+}
+
+/**
+ * Get the API keys accepted on the HTTP endpoint
+ * @returns {string[]} Configured client API keys
+ */
+function getClientApiKeys() {
+  return (process.env.NEWS_CLIENT_API_KEYS || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean);
+}
+
+/**
+ * Hash a value so secrets and addresses aren't used verbatim as keys
+ * @param {string} value - Value to hash
+ * @returns {string} Short hex hash
+ */
+function hashIdentity(value) {
+  return crypto.createHash("sha256").update(value).digest("hex").slice(0, 16);
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Get the client IP address of an HTTP request
+ *
+ * Google's front end appends the address it received the connection from to
+ * X-Forwarded-For, so only the last entry can be trusted; earlier entries
+ * are whatever the client sent and would let it pick a new rate limit key
+ * on every call.
+ * @param {Object} req - Express request
+ * @returns {string} IP address, or "unknown"
+ */
+function getClientIp(req) {
+  const forwarded = String(req?.headers?.["x-forwarded-for"] || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  if (forwarded.length > 0) {
+    return forwarded[forwarded.length - 1];
+  }
+  return req?.ip || "unknown";
+}
+
+/**
+ * Identify the caller of a callable function
+ * @param {Object} context - Callable context
+ * @returns {Object} { authenticated, identity, error }
+ */
+function identifyCallableCaller(context) {
+  if (context?.auth?.uid) {
+    return {
+      authenticated: true,
+      identity: { type: "user", id: context.auth.uid, key: `user:${context.auth.uid}` },
+    };
+  }
+
+  if (isAuthRequired()) {
+    return {
+      authenticated: false,
+      error: "You must be signed in to get news.",
+    };
+  }
+
+  const ip = getClientIp(context?.rawRequest);
+  return {
+    authenticated: false,
+    identity: { type: "ip", id: ip, key: `ip:${hashIdentity(ip)}` },
+  };
+}
+
+/**
+ * Identify the caller of the HTTP endpoint
+ *
+ * Accepts a Firebase ID token (`Authorization: Bearer <token>`) or a client
+ * API key (`X-API-Key`). Anonymous callers are identified by IP unless
+ * authentication is required.
+ * @param {Object} req - Express request
+ * @param {Function} verifyIdToken - Verifies a Firebase ID token (admin.auth().verifyIdToken)
+ * @returns {Promise<Object>} { authenticated, identity, error }
+ */
+async function identifyHttpCaller(req, verifyIdToken) {
+  const authorization = req.headers?.authorization || "";
+  const apiKey = req.headers?.["x-api-key"];
+
+  if (authorization.startsWith("Bearer ")) {
+    try {
+      const decoded = await verifyIdToken(authorization.slice("Bearer ".length));
+      return {
+        authenticated: true,
+        identity: { type: "user", id: decoded.uid, key: `user:${decoded.uid}` },
+      };
+    } catch (error) {
+      console.warn("Invalid Firebase ID token:", error.message);
+      return {
+        authenticated: false,
+        error: "Invalid or expired ID token.",
+      };
+    }
+  }
+
+  if (apiKey) {
+    const valid = getClientApiKeys().some((key) => safeEqual(key, String(apiKey)));
+    if (!valid) {
+      return {
+        authenticated: false,
+        error: "Invalid API key.",
+      };
+    }
+    const id = hashIdentity(String(apiKey));
+    return {
+      authenticated: true,
+      identity: { type: "apiKey", id, key: `apiKey:${id}` },
+    };
+  }
+
+  if (isAuthRequired()) {
+    return {
+      authenticated: false,
+      error: "Authentication required. Provide a Firebase ID token or an API key.",
+    };
+  }
+
+  const ip = getClientIp(req);
+  return {
+    authenticated: false,
+    identity: { type: "ip", id: ip, key: `ip:${hashIdentity(ip)}` },
+  };
+}
+
+module.exports = {
+  isAuthRequired,
+  getClientIp,
+  identifyCallableCaller,
+  identifyHttpCaller,
+};
@@ -0,0 +1,180 @@
+/**
+ * Cache Utility
+ * TTL cache with pluggable backends (in-memory or Firestore) used to avoid
+ * repeating news provider and summarization calls
+ */
+
+const crypto = require("crypto");
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_MEMORY_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000;
+const DEFAULT_CACHE_COLLECTION = process.env.CACHE_COLLECTION || "newsCache";
+
+/**
+ * Create an in-memory cache backend
+ *
+ * Entries live for the lifetime of the function instance. The oldest entry
+ * is evicted once maxEntries is reached.
+ * @param {number} maxEntries - Maximum number of entries to keep
+ * @returns {Object} Backend with async get, set and delete
+ */
+function createMemoryBackend(maxEntries = DEFAULT_MEMORY_MAX_ENTRIES) {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Create a Firestore cache backend
+ *
+ * Keys are hashed into document IDs. `expiresAt` is stored as a Date so a
+ * Firestore TTL policy can be set on it to clean up expired documents.
+ * @param {Function} getFirestore - Returns a Firestore instance (called lazily)
+ * @param {string} collectionName - Collection to store entries in
+ * @returns {Object} Backend with async get, set and delete
+ */
+function createFirestoreBackend(getFirestore, collectionName = DEFAULT_CACHE_COLLECTION) {
+  const docFor = (key) => {
+    const id = crypto.createHash("sha256").update(key).digest("hex");
+    return getFirestore().collection(collectionName).doc(id);
+  };
+
+  return {
+    name: "firestore",
+    async get(key) {
+      const snapshot = await docFor(key).get();
+      if (!snapshot.exists) {
+        return null;
+      }
+      const data = snapshot.data();
+      const expiresAt = data.expiresAt?.toMillis ?
+        data.expiresAt.toMillis() :
+        new Date(data.expiresAt).getTime();
+      return { value: data.value, expiresAt };
+    },
+    async set(key, entry) {
+      await docFor(key).set({
+        key,
+        value: entry.value,
+        expiresAt: new Date(entry.expiresAt),
+      });
+    },
+    async delete(key) {
+      await docFor(key).delete();
+    },
+  };
+}
+
+/**
+ * Create a cache backend from configuration
+ * @param {string} type - Backend type ('memory', 'firestore' or 'none')
+ * @param {Function} getFirestore - Returns a Firestore instance
+ * @returns {Object|null} Backend, or null when caching is disabled
+ */
+function createCacheBackend(type = "memory", getFirestore) {
+  if (type === "none") {
+    return null;
+  }
+  if (type === "firestore" && getFirestore) {
+    return createFirestoreBackend(getFirestore);
+  }
+  return createMemoryBackend();
+}
+
+/**
+ * Create hit/miss counters for a single request
+ * @returns {Object} Counters per cache
+ */
+function createCacheStats() {
+  return {
+    news: { hits: 0, misses: 0 },
+    summaries: { hits: 0, misses: 0 },
+  };
+}
+
+/**
+ * Create a namespaced TTL cache over a backend
+ *
+ * Backend errors are logged and treated as misses so a cache outage never
+ * fails a request.
+ * @param {string} namespace - Prefix for all keys in this cache
+ * @param {Object|null} backend - Cache backend, or null to disable caching
+ * @param {number} ttlSeconds - Time to live for new entries
+ * @returns {Object} Cache with async get and set
+ */
+function createCache(namespace, backend, ttlSeconds) {
+  const enabled = Boolean(backend) && ttlSeconds > 0;
+
+  return {
+    enabled,
+
+    /**
+     * Read a value
+     * @param {string} key - Cache key
+     * @param {Object} stats - Optional { hits, misses } counters to update
+     * @returns {Promise<*>} Cached value, or null on a miss
+     */
+    async get(key, stats) {
+      if (!enabled) {
+        return null;
+      }
+
+      let entry = null;
+      try {
+        entry = await backend.get(`${namespace}:${key}`);
+      } catch (error) {
+        console.error(`Error reading ${namespace} cache:`, error.message);
+      }
+
+      const fresh = entry && entry.expiresAt > Date.now();
+      if (stats) {
+        stats[fresh ? "hits" : "misses"]++;
+      }
+      return fresh ? entry.value : null;
+    },
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {*} value - Value to store (must be JSON-serializable)
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+      if (!enabled) {
+        return;
+      }
+
+      try {
+        await backend.set(`${namespace}:${key}`, {
+          value,
+          expiresAt: Date.now() + ttlSeconds * 1000,
+        });
+      } catch (error) {
+        console.error(`Error writing ${namespace} cache:`, error.message);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createMemoryBackend,
+  createFirestoreBackend,
+  createCacheBackend,
+  createCacheStats,
+  createCache,
+};
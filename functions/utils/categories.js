@@ -0,0 +1,56 @@
+/**
+ * News Categories
+ * Shared list of news categories and helpers for grouping articles by category
+ */
+
+// Categories in display order
+const CATEGORIES = ["local", "national", "business", "community"];
+
+// When an article matches several categories it is shown in the first one
+// of this list, so the most specific feeds win over broad national news
+const CATEGORY_PRIORITY = ["local", "community", "business", "national"];
+
+/**
+ * Pick the highest-priority category from a list of matched categories
+ * @param {string[]} matchedCategories - Categories whose queries returned the article
+ * @returns {Object} { category, otherCategories }
+ */
+function resolveCategory(matchedCategories) {
+  const sorted = [...new Set(matchedCategories || [])]
+      .filter((category) => CATEGORY_PRIORITY.includes(category))
+      .sort((a, b) => CATEGORY_PRIORITY.indexOf(a) - CATEGORY_PRIORITY.indexOf(b));
+
+  return {
+    category: sorted[0] || null,
+    otherCategories: sorted.slice(1),
+  };
+}
+
+/**
+ * Group articles into one section per category
+ * @param {Object[]} articles - Articles tagged with a category
+ * @returns {Object} Map of category to { count, results }
+ */
+function groupIntoSections(articles) {
+  const sections = {};
+  for (const category of CATEGORIES) {
+    sections[category] = { count: 0, results: [] };
+  }
+
+  for (const article of articles || []) {
+    const section = sections[article.category];
+    if (section) {
+      section.results.push(article);
+      section.count++;
+    }
+  }
+
+  return sections;
+}
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_PRIORITY,
+  resolveCategory,
+  groupIntoSections,
+};
@@ -0,0 +1,129 @@
+/**
+ * Date Range Utility
+ * Resolves the publication window for a request from `from`/`to` or
+ * `maxAgeHours`, and filters articles to it
+ */
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_MAX_AGE_HOURS = parseInt(process.env.NEWS_MAX_AGE_HOURS, 10) || 72;
+
+// Longest window a request can ask for with maxAgeHours (30 days, the
+// history available on the NewsAPI free plan)
+const MAX_AGE_HOURS = 720;
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Dates as YYYY-MM-DD, or with a time and optional UTC offset
+const ISO_DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Check whether a value is an ISO 8601 date or date-time string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidDateInput(value) {
+  return typeof value === "string" &&
+    ISO_DATE_PATTERN.test(value) &&
+    !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Check whether a value is a valid maxAgeHours
+ * @param {*} value - Value to check
+ * @returns {boolean} True for integers from 1 to MAX_AGE_HOURS
+ */
+function isValidMaxAgeHours(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_AGE_HOURS;
+}
+
+/**
+ * Parse a request date into milliseconds
+ *
+ * A date without a time means the start of that day (UTC), or its end when
+ * used as the end of a range, so `to: "2024-01-15"` includes the 15th.
+ * @param {string} value - ISO 8601 date or date-time
+ * @param {boolean} endOfDay - Treat a bare date as the end of the day
+ * @returns {number} Milliseconds since the epoch
+ */
+function parseDateInput(value, endOfDay = false) {
+  const time = Date.parse(value);
+  return endOfDay && !value.includes("T") ? time + DAY_MS - 1000 : time;
+}
+
+/**
+ * Format a time the way both providers accept it (no milliseconds)
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} e.g. "2024-01-15T08:00:00Z"
+ */
+function formatProviderDate(time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * Resolve the publication window for a request
+ *
+ * `from` wins when given; otherwise the window starts `maxAgeHours` (or
+ * NEWS_MAX_AGE_HOURS) before `to`, or before now. A start computed from the
+ * current time is rounded down to the hour so repeated requests share the
+ * news cache.
+ * @param {Object} data - Request data with optional from, to and maxAgeHours
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { from, to } as ISO 8601 strings; `to` is null when open-ended
+ */
+function resolveDateRange(data = {}, now = Date.now()) {
+  const to = data.to ? parseDateInput(data.to, true) : null;
+
+  let from;
+  if (data.from) {
+    from = parseDateInput(data.from);
+  } else {
+    const maxAgeHours = data.maxAgeHours || DEFAULT_MAX_AGE_HOURS;
+    from = Math.floor(((to ?? now) - maxAgeHours * HOUR_MS) / HOUR_MS) * HOUR_MS;
+  }
+
+  return {
+    from: formatProviderDate(from),
+    to: to === null ? null : formatProviderDate(to),
+  };
+}
+
+/**
+ * Check whether an article was published within a date range
+ *
+ * Articles without a parseable publishedAt are kept, since their age is unknown.
+ * @param {Object} article - Article with publishedAt
+ * @param {Object} range - Range from resolveDateRange
+ * @returns {boolean} True if the article is in range
+ */
+function isWithinDateRange(article, range) {
+  const publishedAt = Date.parse(article.publishedAt);
+  if (!range || Number.isNaN(publishedAt)) {
+    return true;
+  }
+
+  return publishedAt >= Date.parse(range.from) &&
+    (!range.to || publishedAt <= Date.parse(range.to));
+}
+
+/**
+ * Drop articles published outside a date range
+ * @param {Object[]} articles - Articles with publishedAt
+ * @param {Object} range - Range from resolveDateRange
+ * @returns {Object[]} Articles in range
+ */
+function filterByDateRange(articles, range) {
+  return articles.filter((article) => isWithinDateRange(article, range));
+}
+
+module.exports = {
+  DEFAULT_MAX_AGE_HOURS,
+  MAX_AGE_HOURS,
+  isValidDateInput,
+  isValidMaxAgeHours,
+  parseDateInput,
+  resolveDateRange,
+  isWithinDateRange,
+  filterByDateRange,
+};
@@ -0,0 +1,244 @@
+/**
+ * Dedupe Utility
+ * Canonicalizes article URLs and clusters near-duplicate stories (the same
+ * wire story syndicated by several outlets) by title similarity
+ */
+
+const { resolveCategory } = require("./categories");
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_SIMILARITY_THRESHOLD = parseFloat(process.env.NEWS_CLUSTER_SIMILARITY) || 0.6;
+const SHINGLE_SIZE = 3;
+
+// Click IDs added by ad and social platforms; safe to drop from any link
+const CLICK_ID_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "igshid",
+]);
+
+// Query parameters that only track the click and never change the page
+const TRACKING_PARAMS = new Set([
+  ...CLICK_ID_PARAMS,
+  "mc_cid",
+  "mc_eid",
+  "ocid",
+  "cmpid",
+  "ref",
+  "ref_src",
+  "ito",
+  "amp",
+  "outputtype",
+]);
+
+/**
+ * Canonicalize an article URL
+ *
+ * Removes the fragment, utm_* and other tracking parameters, and AMP
+ * variants (/amp/ path segments, trailing /amp, .amp.html, Google AMP
+ * cache URLs). Remaining parameters are sorted.
+ * @param {string} url - Article URL
+ * @returns {string} Canonical URL, or the input if it can't be parsed
+ */
+function canonicalizeUrl(url) {
+  if (!url || typeof url !== "string") {
+    return url;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return url;
+  }
+
+  // Google AMP cache: https://www-example-com.cdn.ampproject.org/c/s/www.example.com/story
+  if (parsed.hostname.endsWith(".cdn.ampproject.org")) {
+    const match = parsed.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+    if (match) {
+      return canonicalizeUrl(`${match[1] ? "https" : "http"}://${match[2]}${parsed.search}`);
+    }
+  }
+
+  parsed.hash = "";
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  for (const key of [...parsed.searchParams.keys()]) {
+    const lowerKey = key.toLowerCase();
+    if (lowerKey.startsWith("utm_") || TRACKING_PARAMS.has(lowerKey)) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  parsed.searchParams.sort();
+
+  parsed.pathname = parsed.pathname
+      .replace(/\/amp(\/|$)/g, "/")
+      .replace(/\.amp\.html$/, ".html")
+      .replace(/(.)\/+$/, "$1");
+
+  return parsed.toString();
+}
+
+/**
+ * Remove utm_* and click ID parameters from an article URL, leaving the rest
+ * of the link as the provider sent it
+ *
+ * Unlike canonicalizeUrl, the result is safe to hand to readers: it never
+ * rewrites the path or drops parameters that may select the page.
+ * @param {string} url - Article URL
+ * @returns {string} URL without tracking parameters, or the input if it
+ *   has none or can't be parsed
+ */
+function stripTrackingParams(url) {
+  if (!url || typeof url !== "string") {
+    return url;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  const tracking = [...parsed.searchParams.keys()].filter((key) => {
+    const lowerKey = key.toLowerCase();
+    return lowerKey.startsWith("utm_") || CLICK_ID_PARAMS.has(lowerKey);
+  });
+  if (tracking.length === 0) {
+    return url;
+  }
+
+  tracking.forEach((key) => parsed.searchParams.delete(key));
+  return parsed.toString();
+}
+
+/**
+ * Get the key used to compare URLs: the canonical URL without scheme or
+ * leading "www."
+ * @param {string} url - Article URL
+ * @returns {string} Comparison key
+ */
+function getUrlKey(url) {
+  return String(canonicalizeUrl(url) || "")
+      .replace(/^https?:\/\//, "")
+      .replace(/^www\./, "");
+}
+
+/**
+ * Split a title into word shingles
+ *
+ * Trailing " - Source" / " | Source" suffixes are dropped so the same story
+ * from different outlets compares equal.
+ * @param {string} title - Article title
+ * @param {number} size - Words per shingle
+ * @returns {Set<string>} Shingles; single words for titles shorter than size
+ */
+function titleShingles(title, size = SHINGLE_SIZE) {
+  const words = String(title || "")
+      .replace(/\s+[-|–—]\s+[^-|–—]{1,60}$/, "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, " ")
+      .split(/\s+/)
+      .filter(Boolean);
+
+  if (words.length < size) {
+    return new Set(words);
+  }
+
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - size; i++) {
+    shingles.add(words.slice(i, i + size).join(" "));
+  }
+  return shingles;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let intersection = 0;
+  for (const item of a) {
+    if (b.has(item)) {
+      intersection++;
+    }
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Cluster near-duplicate articles into single results
+ *
+ * Articles are compared in order against the first article of each cluster.
+ * An article joins a cluster when its canonical URL matches or its title
+ * similarity reaches the threshold. The first article represents the
+ * cluster, lists the others in `relatedSources`, and takes on their query
+ * matches. The cluster goes in the highest-priority category any of its
+ * articles matched, with the rest in `otherCategories`.
+ * @param {Object[]} articles - Articles from fetchNewsForQueries
+ * @param {number} threshold - Minimum title similarity (0-1)
+ * @returns {Object[]} One article per cluster
+ */
+function clusterArticles(articles, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+  const clusters = [];
+
+  for (const article of articles || []) {
+    const urlKey = getUrlKey(article.url);
+    const shingles = titleShingles(article.title);
+
+    const cluster = clusters.find((candidate) =>
+      candidate.urlKey === urlKey ||
+      jaccardSimilarity(candidate.shingles, shingles) >= threshold,
+    );
+
+    if (cluster) {
+      cluster.members.push(article);
+    } else {
+      clusters.push({ urlKey, shingles, lead: article, members: [] });
+    }
+  }
+
+  return clusters.map(({ lead, members }) => {
+    if (members.length === 0) {
+      return { ...lead, relatedSources: [] };
+    }
+
+    const matchedCategories = [lead, ...members].flatMap((article) => [
+      article.category,
+      ...(article.otherCategories || []),
+    ]).filter(Boolean);
+
+    return {
+      ...lead,
+      ...(matchedCategories.length > 0 ? resolveCategory(matchedCategories) : {}),
+      queryMatches: members.reduce(
+          (sum, member) => sum + (member.queryMatches || 1),
+          lead.queryMatches || 1,
+      ),
+      relatedSources: members.map((member) => ({
+        source: member.source,
+        url: member.url,
+        title: member.title,
+        publishedAt: member.publishedAt,
+      })),
+    };
+  });
+}
+
+module.exports = {
+  canonicalizeUrl,
+  stripTrackingParams,
+  getUrlKey,
+  titleShingles,
+  jaccardSimilarity,
+  clusterArticles,
+};
@@ -0,0 +1,216 @@
+/**
+ * Digest Store Utility
+ * Pre-generates news digests for saved profiles, grouping profiles that ask
+ * for the same news so each combination is fetched and summarized once
+ */
+
+const crypto = require("crypto");
+const { PROFILE_COLLECTION, pickProfileFields } = require("./profileStore");
+const { DEFAULT_LANGUAGE } = require("./languages");
+
+// Configurable constants (can be overridden via environment variables)
+const DIGEST_COLLECTION = process.env.NEWS_DIGEST_COLLECTION || "newsDigests";
+const DEFAULT_MAX_GROUPS = parseInt(process.env.DIGEST_MAX_GROUPS, 10) || 200;
+const DIGEST_TIMEOUT_SECONDS = parseInt(process.env.DIGEST_TIMEOUT_SECONDS, 10) || 540;
+
+// Time to keep free before starting a group: the request deadline every
+// group runs under, plus a margin for summaries and storing the digest
+const DEFAULT_GROUP_TIME_MS =
+  (parseInt(process.env.NEWS_REQUEST_DEADLINE_MS, 10) || 25000) + 5000;
+
+/**
+ * Normalize a string for grouping (trimmed, lowercase)
+ * @param {*} value - Value to normalize
+ * @returns {string} Normalized string, empty for non-strings
+ */
+function normalizeText(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+/**
+ * Compute the digest key for a request or profile
+ *
+ * Requests that would produce the same news get the same key, regardless of
+ * letter case, interest order or defaulted fields.
+ * @param {Object} data - Request data or profile
+ * @returns {string} Hex digest key
+ */
+function getDigestKey(data) {
+  const profile = pickProfileFields(data);
+  const location = profile.location || {};
+  const excludeKeywords = [...new Set((profile.excludeKeywords || [])
+      .map(normalizeText)
+      .filter(Boolean))].sort();
+
+  const normalized = {
+    city: normalizeText(location.city),
+    state: normalizeText(location.state),
+    country: normalizeText(location.country),
+    businessInterests: (profile.businessInterests || [])
+        .map(normalizeText)
+        .filter(Boolean)
+        .sort(),
+    community: normalizeText(profile.community),
+    provider: profile.provider || "",
+    languages: [...new Set(profile.languages || [DEFAULT_LANGUAGE])].sort(),
+    newsCountry: profile.country || "",
+    summaryLanguage: profile.summaryLanguage || "article",
+    // Only set when saved, so keys of profiles without them don't change
+    ...(profile.maxAgeHours ? { maxAgeHours: profile.maxAgeHours } : {}),
+    ...(profile.enrich ? { enrich: true } : {}),
+    ...(profile.digest ? { digest: true } : {}),
+    ...(excludeKeywords.length > 0 ? { excludeKeywords } : {}),
+  };
+
+  return crypto.createHash("sha256").update(JSON.stringify(normalized)).digest("hex");
+}
+
+/**
+ * Group profiles that would produce the same digest
+ * @param {Object[]} profiles - Saved profiles
+ * @returns {Object[]} Groups as { key, request, profileCount }
+ */
+function groupProfiles(profiles) {
+  const groups = new Map();
+
+  for (const profile of profiles) {
+    if (!profile || !profile.location) {
+      continue;
+    }
+
+    const key = getDigestKey(profile);
+    if (groups.has(key)) {
+      groups.get(key).profileCount++;
+    } else {
+      groups.set(key, { key, request: pickProfileFields(profile), profileCount: 1 });
+    }
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Convert a stored generatedAt (Firestore Timestamp, Date or string) to a Date
+ * @param {*} value - Stored value
+ * @returns {Date} Date, invalid when the value is missing
+ */
+function toDate(value) {
+  return value?.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Read when each stored digest was generated
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Map<string, number>>} Map of digest key to time in
+ *   milliseconds
+ */
+async function getDigestTimes(db) {
+  const snapshot = await db.collection(DIGEST_COLLECTION).select("generatedAt").get();
+  return new Map(snapshot.docs.map((doc) => [
+    doc.id,
+    toDate(doc.data().generatedAt).getTime() || 0,
+  ]));
+}
+
+/**
+ * Generate and store a digest for every group of saved profiles
+ *
+ * Groups are processed one at a time to stay within provider quotas,
+ * starting with groups that have no digest and then the oldest digests, so
+ * groups a run doesn't reach go first in the next one. A group is only
+ * started while `groupTimeMs` is left before the deadline. A failed group
+ * is logged and skipped.
+ * @param {Object} db - Firestore instance
+ * @param {Function} generate - Async function (request) => digest payload
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxGroups - Maximum number of groups per run
+ * @param {Object} options.deadline - Deadline for the run (see
+ *   utils/outbound.js), e.g. the function timeout
+ * @param {number} options.groupTimeMs - Longest a group can take
+ * @returns {Promise<Object>} Run statistics; `skipped` counts the groups
+ *   left for the next run
+ */
+async function generateDigests(db, generate, options = {}) {
+  const {
+    maxGroups = DEFAULT_MAX_GROUPS,
+    deadline,
+    groupTimeMs = DEFAULT_GROUP_TIME_MS,
+  } = options;
+
+  const snapshot = await db.collection(PROFILE_COLLECTION).get();
+  const profiles = snapshot.docs.map((doc) => doc.data());
+  const digestTimes = await getDigestTimes(db);
+  const groups = groupProfiles(profiles).sort(
+      (a, b) => (digestTimes.get(a.key) || 0) - (digestTimes.get(b.key) || 0),
+  );
+
+  const stats = {
+    profiles: profiles.length,
+    groups: groups.length,
+    generated: 0,
+    failed: 0,
+    skipped: Math.max(0, groups.length - maxGroups),
+  };
+
+  const selected = groups.slice(0, maxGroups);
+  for (const [index, group] of selected.entries()) {
+    if (deadline && deadline.remainingMs() < groupTimeMs) {
+      console.warn(`Digest run is out of time, leaving ${selected.length - index} groups ` +
+        "for the next run");
+      stats.skipped += selected.length - index;
+      break;
+    }
+
+    try {
+      // Round-trip through JSON to drop undefined fields, which Firestore rejects
+      const payload = JSON.parse(JSON.stringify(await generate(group.request)));
+      await db.collection(DIGEST_COLLECTION).doc(group.key).set({
+        ...payload,
+        request: group.request,
+        profileCount: group.profileCount,
+        generatedAt: new Date(),
+      });
+      stats.generated++;
+    } catch (error) {
+      console.error(`Error generating digest ${group.key}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Read the pre-generated digest for a request if it is fresh enough
+ * @param {Object} db - Firestore instance
+ * @param {Object} data - Request data
+ * @param {number} maxAgeMinutes - Maximum digest age to serve
+ * @returns {Promise<Object|null>} Digest payload with generatedAt, or null
+ */
+async function getFreshDigest(db, data, maxAgeMinutes) {
+  if (!maxAgeMinutes || maxAgeMinutes <= 0) {
+    return null;
+  }
+
+  const snapshot = await db.collection(DIGEST_COLLECTION).doc(getDigestKey(data)).get();
+  if (!snapshot.exists) {
+    return null;
+  }
+
+  const digest = snapshot.data();
+  const generatedAt = toDate(digest.generatedAt);
+
+  if (Date.now() - generatedAt.getTime() > maxAgeMinutes * 60000) {
+    return null;
+  }
+
+  return { ...digest, generatedAt: generatedAt.toISOString() };
+}
+
+module.exports = {
+  DIGEST_TIMEOUT_SECONDS,
+  getDigestKey,
+  groupProfiles,
+  generateDigests,
+  getFreshDigest,
+};
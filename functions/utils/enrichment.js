@@ -0,0 +1,229 @@
+/**
+ * Enrichment Utility
+ * Asks the model for structured JSON about an article (summary, topic,
+ * sentiment, entities, local relevance) and checks it against a schema
+ */
+
+const { getLanguageName } = require("./languages");
+
+// Topics the model can assign, so the app can badge and filter articles
+const TOPICS = [
+  "politics",
+  "government",
+  "business",
+  "economy",
+  "crime",
+  "education",
+  "health",
+  "environment",
+  "weather",
+  "infrastructure",
+  "technology",
+  "sports",
+  "entertainment",
+  "community",
+  "other",
+];
+
+const SENTIMENTS = ["positive", "neutral", "negative"];
+
+// Entity lists returned for each article
+const ENTITY_TYPES = ["places", "organizations", "schemes"];
+
+// Longest entity list kept per type
+const MAX_ENTITIES = 10;
+
+/**
+ * Describe the reader the relevance score is for
+ * @param {Object} context - { location, community, businessInterests }
+ * @returns {string} Reader description for the prompt
+ */
+function describeReader(context = {}) {
+  const { location = {}, community, businessInterests } = context;
+  const place = [location.city, location.state, location.country].filter(Boolean).join(", ");
+
+  const lines = [`Reader location: ${place || "unknown"}`];
+  if (community) {
+    lines.push(`Reader community: ${community}`);
+  }
+  if (businessInterests && businessInterests.length > 0) {
+    lines.push(`Reader business interests: ${businessInterests.join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Build the system prompt describing the JSON to return
+ * @param {string} outputLanguage - ISO 639-1 code of the summary language, optional
+ * @param {Object} settings - Summary { minWords, maxWords }
+ * @returns {string} System prompt
+ */
+function buildEnrichmentPrompt(outputLanguage, settings = {}) {
+  const { minWords = 60, maxWords = 80 } = settings;
+  let prompt = "You analyze news articles for a local news app. Reply with a single JSON object and nothing else, with these fields:\n" +
+    `- "summary": a neutral ${minWords}-${maxWords} word summary of the key facts\n` +
+    `- "topic": one of ${TOPICS.map((topic) => `"${topic}"`).join(", ")}\n` +
+    `- "sentiment": one of ${SENTIMENTS.map((sentiment) => `"${sentiment}"`).join(", ")}\n` +
+    "- \"entities\": { \"places\": [], \"organizations\": [], \"schemes\": [] } with the places, " +
+    "organizations and government schemes the article names\n" +
+    "- \"relevance\": a number from 0 to 1 for how much the article matters to the reader's " +
+    "location and community";
+  if (outputLanguage) {
+    prompt += `\nWrite the summary in ${getLanguageName(outputLanguage)}.`;
+  }
+  return prompt;
+}
+
+/**
+ * Parse a JSON reply from the model
+ *
+ * Some models wrap JSON in a Markdown code fence despite the prompt, so the
+ * fence is removed first.
+ * @param {string} content - Raw model reply
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When the reply isn't valid JSON
+ */
+function parseJsonReply(content) {
+  return JSON.parse(String(content || "").replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ""));
+}
+
+/**
+ * Check a value against the enrichment schema
+ * @param {*} value - Parsed model output
+ * @returns {string[]} Schema errors, empty when the value is valid
+ */
+function validateEnrichment(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return ["must be an object"];
+  }
+
+  const errors = [];
+  if (typeof value.summary !== "string" || !value.summary.trim()) {
+    errors.push("summary must be a non-empty string");
+  }
+  if (!TOPICS.includes(value.topic)) {
+    errors.push(`topic must be one of: ${TOPICS.join(", ")}`);
+  }
+  if (!SENTIMENTS.includes(value.sentiment)) {
+    errors.push(`sentiment must be one of: ${SENTIMENTS.join(", ")}`);
+  }
+
+  const entities = value.entities;
+  if (!entities || typeof entities !== "object" || Array.isArray(entities)) {
+    errors.push("entities must be an object");
+  } else {
+    for (const type of ENTITY_TYPES) {
+      const list = entities[type] === undefined ? [] : entities[type];
+      if (!Array.isArray(list) || !list.every((entity) => typeof entity === "string")) {
+        errors.push(`entities.${type} must be a list of strings`);
+      }
+    }
+  }
+
+  if (typeof value.relevance !== "number" || !(value.relevance >= 0 && value.relevance <= 1)) {
+    errors.push("relevance must be a number from 0 to 1");
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and check the model's reply
+ *
+ * Topic and sentiment are matched case-insensitively; entity lists are
+ * trimmed, deduplicated and capped at MAX_ENTITIES.
+ * @param {string} content - Raw model reply
+ * @returns {Object} { enrichment, errors }; enrichment is null when the reply
+ *   isn't valid JSON or doesn't match the schema
+ */
+function parseEnrichment(content) {
+  let value;
+  try {
+    value = parseJsonReply(content);
+  } catch {
+    return { enrichment: null, errors: ["reply is not valid JSON"] };
+  }
+
+  if (value && typeof value === "object") {
+    for (const field of ["topic", "sentiment"]) {
+      if (typeof value[field] === "string") {
+        value[field] = value[field].trim().toLowerCase();
+      }
+    }
+  }
+
+  const errors = validateEnrichment(value);
+  if (errors.length > 0) {
+    return { enrichment: null, errors };
+  }
+
+  const entities = {};
+  for (const type of ENTITY_TYPES) {
+    entities[type] = [...new Set((value.entities[type] || [])
+        .map((entity) => entity.trim())
+        .filter(Boolean))]
+        .slice(0, MAX_ENTITIES);
+  }
+
+  return {
+    enrichment: {
+      summary: value.summary.trim(),
+      topic: value.topic,
+      sentiment: value.sentiment,
+      entities,
+      relevance: Math.round(value.relevance * 100) / 100,
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Ask the model for the structured enrichment of a single article
+ * @param {Object} article - Article object with title and description
+ * @param {Object} llm - LLM provider (see utils/llm.js)
+ * @param {string} model - Model to use
+ * @param {Object} options - Optional settings
+ * @param {string} options.outputLanguage - ISO 639-1 code of the summary language
+ * @param {Object} options.context - Reader { location, community, businessInterests }
+ *   the relevance score is for
+ * @param {Object} options.settings - Summary { minWords, maxWords }
+ * @returns {Promise<Object|null>} Enrichment, or null if the article has no text
+ * @throws {Error} When the reply is missing or doesn't match the schema
+ */
+async function requestEnrichment(article, llm, model, options = {}) {
+  const { outputLanguage, context, settings } = options;
+  if (!article || (!article.title && !article.description)) {
+    return null;
+  }
+
+  const reply = await llm.complete({
+    model: model,
+    system: buildEnrichmentPrompt(outputLanguage, settings),
+    user: `${describeReader(context)}
+
+Title: ${article.title || ""}
+Source: ${article.source || ""}
+Description: ${article.description || ""}`,
+    maxTokens: 400,
+    temperature: 0.2,
+    json: true,
+  });
+
+  const { enrichment, errors } = parseEnrichment(reply);
+  if (!enrichment) {
+    throw new Error(`The model returned invalid enrichment: ${errors.join("; ")}`);
+  }
+  return enrichment;
+}
+
+module.exports = {
+  TOPICS,
+  SENTIMENTS,
+  ENTITY_TYPES,
+  describeReader,
+  buildEnrichmentPrompt,
+  parseJsonReply,
+  validateEnrichment,
+  parseEnrichment,
+  requestEnrichment,
+};
@@ -0,0 +1,230 @@
+/**
+ * Errors Utility
+ * Typed API errors, their callable (HttpsError) and HTTP equivalents, and
+ * the warnings returned when a request only partly succeeded
+ */
+
+const functions = require("firebase-functions");
+
+// Error codes, with the HttpsError code and HTTP status each maps to
+const ERROR_TYPES = {
+  "invalid-argument": {
+    httpsCode: "invalid-argument",
+    httpStatus: 400,
+    message: "The request is invalid.",
+  },
+  "unauthenticated": {
+    httpsCode: "unauthenticated",
+    httpStatus: 401,
+    message: "Authentication is required.",
+  },
+  "permission-denied": {
+    httpsCode: "permission-denied",
+    httpStatus: 403,
+    message: "You don't have access to this resource.",
+  },
+  "not-found": {
+    httpsCode: "not-found",
+    httpStatus: 404,
+    message: "The requested resource was not found.",
+  },
+  "rate-limited": {
+    httpsCode: "resource-exhausted",
+    httpStatus: 429,
+    message: "Too many requests. Please try again later.",
+  },
+  "not-configured": {
+    httpsCode: "failed-precondition",
+    httpStatus: 500,
+    message: "News API is not configured. Please contact administrator.",
+  },
+  "internal": {
+    httpsCode: "internal",
+    httpStatus: 500,
+    message: "An unexpected error occurred. Please try again later.",
+  },
+  "provider-unavailable": {
+    httpsCode: "unavailable",
+    httpStatus: 502,
+    message: "The news providers are unavailable. Please try again later.",
+  },
+  "quota-exceeded": {
+    httpsCode: "resource-exhausted",
+    httpStatus: 429,
+    message: "The news provider quota has been exceeded. Please try again later.",
+  },
+  "deadline-exceeded": {
+    httpsCode: "deadline-exceeded",
+    httpStatus: 504,
+    message: "The news providers took too long to respond. Please try again.",
+  },
+};
+
+// Warning code for summaries that fell back to the article description
+const SUMMARIZATION_DEGRADED = "summarization-degraded";
+
+// Warning code for a requested briefing that couldn't be written
+const BRIEFING_UNAVAILABLE = "briefing-unavailable";
+
+/**
+ * Create a typed API error
+ * @param {string} code - Error code, a key of ERROR_TYPES
+ * @param {string} message - Message for the client, defaults to the code's message
+ * @param {Object} details - Extra fields for the client, e.g. { retryAfterSeconds }
+ * @returns {Error} Error with name "ApiError", code and details
+ */
+function createApiError(code, message, details) {
+  const type = ERROR_TYPES[code] || ERROR_TYPES.internal;
+  const error = new Error(message || type.message);
+  error.name = "ApiError";
+  error.code = ERROR_TYPES[code] ? code : "internal";
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Check whether an error is a typed API error
+ * @param {*} error - Error to check
+ * @returns {boolean} True for errors from createApiError
+ */
+function isApiError(error) {
+  return error?.name === "ApiError" && Boolean(ERROR_TYPES[error.code]);
+}
+
+/**
+ * Turn any error into a typed API error; unknown errors become "internal"
+ * so their messages don't reach the client
+ * @param {*} error - Error to convert
+ * @returns {Error} Typed API error
+ */
+function toApiError(error) {
+  return isApiError(error) ? error : createApiError("internal");
+}
+
+/**
+ * Convert an error into the HttpsError thrown from callable functions
+ * @param {*} error - Error to convert
+ * @returns {functions.https.HttpsError} HttpsError with { code, ...details } as details
+ */
+function toHttpsError(error) {
+  const apiError = toApiError(error);
+  return new functions.https.HttpsError(
+      ERROR_TYPES[apiError.code].httpsCode,
+      apiError.message,
+      { code: apiError.code, ...apiError.details },
+  );
+}
+
+/**
+ * Convert an error into an HTTP status and JSON body
+ * @param {*} error - Error to convert
+ * @returns {Object} { httpStatus, body } where body is
+ *   { status: "error", code, error, ...details, results: [] }
+ */
+function toHttpError(error) {
+  const apiError = toApiError(error);
+  return {
+    httpStatus: ERROR_TYPES[apiError.code].httpStatus,
+    body: {
+      status: "error",
+      code: apiError.code,
+      error: apiError.message,
+      ...apiError.details,
+      results: [],
+    },
+  };
+}
+
+/**
+ * Classify why a query failed
+ * @param {Object} failure - Failed query from fetchNewsForQueries
+ * @returns {string} "quota-exceeded", "deadline-exceeded" or "provider-unavailable"
+ */
+function classifyQueryFailure(failure) {
+  if (failure.status === 429) {
+    return "quota-exceeded";
+  }
+  if (failure.code === "DEADLINE_EXCEEDED") {
+    return "deadline-exceeded";
+  }
+  return "provider-unavailable";
+}
+
+/**
+ * Create the error for a request where every query failed
+ *
+ * The code is "quota-exceeded" or "deadline-exceeded" when every query
+ * failed for that reason, otherwise "provider-unavailable".
+ * @param {Object[]} failedQueries - Failed queries from fetchNewsForQueries
+ * @returns {Error} Typed API error with the failed queries in its details
+ */
+function createQueryFailureError(failedQueries) {
+  const codes = new Set(failedQueries.map(classifyQueryFailure));
+  const code = codes.size === 1 ? [...codes][0] : "provider-unavailable";
+  return createApiError(code, undefined, { failedQueries });
+}
+
+/**
+ * Build the warnings for a request that returned results despite failures
+ * @param {Object} failures - Failures collected while handling the request
+ * @param {Object[]} failures.failedQueries - Failed queries from fetchNewsForQueries
+ * @param {Object[]} failures.failedSummaries - Failed summaries from summarizeArticles
+ * @param {Object[]} failures.failedBriefing - Failure from summarizeDigest
+ * @returns {Object[]} Warnings as { code, message } plus the failed `queries`
+ *   or the `count` of failed summaries
+ */
+function buildWarnings({ failedQueries = [], failedSummaries = [], failedBriefing = [] } = {}) {
+  const warnings = [];
+
+  const queriesByCode = new Map();
+  for (const failure of failedQueries) {
+    const code = classifyQueryFailure(failure);
+    queriesByCode.set(code, [...(queriesByCode.get(code) || []), failure.query]);
+  }
+
+  const queryMessages = {
+    "quota-exceeded": "Some queries were skipped because a news provider's quota was exceeded.",
+    "deadline-exceeded": "Some queries did not finish before the request deadline.",
+    "provider-unavailable": "Some queries failed because no news provider was available.",
+  };
+  for (const [code, queries] of queriesByCode) {
+    warnings.push({
+      code,
+      message: queryMessages[code],
+      queries: [...new Set(queries)],
+    });
+  }
+
+  if (failedSummaries.length > 0) {
+    warnings.push({
+      code: SUMMARIZATION_DEGRADED,
+      message: "Some summaries could not be generated by the AI model; an extractive summary or the article description is shown instead.",
+      count: failedSummaries.length,
+    });
+  }
+
+  if (failedBriefing.length > 0) {
+    warnings.push({
+      code: BRIEFING_UNAVAILABLE,
+      message: "The briefing could not be written; the articles are still returned.",
+    });
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  ERROR_TYPES,
+  SUMMARIZATION_DEGRADED,
+  BRIEFING_UNAVAILABLE,
+  createApiError,
+  isApiError,
+  toApiError,
+  toHttpsError,
+  toHttpError,
+  classifyQueryFailure,
+  createQueryFailureError,
+  buildWarnings,
+};
@@ -0,0 +1,199 @@
+/**
+ * Extractive Summarizer Utility
+ * Offline fallback summaries: picks the most informative sentences of an
+ * article's description and body text by TF-IDF, with no network calls
+ */
+
+// Common English words that carry no topic, ignored when scoring
+const STOPWORDS = new Set([
+  "a", "about", "after", "all", "also", "an", "and", "any", "are", "as", "at",
+  "be", "been", "but", "by", "can", "could", "did", "do", "for", "from", "had",
+  "has", "have", "he", "her", "his", "how", "if", "in", "into", "is", "it",
+  "its", "more", "new", "not", "of", "on", "one", "or", "our", "out", "over",
+  "said", "says", "she", "so", "than", "that", "the", "their", "them", "there",
+  "these", "they", "this", "to", "up", "was", "we", "were", "what", "when",
+  "which", "who", "will", "with", "would", "you",
+]);
+
+// Sentence end followed by the start of the next sentence, not after a title
+const SENTENCE_BOUNDARY =
+  /(?<!\b(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|Gen|Col|Lt|Rev|Hon|Shri|Smt)\.)(?<=[.!?।]["'”’)]?)\s+(?=[^\p{Ll}])/u;
+
+// Sentences shorter than this are headings or fragments, not summary material
+const MIN_SENTENCE_WORDS = 4;
+
+/**
+ * Remove the "[+1234 chars]" marker providers add to truncated body text
+ * @param {string} text - Article body text
+ * @returns {string} Text without the marker
+ */
+function stripTruncationMarker(text) {
+  return String(text || "").replace(/\s*(\.\.\.|…)?\s*\[\+?\d+ chars\]\s*$/, "");
+}
+
+/**
+ * Split text into sentences
+ *
+ * A sentence ends at ".", "!", "?" or the Devanagari danda, followed by a
+ * space and a character that isn't a lowercase letter (so "approx. ten"
+ * stays together), except after titles such as "Mr." or "Dr.".
+ * @param {string} text - Text to split
+ * @returns {string[]} Trimmed sentences
+ */
+function splitSentences(text) {
+  return String(text || "")
+      .replace(/\s+/g, " ")
+      .split(SENTENCE_BOUNDARY)
+      .map((sentence) => sentence.trim())
+      .filter(Boolean);
+}
+
+/**
+ * Split text into lowercase terms, dropping stopwords and single characters
+ * @param {string} text - Text to split
+ * @returns {string[]} Terms
+ */
+function tokenize(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter((term) => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Count the words of a text
+ * @param {string} text - Text to count
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return String(text || "").split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Score sentences by TF-IDF
+ *
+ * Each sentence is treated as a document for IDF, and term frequencies come
+ * from the whole text, so sentences with the article's recurring but
+ * distinctive terms score highest. Sentences sharing terms with the title
+ * and sentences near the start get a bonus.
+ * @param {string[]} sentences - Candidate sentences
+ * @param {string} title - Article title
+ * @returns {number[]} Score per sentence
+ */
+function scoreSentences(sentences, title) {
+  const sentenceTerms = sentences.map(tokenize);
+
+  const termFrequency = new Map();
+  const documentFrequency = new Map();
+  for (const terms of sentenceTerms) {
+    for (const term of terms) {
+      termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+    }
+    for (const term of new Set(terms)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const titleTerms = new Set(tokenize(title));
+  return sentenceTerms.map((terms, index) => {
+    if (terms.length === 0) {
+      return 0;
+    }
+
+    const unique = new Set(terms);
+    let tfidf = 0;
+    for (const term of unique) {
+      const idf = Math.log((sentences.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+      tfidf += termFrequency.get(term) * idf;
+    }
+
+    const titleOverlap = titleTerms.size > 0 ?
+      [...titleTerms].filter((term) => unique.has(term)).length / titleTerms.size :
+      0;
+    const position = 1 / (1 + 0.1 * index);
+
+    return (tfidf / Math.sqrt(terms.length)) * (1 + titleOverlap) * position;
+  });
+}
+
+/**
+ * Cut text to a number of words, marking the cut with an ellipsis
+ * @param {string} text - Text to cut
+ * @param {number} maxWords - Words to keep
+ * @returns {string} Shortened text
+ */
+function truncateWords(text, maxWords) {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (words.length <= maxWords) {
+    return text;
+  }
+  return `${words.slice(0, maxWords).join(" ").replace(/[,;:.!?]+$/, "")}…`;
+}
+
+/**
+ * Summarize an article from its own sentences
+ *
+ * Uses the description and, when the provider returned it, the body text in
+ * `content`. The best-scoring sentences are kept, in their original order,
+ * until the summary reaches minWords without going over maxWords.
+ * @param {Object} article - Article with title, description and optional content
+ * @param {Object} options - Optional settings
+ * @param {number} options.minWords - Words to aim for at least
+ * @param {number} options.maxWords - Words not to exceed
+ * @returns {string} Summary, or "" when the article has no usable text
+ */
+function summarizeExtractive(article, options = {}) {
+  const { minWords = 60, maxWords = 80 } = options;
+
+  // The description often repeats the body's first sentence, so duplicates
+  // are dropped
+  const seen = new Set();
+  const sentences = [
+    ...splitSentences(article?.description),
+    ...splitSentences(stripTruncationMarker(article?.content)),
+  ].filter((sentence) => {
+    const key = tokenize(sentence).join(" ");
+    if (countWords(sentence) < MIN_SENTENCE_WORDS || !key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  if (sentences.length === 0) {
+    return "";
+  }
+
+  const scores = scoreSentences(sentences, article.title);
+  const ranked = sentences
+      .map((sentence, index) => ({ sentence, index, score: scores[index], words: countWords(sentence) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const selected = [];
+  let words = 0;
+  for (const candidate of ranked) {
+    if (words >= minWords) {
+      break;
+    }
+    if (words + candidate.words <= maxWords) {
+      selected.push(candidate);
+      words += candidate.words;
+    }
+  }
+
+  // Every sentence is longer than the limit, so the best one is cut
+  if (selected.length === 0) {
+    return truncateWords(ranked[0].sentence, maxWords);
+  }
+
+  return selected
+      .sort((a, b) => a.index - b.index)
+      .map(({ sentence }) => sentence)
+      .join(" ");
+}
+
+module.exports = {
+  stripTruncationMarker,
+  splitSentences,
+  tokenize,
+  scoreSentences,
+  summarizeExtractive,
+};
@@ -0,0 +1,384 @@
+/**
+ * Feed Source Utility
+ * Fetches configured RSS 2.0 and Atom feeds, such as district news sites and
+ * government press release feeds, and normalizes their items to articles
+ */
+
+const axios = require("axios");
+const { XMLParser } = require("fast-xml-parser");
+const { DEFAULT_LANGUAGE } = require("./languages");
+
+/**
+ * Parse the configured feed list
+ * e.g. '[{"url":"https://example.gov.in/rss","name":"Ramgarh District",
+ * "location":"Ramgarh","category":"local"}]'
+ *
+ * Entries without an http(s) url are dropped.
+ * @param {string|Object[]} value - JSON feed list, or the parsed list
+ * @returns {Object[]} Feeds as { url, name, location, community, category, language }
+ */
+function parseFeedList(value) {
+  let feeds = value;
+  if (typeof value === "string") {
+    try {
+      feeds = JSON.parse(value);
+    } catch {
+      console.error("NEWS_FEEDS is not valid JSON, no feeds will be fetched");
+      return [];
+    }
+  }
+
+  if (!Array.isArray(feeds)) {
+    return [];
+  }
+
+  return feeds
+      .filter((feed) => feed && typeof feed.url === "string" && /^https?:\/\//i.test(feed.url))
+      .map((feed) => ({
+        url: feed.url,
+        name: feed.name || "",
+        location: feed.location || "",
+        community: feed.community || "",
+        category: feed.category || (feed.community ? "community" : "local"),
+        language: feed.language || DEFAULT_LANGUAGE,
+      }));
+}
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_FEEDS = parseFeedList(process.env.NEWS_FEEDS || "[]");
+
+// Items per page when no page size is given
+const DEFAULT_MAX_ITEMS = 10;
+
+// Largest feed document that will be downloaded
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+
+// Time zone abbreviations used by RSS feeds that Date.parse doesn't know
+const TIMEZONE_OFFSETS = {
+  IST: "+0530",
+};
+
+// Elements that can repeat, parsed as lists even when there is only one
+const LIST_ELEMENTS = new Set([
+  "item",
+  "entry",
+  "link",
+  "enclosure",
+  "media:content",
+  "media:thumbnail",
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => LIST_ELEMENTS.has(name),
+});
+
+/**
+ * Check whether a feed applies to a request
+ *
+ * A feed mapped to a location applies when it names the request's city,
+ * state or country; a feed mapped to a community applies to that community.
+ * Feeds mapped to neither apply to every request. The feed's language must
+ * be one of the requested languages.
+ * @param {Object} feed - Feed from parseFeedList
+ * @param {Object} data - Request data with location, community and languages
+ * @returns {boolean} True when the feed should be fetched
+ */
+function feedMatchesRequest(feed, data = {}) {
+  const languages = data.languages && data.languages.length > 0 ?
+    data.languages :
+    [DEFAULT_LANGUAGE];
+  if (!languages.includes(feed.language)) {
+    return false;
+  }
+
+  if (!feed.location && !feed.community) {
+    return true;
+  }
+
+  const normalize = (value) => String(value || "").trim().toLowerCase();
+  const location = data.location || {};
+  const places = [location.city, location.state, location.country].map(normalize);
+
+  return (Boolean(feed.location) && places.includes(normalize(feed.location))) ||
+    (Boolean(feed.community) && normalize(feed.community) === normalize(data.community));
+}
+
+/**
+ * Select the feeds that apply to a request
+ * @param {Object[]} feeds - Configured feeds
+ * @param {Object} data - Request data
+ * @returns {Object[]} Matching feeds
+ */
+function selectFeeds(feeds = DEFAULT_FEEDS, data = {}) {
+  return feeds.filter((feed) => feedMatchesRequest(feed, data));
+}
+
+/**
+ * Get the text of a parsed element, which is an object when the element has
+ * attributes (e.g. Atom's <title type="html">)
+ * @param {*} node - Parsed element
+ * @returns {string} Element text
+ */
+function textOf(node) {
+  if (node === undefined || node === null) {
+    return "";
+  }
+  if (typeof node === "object") {
+    return textOf(node["#text"]);
+  }
+  return String(node).trim();
+}
+
+/**
+ * Convert feed HTML to plain text
+ * @param {string} html - HTML from a description or content element
+ * @returns {string} Text with tags removed and entities decoded
+ */
+function htmlToText(html) {
+  return String(html || "")
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<br\s*\/?>|<\/p>/gi, " ")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/&quot;/g, "\"")
+      .replace(/&apos;|&#39;/g, "'")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&")
+      .replace(/\s+/g, " ")
+      .trim();
+}
+
+/**
+ * Convert an RSS (RFC 822) or Atom (ISO 8601) date to ISO 8601
+ * @param {string} value - Feed date
+ * @returns {string} ISO 8601 date, or "" when the date can't be parsed
+ */
+function toIsoDate(value) {
+  const text = textOf(value).replace(/\b([A-Z]{3})$/, (zone) => TIMEZONE_OFFSETS[zone] || zone);
+  const date = new Date(text);
+  return text && !Number.isNaN(date.getTime()) ? date.toISOString() : "";
+}
+
+/**
+ * Resolve a possibly relative link against the feed URL
+ * @param {string} link - Link from the feed
+ * @param {string} base - Feed URL
+ * @returns {string} Absolute URL, or "" when the link is invalid
+ */
+function resolveLink(link, base) {
+  if (!link) {
+    return "";
+  }
+  try {
+    return new URL(link, base).toString();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Find an item's image in its enclosures, media elements or HTML
+ * @param {Object} item - Parsed RSS item or Atom entry
+ * @param {string} html - The item's description or content HTML
+ * @returns {string} Image URL, or "" when there is none
+ */
+function findImage(item, html) {
+  const enclosures = [
+    ...(item.enclosure || []).map((enclosure) => ({
+      url: enclosure["@_url"],
+      type: enclosure["@_type"],
+    })),
+    ...(item.link || [])
+        .filter((link) => link?.["@_rel"] === "enclosure")
+        .map((link) => ({ url: link["@_href"], type: link["@_type"] })),
+  ];
+  const enclosure = enclosures.find(({ url, type }) => url && /^image\//i.test(type || ""));
+  if (enclosure) {
+    return enclosure.url;
+  }
+
+  const media = (item["media:content"] || []).find((content) => content["@_url"] &&
+    (content["@_medium"] === "image" || /^image\//i.test(content["@_type"] || "")));
+  if (media) {
+    return media["@_url"];
+  }
+
+  const thumbnail = (item["media:thumbnail"] || []).find((entry) => entry["@_url"]);
+  if (thumbnail) {
+    return thumbnail["@_url"];
+  }
+
+  return String(html || "").match(/<img[^>]+src=["']([^"']+)["']/i)?.[1] || "";
+}
+
+/**
+ * Normalize an RSS 2.0 item
+ * @param {Object} item - Parsed <item>
+ * @param {string} feedUrl - Feed URL, for relative links
+ * @returns {Object} { title, url, description, content, image, publishedAt }
+ */
+function normalizeRssItem(item, feedUrl) {
+  const guid = item.guid;
+  const guidIsLink = textOf(guid?.["@_isPermaLink"]) !== "false";
+  const link = textOf(item.link?.[0]) || (guidIsLink ? textOf(guid) : "");
+  const html = textOf(item.description);
+  const contentHtml = textOf(item["content:encoded"]);
+
+  return {
+    title: htmlToText(textOf(item.title)),
+    url: resolveLink(link, feedUrl),
+    description: htmlToText(html),
+    content: htmlToText(contentHtml),
+    image: resolveLink(findImage(item, html || contentHtml), feedUrl),
+    publishedAt: toIsoDate(item.pubDate || item["dc:date"]),
+  };
+}
+
+/**
+ * Normalize an Atom entry
+ * @param {Object} entry - Parsed <entry>
+ * @param {string} feedUrl - Feed URL, for relative links
+ * @returns {Object} { title, url, description, content, image, publishedAt }
+ */
+function normalizeAtomEntry(entry, feedUrl) {
+  const links = entry.link || [];
+  const link = links.find((candidate) => !candidate["@_rel"] || candidate["@_rel"] === "alternate");
+  const summaryHtml = textOf(entry.summary);
+  const contentHtml = textOf(entry.content);
+
+  return {
+    title: htmlToText(textOf(entry.title)),
+    url: resolveLink(link?.["@_href"], feedUrl),
+    description: htmlToText(summaryHtml || contentHtml),
+    content: summaryHtml ? htmlToText(contentHtml) : "",
+    image: resolveLink(findImage(entry, summaryHtml || contentHtml), feedUrl),
+    publishedAt: toIsoDate(entry.published || entry.updated),
+  };
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document into articles
+ * @param {string} xml - Feed document
+ * @param {Object} feed - Feed from parseFeedList
+ * @returns {Object[]} Articles in the same shape as newsFetcher's, with
+ *   provider "feed"; items without a title or web link are dropped
+ * @throws {Error} When the document isn't an RSS or Atom feed
+ */
+function parseFeed(xml, feed) {
+  let document;
+  try {
+    document = parser.parse(String(xml || ""));
+  } catch (error) {
+    throw new Error(`Feed is not valid XML: ${error.message}`);
+  }
+
+  let title;
+  let items;
+  if (document?.rss?.channel) {
+    const channel = document.rss.channel;
+    title = textOf(channel.title);
+    items = (channel.item || []).map((item) => normalizeRssItem(item, feed.url));
+  } else if (document?.feed) {
+    title = textOf(document.feed.title);
+    items = (document.feed.entry || []).map((entry) => normalizeAtomEntry(entry, feed.url));
+  } else {
+    throw new Error("Feed is not an RSS 2.0 or Atom document");
+  }
+
+  const source = feed.name || htmlToText(title) || new URL(feed.url).hostname;
+  return items
+      .filter((item) => item.title && /^https?:\/\//i.test(item.url))
+      .map((item) => ({
+        ...item,
+        source,
+        provider: "feed",
+        language: feed.language,
+      }));
+}
+
+/**
+ * Wrap a feed error, keeping the HTTP status so failures are classified the
+ * same way as provider failures
+ * @param {Error} error - Original error
+ * @param {Object} feed - Feed that failed
+ * @returns {Error} Wrapped error
+ */
+function wrapFeedError(error, feed) {
+  const wrapped = new Error(`Failed to fetch feed ${feed.url}: ${error.message}`);
+  wrapped.provider = "feed";
+  wrapped.status = error.response?.status;
+  wrapped.code = error.code;
+  wrapped.retryAfter = error.response?.headers?.["retry-after"];
+  return wrapped;
+}
+
+/**
+ * Download and parse a feed
+ * @param {Object} feed - Feed from parseFeedList
+ * @returns {Promise<Object[]>} Articles, in feed order
+ */
+async function fetchFeed(feed) {
+  try {
+    const response = await axios.get(feed.url, {
+      headers: {
+        Accept: "application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.5",
+      },
+      responseType: "text",
+      maxContentLength: MAX_FEED_BYTES,
+      timeout: 10000,
+    });
+    return parseFeed(response.data, feed);
+  } catch (error) {
+    console.error(`Error fetching feed "${feed.url}":`, error.message);
+    throw wrapFeedError(error, feed);
+  }
+}
+
+/**
+ * Fetch a page of a feed's articles, serving the parsed feed from the cache
+ * when one is given
+ * @param {Object} feed - Feed from parseFeedList
+ * @param {Object} options - Optional settings
+ * @param {Object} options.cache - News cache (see utils/cache.js)
+ * @param {Object} options.cacheStats - Hit/miss counters to update
+ * @param {number} options.page - Page of items (1-based)
+ * @param {number} options.maxItems - Items per page
+ * @returns {Promise<Object[]>} Articles on the page
+ */
+async function fetchFeedCached(feed, options = {}) {
+  const { cache, cacheStats, page = 1, maxItems = DEFAULT_MAX_ITEMS } = options;
+
+  let articles;
+  const cacheKey = `feed|${feed.language}|${feed.url}`;
+  if (cache) {
+    articles = await cache.get(cacheKey, cacheStats);
+  }
+  if (!articles) {
+    articles = await fetchFeed(feed);
+    if (cache) {
+      await cache.set(cacheKey, articles);
+    }
+  }
+
+  return articles.slice((page - 1) * maxItems, page * maxItems);
+}
+
+module.exports = {
+  DEFAULT_FEEDS,
+  parseFeedList,
+  feedMatchesRequest,
+  selectFeeds,
+  htmlToText,
+  toIsoDate,
+  parseFeed,
+  fetchFeed,
+  fetchFeedCached,
+};
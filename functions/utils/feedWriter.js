@@ -0,0 +1,283 @@
+/**
+ * Feed Writer Utility
+ * Renders getNewsHttp results as RSS 2.0, Atom or JSON Feed 1.1, with
+ * ETag/Last-Modified validators for conditional GET
+ */
+
+const crypto = require("crypto");
+const { createApiError } = require("./errors");
+
+// Feed formats, with their `format` parameter value and content type
+const FEED_FORMATS = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  jsonfeed: "application/feed+json; charset=utf-8",
+};
+
+// Accept header media types that select each format
+const ACCEPT_TYPES = {
+  "application/rss+xml": "rss",
+  "application/atom+xml": "atom",
+  "application/feed+json": "jsonfeed",
+};
+
+/**
+ * Choose the feed format for a request
+ *
+ * The `format` query parameter wins over the Accept header. Requests that
+ * ask for neither get the regular JSON response.
+ * @param {Object} req - HTTP request
+ * @returns {string|null} "rss", "atom", "jsonfeed", or null for JSON
+ * @throws {Error} "invalid-argument" API error for an unknown format
+ */
+function resolveFeedFormat(req) {
+  const format = req.query?.format;
+  if (format !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(FEED_FORMATS, format)) {
+      throw createApiError(
+          "invalid-argument",
+          `Format must be one of: ${Object.keys(FEED_FORMATS).join(", ")}.`,
+      );
+    }
+    return format;
+  }
+
+  const accept = String(req.headers?.accept || "").toLowerCase();
+  const type = Object.keys(ACCEPT_TYPES).find((mediaType) => accept.includes(mediaType));
+  return type ? ACCEPT_TYPES[type] : null;
+}
+
+/**
+ * Escape text for XML element content and attribute values, dropping
+ * control characters XML doesn't allow
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value ?? "")
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+}
+
+/**
+ * Parse a result's publication date
+ * @param {string} value - ISO 8601 date
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+function parseDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Get the time the feed last changed: the newest publication date of its
+ * results, or `now` when none has a date
+ * @param {Object[]} results - Summarized results
+ * @param {number} now - Current time in milliseconds
+ * @returns {Date} Last modification time, to the second
+ */
+function getLastModified(results, now = Date.now()) {
+  const times = results
+      .map((result) => parseDate(result.publishedAt))
+      .filter(Boolean)
+      .map((date) => date.getTime());
+  const latest = times.length > 0 ? Math.max(...times) : now;
+  return new Date(Math.floor(latest / 1000) * 1000);
+}
+
+/**
+ * Render results as RSS 2.0
+ * @param {Object[]} results - Summarized results
+ * @param {Object} meta - { title, description, selfUrl, updated }
+ * @returns {string} RSS document
+ */
+function renderRss(results, meta) {
+  const items = results.map((result) => {
+    const published = parseDate(result.publishedAt);
+    return [
+      "    <item>",
+      `      <title>${escapeXml(result.title)}</title>`,
+      `      <link>${escapeXml(result.url)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(result.url)}</guid>`,
+      `      <description>${escapeXml(result.summary)}</description>`,
+      published ? `      <pubDate>${published.toUTCString()}</pubDate>` : null,
+      result.category ? `      <category>${escapeXml(result.category)}</category>` : null,
+      result.image ?
+        `      <media:content url="${escapeXml(result.image)}" medium="image"/>` :
+        null,
+      "    </item>",
+    ].filter(Boolean).join("\n");
+  });
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<rss version=\"2.0\" xmlns:atom=\"http://www.w3.org/2005/Atom\" " +
+      "xmlns:media=\"http://search.yahoo.com/mrss/\">",
+    "  <channel>",
+    `    <title>${escapeXml(meta.title)}</title>`,
+    `    <link>${escapeXml(meta.selfUrl)}</link>`,
+    `    <description>${escapeXml(meta.description)}</description>`,
+    `    <atom:link href="${escapeXml(meta.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${meta.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render results as Atom
+ * @param {Object[]} results - Summarized results
+ * @param {Object} meta - { title, description, selfUrl, updated }
+ * @returns {string} Atom document
+ */
+function renderAtom(results, meta) {
+  const entries = results.map((result) => {
+    const published = parseDate(result.publishedAt);
+    return [
+      "  <entry>",
+      `    <id>${escapeXml(result.url)}</id>`,
+      `    <title>${escapeXml(result.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(result.url)}"/>`,
+      `    <updated>${(published || meta.updated).toISOString()}</updated>`,
+      published ? `    <published>${published.toISOString()}</published>` : null,
+      `    <summary>${escapeXml(result.summary)}</summary>`,
+      result.category ? `    <category term="${escapeXml(result.category)}"/>` : null,
+      result.image ?
+        `    <link rel="enclosure" href="${escapeXml(result.image)}"/>` :
+        null,
+      "  </entry>",
+    ].filter(Boolean).join("\n");
+  });
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<feed xmlns=\"http://www.w3.org/2005/Atom\">",
+    `  <id>${escapeXml(meta.selfUrl)}</id>`,
+    `  <title>${escapeXml(meta.title)}</title>`,
+    `  <subtitle>${escapeXml(meta.description)}</subtitle>`,
+    `  <link rel="self" href="${escapeXml(meta.selfUrl)}"/>`,
+    `  <updated>${meta.updated.toISOString()}</updated>`,
+    // Entries have no author of their own, and Atom requires one
+    `  <author><name>${escapeXml(meta.title)}</name></author>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render results as JSON Feed 1.1
+ * @param {Object[]} results - Summarized results
+ * @param {Object} meta - { title, description, selfUrl, updated }
+ * @returns {string} JSON Feed document
+ */
+function renderJsonFeed(results, meta) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: meta.title,
+    description: meta.description,
+    feed_url: meta.selfUrl,
+    items: results.map((result) => {
+      const published = parseDate(result.publishedAt);
+      return {
+        id: result.url,
+        url: result.url,
+        title: result.title,
+        content_text: result.summary || "",
+        ...(result.image ? { image: result.image } : {}),
+        ...(published ? { date_published: published.toISOString() } : {}),
+        ...(result.category ? { tags: [result.category] } : {}),
+        ...(result.language ? { language: result.language } : {}),
+      };
+    }),
+  }, null, 2);
+}
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  jsonfeed: renderJsonFeed,
+};
+
+/**
+ * Render a getNews response as a feed
+ * @param {Object} response - getNews response
+ * @param {string} format - "rss", "atom" or "jsonfeed"
+ * @param {Object} meta - Feed details
+ * @param {string} meta.title - Feed title
+ * @param {string} meta.description - Feed description
+ * @param {string} meta.selfUrl - URL the feed was requested from
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { body, contentType, etag, lastModified }
+ */
+function buildFeed(response, format, meta, now = Date.now()) {
+  const results = response.results || [];
+  const updated = getLastModified(results, now);
+  const body = RENDERERS[format](results, { ...meta, updated });
+
+  return {
+    body,
+    contentType: FEED_FORMATS[format],
+    etag: `"${crypto.createHash("sha1").update(body).digest("hex")}"`,
+    lastModified: updated,
+  };
+}
+
+/**
+ * Check a conditional GET against a feed's validators
+ *
+ * If-None-Match takes precedence over If-Modified-Since, as in RFC 9110.
+ * @param {Object} req - HTTP request
+ * @param {string} etag - Feed ETag
+ * @param {Date} lastModified - Feed modification time
+ * @returns {boolean} True when the client's copy is current (send 304)
+ */
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers?.["if-none-match"];
+  if (ifNoneMatch) {
+    const tags = String(ifNoneMatch).split(",").map((tag) => tag.trim().replace(/^W\//, ""));
+    return tags.includes("*") || tags.includes(etag);
+  }
+
+  const ifModifiedSince = Date.parse(req.headers?.["if-modified-since"] || "");
+  return !Number.isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+}
+
+/**
+ * Send a getNews response as a feed, or 304 Not Modified when the client's
+ * copy is current
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} response - getNews response
+ * @param {string} format - "rss", "atom" or "jsonfeed"
+ * @param {Object} meta - { title, description, selfUrl }, see buildFeed
+ */
+function sendFeed(req, res, response, format, meta) {
+  const feed = buildFeed(response, format, meta);
+
+  res.set("ETag", feed.etag);
+  res.set("Last-Modified", feed.lastModified.toUTCString());
+  if (isNotModified(req, feed.etag, feed.lastModified)) {
+    res.status(304).end();
+    return;
+  }
+
+  res.set("Content-Type", feed.contentType);
+  res.status(200).send(feed.body);
+}
+
+module.exports = {
+  FEED_FORMATS,
+  resolveFeedFormat,
+  escapeXml,
+  getLastModified,
+  buildFeed,
+  isNotModified,
+  sendFeed,
+};
@@ -0,0 +1,100 @@
+/**
+ * Languages Utility
+ * Supported article languages and which news providers can search them
+ */
+
+const DEFAULT_LANGUAGE = "en";
+
+// Maximum number of languages per request; each language multiplies the
+// number of provider calls
+const MAX_LANGUAGES = 3;
+
+// ISO 639-1 codes mapped to the names used in summarization prompts
+const LANGUAGE_NAMES = {
+  ar: "Arabic",
+  de: "German",
+  el: "Greek",
+  en: "English",
+  es: "Spanish",
+  fr: "French",
+  he: "Hebrew",
+  hi: "Hindi",
+  it: "Italian",
+  ja: "Japanese",
+  ml: "Malayalam",
+  mr: "Marathi",
+  nl: "Dutch",
+  no: "Norwegian",
+  pt: "Portuguese",
+  ro: "Romanian",
+  ru: "Russian",
+  sv: "Swedish",
+  ta: "Tamil",
+  te: "Telugu",
+  uk: "Ukrainian",
+  ur: "Urdu",
+  zh: "Chinese",
+};
+
+// Languages each provider can filter on
+const PROVIDER_LANGUAGES = {
+  gnews: [
+    "ar", "de", "el", "en", "es", "fr", "he", "hi", "it", "ja", "ml",
+    "mr", "nl", "no", "pt", "ro", "ru", "sv", "ta", "te", "uk", "zh",
+  ],
+  // NewsAPI calls Urdu "ud"
+  newsapi: ["ar", "de", "en", "es", "fr", "he", "it", "nl", "no", "pt", "ru", "sv", "ur", "zh"],
+};
+
+// Provider-specific language codes that differ from ISO 639-1
+const PROVIDER_LANGUAGE_CODES = {
+  newsapi: { ur: "ud" },
+};
+
+/**
+ * Check whether a language code is supported by at least one provider
+ * @param {string} language - ISO 639-1 code
+ * @returns {boolean} True if supported
+ */
+function isSupportedLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGE_NAMES, language);
+}
+
+/**
+ * Check whether a provider can search in a language
+ * @param {string} provider - Provider name
+ * @param {string} language - ISO 639-1 code
+ * @returns {boolean} True if the provider supports the language
+ */
+function providerSupportsLanguage(provider, language) {
+  return (PROVIDER_LANGUAGES[provider] || []).includes(language);
+}
+
+/**
+ * Translate an ISO 639-1 code into the code a provider expects
+ * @param {string} provider - Provider name
+ * @param {string} language - ISO 639-1 code
+ * @returns {string} Provider language code
+ */
+function toProviderLanguage(provider, language) {
+  return PROVIDER_LANGUAGE_CODES[provider]?.[language] || language;
+}
+
+/**
+ * Get the English name of a language for prompts
+ * @param {string} language - ISO 639-1 code
+ * @returns {string} Language name, or the code itself if unknown
+ */
+function getLanguageName(language) {
+  return LANGUAGE_NAMES[language] || language;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  MAX_LANGUAGES,
+  LANGUAGE_NAMES,
+  isSupportedLanguage,
+  providerSupportsLanguage,
+  toProviderLanguage,
+  getLanguageName,
+};
@@ -0,0 +1,160 @@
+/**
+ * LLM Utility
+ * Chat model backends used for summarization: any OpenAI-compatible API
+ * (OpenAI, GitHub Models, Azure OpenAI, Ollama, vLLM) or a registered
+ * custom provider
+ */
+
+const { OpenAI } = require("openai");
+
+/**
+ * Parse a "name:value" list, splitting each pair on its first colon
+ * e.g. "api-key:abc123,X-Team:news"
+ * @param {string} value - Pair list
+ * @returns {Object} Map of name to value
+ */
+function parsePairList(value) {
+  const pairs = {};
+
+  if (!value || typeof value !== "string") {
+    return pairs;
+  }
+
+  for (const pair of value.split(",")) {
+    const separator = pair.indexOf(":");
+    const name = pair.slice(0, separator).trim();
+    if (separator > 0 && name) {
+      pairs[name] = pair.slice(separator + 1).trim();
+    }
+  }
+
+  return pairs;
+}
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_LLM_PROVIDER = process.env.LLM_PROVIDER || "openai";
+const DEFAULT_BASE_URL = process.env.LLM_BASE_URL || undefined;
+const DEFAULT_HEADERS = parsePairList(process.env.LLM_HEADERS);
+const DEFAULT_QUERY = parsePairList(process.env.LLM_QUERY);
+
+/**
+ * Initialize an OpenAI client, optionally for another OpenAI-compatible API
+ * @param {string} apiKey - API key
+ * @param {Object} options - Optional settings
+ * @param {string} options.baseURL - API base URL, defaults to OpenAI
+ * @param {Object} options.headers - Extra headers sent with every request
+ * @param {Object} options.query - Extra query parameters, e.g. Azure's api-version
+ * @returns {OpenAI} OpenAI client instance
+ */
+function createOpenAIClient(apiKey, options = {}) {
+  const {
+    baseURL = DEFAULT_BASE_URL,
+    headers = DEFAULT_HEADERS,
+    query = DEFAULT_QUERY,
+  } = options;
+
+  if (!apiKey) {
+    throw new Error("OPENAI_API_KEY is not configured");
+  }
+
+  // Retries are handled by the outbound layer, with the request deadline
+  return new OpenAI({
+    apiKey: apiKey,
+    maxRetries: 0,
+    ...(baseURL ? { baseURL } : {}),
+    ...(Object.keys(headers).length > 0 ? { defaultHeaders: headers } : {}),
+    ...(Object.keys(query).length > 0 ? { defaultQuery: query } : {}),
+  });
+}
+
+/**
+ * Create a provider for an OpenAI-compatible chat completions API
+ * @param {Object} options - { apiKey, baseURL, headers, query }, see createOpenAIClient
+ * @returns {Object} Provider with name and complete(request)
+ */
+function createOpenAICompatibleProvider(options = {}) {
+  const { apiKey, ...clientOptions } = options;
+  const client = createOpenAIClient(apiKey, clientOptions);
+
+  return {
+    name: "openai",
+
+    /**
+     * Ask the model for a single reply
+     * @param {Object} request - Completion request
+     * @param {string} request.model - Model name
+     * @param {string} request.system - System prompt
+     * @param {string} request.user - User message
+     * @param {number} request.maxTokens - Reply length limit
+     * @param {number} request.temperature - Sampling temperature
+     * @param {boolean} request.json - Ask for a JSON object reply
+     * @returns {Promise<string|null>} Reply text, or null if there was none
+     */
+    async complete(request) {
+      const response = await client.chat.completions.create({
+        model: request.model,
+        messages: [
+          {
+            role: "system",
+            content: request.system,
+          },
+          {
+            role: "user",
+            content: request.user,
+          },
+        ],
+        ...(request.json ? { response_format: { type: "json_object" } } : {}),
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+      });
+
+      return response.choices?.[0]?.message?.content || null;
+    },
+  };
+}
+
+// Provider factories by name; each takes { apiKey, baseURL, headers, query }
+const PROVIDER_FACTORIES = {
+  openai: createOpenAICompatibleProvider,
+};
+
+/**
+ * Register a custom LLM provider, selected with LLM_PROVIDER=<name>
+ *
+ * The factory receives { apiKey, baseURL, headers, query } and returns an
+ * object with `name` and an async `complete({ model, system, user,
+ * maxTokens, temperature, json })` that resolves to the reply text.
+ * @param {string} name - Provider name
+ * @param {Function} factory - Provider factory
+ */
+function registerLlmProvider(name, factory) {
+  PROVIDER_FACTORIES[name] = factory;
+}
+
+/**
+ * Create the configured LLM provider
+ * @param {string} apiKey - API key for the provider
+ * @param {Object} options - Optional settings
+ * @param {string} options.provider - Provider name, defaults to LLM_PROVIDER
+ * @param {string} options.baseURL - API base URL
+ * @param {Object} options.headers - Extra request headers
+ * @param {Object} options.query - Extra query parameters
+ * @returns {Object} Provider with name and complete(request)
+ * @throws {Error} When the provider is unknown or can't be created
+ */
+function createLlmProvider(apiKey, options = {}) {
+  const { provider = DEFAULT_LLM_PROVIDER, ...providerOptions } = options;
+  const factory = PROVIDER_FACTORIES[provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${provider}"`);
+  }
+  return factory({ apiKey, ...providerOptions });
+}
+
+module.exports = {
+  parsePairList,
+  createOpenAIClient,
+  createOpenAICompatibleProvider,
+  registerLlmProvider,
+  createLlmProvider,
+};
@@ -1,9 +1,20 @@
 /**
  * News Fetcher Utility
- * Fetches news from GNews API or NewsAPI
+ * Fetches news from GNews API or NewsAPI, plus configured RSS/Atom feeds
  */
 
 const axios = require("axios");
+const { resolveCategory } = require("./categories");
+const { hashUrl } = require("./pagination");
+const { stripTrackingParams, getUrlKey } = require("./dedupe");
+const { createOutboundClient, isRetryableError } = require("./outbound");
+const { fetchFeedCached } = require("./feedSource");
+const { renderQuery } = require("./querySyntax");
+const {
+  DEFAULT_LANGUAGE,
+  providerSupportsLanguage,
+  toProviderLanguage,
+} = require("./languages");
 
 const GNEWS_BASE_URL = "https://gnews.io/api/v4/search";
 const NEWSAPI_BASE_URL = "https://newsapi.org/v2/everything";
@@ -12,21 +23,58 @@ const NEWSAPI_BASE_URL = "https://newsapi.org/v2/everything";
 const DEFAULT_QUERY_LIMIT = parseInt(process.env.NEWS_QUERY_LIMIT, 10) || 5;
 const DEFAULT_MAX_RESULTS = parseInt(process.env.NEWS_MAX_RESULTS_PER_QUERY, 10) || 3;
 
+// Shared by all requests on this instance, so concurrent getNews calls
+// together stay within the concurrency limit
+const newsOutbound = createOutboundClient();
+
+// Supported providers, in default failover order
+const SUPPORTED_PROVIDERS = ["gnews", "newsapi"];
+const DEFAULT_PROVIDER = "gnews";
+
+/**
+ * Wrap a provider error, keeping the HTTP status and Retry-After header so
+ * callers can tell quota and timeout failures apart from other errors
+ * @param {Error} error - Original axios error
+ * @param {string} provider - Provider name
+ * @returns {Error} Wrapped error
+ */
+function wrapProviderError(error, provider) {
+  const wrapped = new Error(`Failed to fetch news: ${error.message}`);
+  wrapped.provider = provider;
+  wrapped.status = error.response?.status;
+  wrapped.code = error.code;
+  wrapped.retryAfter = error.response?.headers?.["retry-after"];
+  return wrapped;
+}
+
 /**
  * Fetch news articles for a single query from GNews API
  * @param {string} query - Search query
  * @param {string} apiKey - GNews API key
  * @param {number} maxResults - Maximum number of results per query
+ * @param {Object} searchParams - Optional search parameters
+ * @param {number} searchParams.page - Page of results to fetch (1-based)
+ * @param {string} searchParams.language - ISO 639-1 language code
+ * @param {string} searchParams.country - ISO 3166-1 alpha-2 country code
+ * @param {string} searchParams.from - Earliest publication date (ISO 8601)
+ * @param {string} searchParams.to - Latest publication date (ISO 8601)
  * @returns {Promise<Object[]>} Array of news articles
  */
-async function fetchFromGNews(query, apiKey, maxResults = 5) {
+async function fetchFromGNews(query, apiKey, maxResults = 5, searchParams = {}) {
+  const { page = 1, language = DEFAULT_LANGUAGE, country, from, to } = searchParams;
+
   try {
     const response = await axios.get(GNEWS_BASE_URL, {
       params: {
         q: query,
         token: apiKey,
-        lang: "en",
+        lang: toProviderLanguage("gnews", language),
         max: maxResults,
+        ...(country ? { country } : {}),
+        ...(from ? { from } : {}),
+        ...(to ? { to } : {}),
+        // Only sent when needed, paging is limited on the free GNews plan
+        ...(page > 1 ? { page } : {}),
       },
       timeout: 10000,
     });
@@ -36,16 +84,20 @@ async function fetchFromGNews(query, apiKey, maxResults = 5) {
         title: article.title || "",
         url: article.url || "",
         description: article.description || "",
+        // Truncated body text, used for extractive summaries
+        content: article.content || "",
         image: article.image || "",
         publishedAt: article.publishedAt || "",
         source: article.source?.name || "Unknown",
+        provider: "gnews",
+        language: language,
       }));
     }
 
     return [];
   } catch (error) {
     console.error(`Error fetching from GNews for query "${query}":`, error.message);
-    throw new Error(`Failed to fetch news: ${error.message}`);
+    throw wrapProviderError(error, "gnews");
   }
 }
 
@@ -54,17 +106,28 @@ async function fetchFromGNews(query, apiKey, maxResults = 5) {
  * @param {string} query - Search query
  * @param {string} apiKey - NewsAPI key
  * @param {number} pageSize - Number of results
+ * @param {Object} searchParams - Optional search parameters
+ * @param {number} searchParams.page - Page of results to fetch (1-based)
+ * @param {string} searchParams.language - ISO 639-1 language code
+ * @param {string} searchParams.from - Earliest publication date (ISO 8601)
+ * @param {string} searchParams.to - Latest publication date (ISO 8601)
  * @returns {Promise<Object[]>} Array of news articles
  */
-async function fetchFromNewsAPI(query, apiKey, pageSize = 5) {
+async function fetchFromNewsAPI(query, apiKey, pageSize = 5, searchParams = {}) {
+  // The /everything endpoint has no country filter, so country is not sent
+  const { page = 1, language = DEFAULT_LANGUAGE, from, to } = searchParams;
+
   try {
     const response = await axios.get(NEWSAPI_BASE_URL, {
       params: {
         q: query,
         apiKey: apiKey,
-        language: "en",
+        language: toProviderLanguage("newsapi", language),
         pageSize: pageSize,
+        page: page,
         sortBy: "publishedAt",
+        ...(from ? { from } : {}),
+        ...(to ? { to } : {}),
       },
       timeout: 10000,
     });
@@ -74,82 +137,381 @@ async function fetchFromNewsAPI(query, apiKey, pageSize = 5) {
         title: article.title || "",
         url: article.url || "",
         description: article.description || "",
+        content: article.content || "",
         image: article.urlToImage || "",
         publishedAt: article.publishedAt || "",
         source: article.source?.name || "Unknown",
+        provider: "newsapi",
+        language: language,
       }));
     }
 
     return [];
   } catch (error) {
     console.error(`Error fetching from NewsAPI for query "${query}":`, error.message);
-    throw new Error(`Failed to fetch news: ${error.message}`);
+    throw wrapProviderError(error, "newsapi");
   }
 }
 
+/**
+ * Fetch news for a single query from a named provider
+ * @param {string} provider - Provider name ('gnews' or 'newsapi')
+ * @param {string} query - Search query
+ * @param {string} apiKey - API key for the provider
+ * @param {number} maxResults - Maximum number of results
+ * @param {Object} searchParams - Optional search parameters (page, language,
+ *   country, from, to)
+ * @returns {Promise<Object[]>} Array of news articles
+ */
+async function fetchFromProvider(provider, query, apiKey, maxResults, searchParams = {}) {
+  if (provider === "newsapi") {
+    return fetchFromNewsAPI(query, apiKey, maxResults, searchParams);
+  }
+  return fetchFromGNews(query, apiKey, maxResults, searchParams);
+}
+
+/**
+ * Fetch news for a single query from a named provider, serving repeated
+ * queries from the cache when one is given
+ * @param {string} provider - Provider name ('gnews' or 'newsapi')
+ * @param {string} query - Search query
+ * @param {string} apiKey - API key for the provider
+ * @param {number} maxResults - Maximum number of results
+ * @param {Object} options - Optional settings
+ * @param {Object} options.cache - News cache (see utils/cache.js)
+ * @param {Object} options.cacheStats - Hit/miss counters to update
+ * @param {Object} options.searchParams - Search parameters (page, language,
+ *   country, from, to)
+ * @returns {Promise<Object[]>} Array of news articles
+ */
+async function fetchFromProviderCached(provider, query, apiKey, maxResults, options = {}) {
+  const { cache, cacheStats, searchParams = {} } = options;
+  if (!cache) {
+    return fetchFromProvider(provider, query, apiKey, maxResults, searchParams);
+  }
+
+  const cacheKey = [
+    provider,
+    searchParams.language || DEFAULT_LANGUAGE,
+    searchParams.country || "",
+    maxResults,
+    searchParams.page || 1,
+    searchParams.from || "",
+    searchParams.to || "",
+    query,
+  ].join("|");
+  const cached = await cache.get(cacheKey, cacheStats);
+  if (cached) {
+    return cached;
+  }
+
+  const articles = await fetchFromProvider(provider, query, apiKey, maxResults, searchParams);
+  await cache.set(cacheKey, articles);
+  return articles;
+}
+
+/**
+ * Resolve the ordered list of providers to try, starting with the primary
+ * provider and followed by every other provider that has an API key
+ * @param {string|Object} apiKeys - Single API key or map of provider name to key
+ * @param {string} primary - Preferred provider
+ * @returns {Object[]} Provider chain as [{ provider, apiKey }]
+ */
+function resolveProviderChain(apiKeys, primary = DEFAULT_PROVIDER) {
+  const provider = SUPPORTED_PROVIDERS.includes(primary) ? primary : DEFAULT_PROVIDER;
+
+  // A plain string key only applies to the primary provider
+  if (typeof apiKeys === "string") {
+    return apiKeys ? [{ provider, apiKey: apiKeys }] : [];
+  }
+
+  if (!apiKeys || typeof apiKeys !== "object") {
+    return [];
+  }
+
+  const order = [provider, ...SUPPORTED_PROVIDERS.filter((name) => name !== provider)];
+  return order
+      .filter((name) => apiKeys[name])
+      .map((name) => ({ provider: name, apiKey: apiKeys[name] }));
+}
+
+/**
+ * Fetch a single query, falling back to the next provider in the chain
+ * when a provider fails, times out or hits its quota
+ *
+ * When every provider fails, a retryable error (429, 5xx) is thrown in
+ * preference to the last one, so the whole chain can be retried later.
+ * Structured queries are written in each provider's own syntax.
+ * @param {string|Object} query - Search query, or a structured query (see
+ *   utils/querySyntax.js)
+ * @param {Object[]} providerChain - Providers to try, in order
+ * @param {number} maxResults - Maximum number of results
+ * @param {Object} options - Optional settings passed to fetchFromProviderCached
+ * @returns {Promise<Object[]>} Array of news articles tagged with their provider
+ */
+async function fetchWithFailover(query, providerChain, maxResults, options = {}) {
+  const errors = [];
+
+  for (const { provider, apiKey } of providerChain) {
+    const providerQuery = renderQuery(query, provider);
+    try {
+      return await fetchFromProviderCached(provider, providerQuery, apiKey, maxResults, options);
+    } catch (error) {
+      errors.push(error);
+      console.warn(`Provider "${provider}" failed for query "${providerQuery}" ` +
+        `(status: ${error.status || error.code || "unknown"}), trying next provider`);
+    }
+  }
+
+  throw errors.find(isRetryableError) ||
+    errors[errors.length - 1] ||
+    new Error("No news provider is configured");
+}
+
 /**
  * Fetch news for multiple queries and deduplicate results
- * @param {string[]} queries - Array of search queries
- * @param {string} apiKey - News API key
- * @param {string} provider - API provider ('gnews' or 'newsapi')
- * @param {number} maxResultsPerQuery - Max results per query
- * @param {number} queryLimit - Maximum number of queries to process
+ *
+ * Queries may be plain strings or { query, category, search } objects, where
+ * `search` is the structured query to send (see utils/querySyntax.js) and
+ * `query` labels it in failures. Articles from categorized queries carry the
+ * highest-priority matching `category` and the rest of their matches in
+ * `otherCategories`. `queryMatches` counts the queries that returned each
+ * article.
+ *
+ * Items from the given feeds (see utils/feedSource.js) are merged in as if
+ * each feed were a query in its feed's category.
+ * @param {Array<string|Object>} queries - Array of search queries
+ * @param {string|Object} apiKey - News API key, or map of provider name to key
+ *   to enable automatic failover between providers
+ * @param {string} provider - Primary API provider ('gnews' or 'newsapi')
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxResultsPerQuery - Max results per query
+ * @param {number} options.queryLimit - Maximum number of queries to process
+ * @param {Object} options.cache - News cache (see utils/cache.js)
+ * @param {Object} options.cacheStats - Hit/miss counters to update
+ * @param {number} options.page - Page of results to fetch from each query (1-based)
+ * @param {Set<string>} options.seenUrlHashes - Hashes of articles served on
+ *   earlier pages (see utils/pagination.js), skipped on this page
+ * @param {string[]} options.languages - Languages to search each query in
+ * @param {string} options.country - Country code to restrict results to
+ * @param {string} options.from - Earliest publication date (ISO 8601)
+ * @param {string} options.to - Latest publication date (ISO 8601)
+ * @param {Object[]} options.feeds - RSS/Atom feeds to merge in, from selectFeeds
+ * @param {Object} options.deadline - Deadline for the whole request (see utils/outbound.js)
+ * @param {Object[]} options.failures - Array to collect failed queries in, as
+ *   { query, language, status, code, error }; a failed feed is recorded with
+ *   its URL as the query
+ * @param {Object} options.fetchStats - Counters to update: `attempted` counts
+ *   each query/language pair and feed, so callers can tell whether every one
+ *   of them is in `failures`
+ * @param {Object} options.outbound - Outbound client, defaults to the shared one
+ * @param {Function} options.onArticles - Called with the new articles of each
+ *   query or feed as soon as it returns, before results are merged; an
+ *   article is passed once, tagged with the category of the query that found
+ *   it first
  * @returns {Promise<Object[]>} Deduplicated array of news articles
  */
 async function fetchNewsForQueries(
     queries,
     apiKey,
-    provider = "gnews",
+    provider = DEFAULT_PROVIDER,
+    options = {},
+) {
+  const {
     maxResultsPerQuery = DEFAULT_MAX_RESULTS,
     queryLimit = DEFAULT_QUERY_LIMIT,
-) {
+    cache,
+    cacheStats,
+    page = 1,
+    seenUrlHashes,
+    languages = [DEFAULT_LANGUAGE],
+    country,
+    from,
+    to,
+    feeds = [],
+    deadline,
+    failures,
+    fetchStats,
+    outbound = newsOutbound,
+    onArticles,
+  } = options;
+
   if (!queries || queries.length === 0) {
     return [];
   }
 
-  if (!apiKey) {
+  const providerChain = resolveProviderChain(apiKey, provider);
+  if (providerChain.length === 0) {
     throw new Error("NEWS_API_KEY is not configured");
   }
 
   // Limit queries to avoid rate limiting (configurable)
   const limitedQueries = queries.slice(0, queryLimit);
 
-  // Fetch all queries in parallel using Promise.allSettled
-  const fetchPromises = limitedQueries.map(async (query) => {
-    try {
-      if (provider === "newsapi") {
-        return await fetchFromNewsAPI(query, apiKey, maxResultsPerQuery);
-      } else {
-        return await fetchFromGNews(query, apiKey, maxResultsPerQuery);
+  // Each query is searched once per language
+  const tasks = limitedQueries.flatMap((entry) => languages.map((language) => ({
+    query: typeof entry === "string" ? entry : entry.query,
+    search: typeof entry === "string" ? entry : entry.search || entry.query,
+    category: entry?.category,
+    language,
+  })));
+
+  // Pass each query's articles to onArticles as it returns, once per URL
+  const reportedUrls = new Set();
+  const reportArticles = (articles, category) => {
+    if (!onArticles || !Array.isArray(articles)) {
+      return articles;
+    }
+
+    const fresh = [];
+    for (const article of articles) {
+      if (!article.url || seenUrlHashes?.has(hashUrl(article.url))) {
+        continue;
+      }
+      const urlKey = getUrlKey(article.url);
+      if (!reportedUrls.has(urlKey)) {
+        reportedUrls.add(urlKey);
+        fresh.push({
+          ...article,
+          url: stripTrackingParams(article.url),
+          ...(category ? { category } : {}),
+        });
       }
+    }
+    if (fresh.length > 0) {
+      onArticles(fresh);
+    }
+    return articles;
+  };
+
+  // Fetch queries in parallel, within the outbound concurrency limit
+  const fetchPromises = tasks.map(async ({ query, search, category, language }) => {
+    // Only providers that can search this language take part in failover
+    const languageChain = providerChain.filter(
+        ({ provider: name }) => providerSupportsLanguage(name, language),
+    );
+    if (languageChain.length === 0) {
+      console.warn(`No configured provider supports language "${language}"`);
+      failures?.push({
+        query,
+        language,
+        status: null,
+        code: null,
+        error: `No configured provider supports language "${language}"`,
+      });
+      return [];
+    }
+
+    let articles;
+    try {
+      articles = await outbound.call(
+          () => fetchWithFailover(search, languageChain, maxResultsPerQuery, {
+            cache,
+            cacheStats,
+            searchParams: { page, language, country, from, to },
+          }),
+          { deadline },
+      );
     } catch (error) {
       console.error(`Error fetching news for query "${query}":`, error.message);
+      failures?.push({
+        query,
+        language,
+        status: error.status || null,
+        code: error.code || null,
+        error: error.message,
+      });
       return []; // Return empty array on failure
     }
+    return reportArticles(articles, category);
+  });
+
+  // Feeds are paged like queries, maxResultsPerQuery items at a time
+  const feedPromises = feeds.map(async (feed) => {
+    let items;
+    try {
+      items = await outbound.call(
+          () => fetchFeedCached(feed, {
+            cache,
+            cacheStats,
+            page,
+            maxItems: maxResultsPerQuery,
+          }),
+          { deadline },
+      );
+    } catch (error) {
+      failures?.push({
+        query: feed.url,
+        language: feed.language,
+        status: error.status || null,
+        code: error.code || null,
+        error: error.message,
+      });
+      return [];
+    }
+    return reportArticles(items, feed.category);
   });
+  tasks.push(...feeds.map((feed) => ({ query: feed.url, category: feed.category })));
+  if (fetchStats) {
+    fetchStats.attempted = (fetchStats.attempted || 0) + tasks.length;
+  }
+
+  const results = await Promise.allSettled([...fetchPromises, ...feedPromises]);
 
-  const results = await Promise.allSettled(fetchPromises);
+  // Combine and deduplicate results by canonical URL, counting how many
+  // queries returned each article and collecting every category that matched.
+  // The canonical form is only the key: results keep the provider's link.
+  const articlesByUrl = new Map();
+  const matchedCategories = new Map();
+  const queryMatches = new Map();
 
-  // Combine and deduplicate results
-  const allArticles = [];
-  const seenUrls = new Set();
+  results.forEach((result, index) => {
+    if (result.status !== "fulfilled" || !Array.isArray(result.value)) {
+      return;
+    }
 
-  for (const result of results) {
-    if (result.status === "fulfilled" && Array.isArray(result.value)) {
-      for (const article of result.value) {
-        if (article.url && !seenUrls.has(article.url)) {
-          seenUrls.add(article.url);
-          allArticles.push(article);
-        }
+    const category = tasks[index].category;
+    const matchedByTask = new Set();
+    for (const article of result.value) {
+      if (!article.url || seenUrlHashes?.has(hashUrl(article.url))) {
+        continue;
+      }
+      const urlKey = getUrlKey(article.url);
+      if (!articlesByUrl.has(urlKey)) {
+        articlesByUrl.set(urlKey, { ...article, url: stripTrackingParams(article.url) });
+        matchedCategories.set(urlKey, []);
+        queryMatches.set(urlKey, 0);
+      }
+      // URL variants returned by the same query count once
+      if (matchedByTask.has(urlKey)) {
+        continue;
+      }
+      matchedByTask.add(urlKey);
+      queryMatches.set(urlKey, queryMatches.get(urlKey) + 1);
+      if (category) {
+        matchedCategories.get(urlKey).push(category);
       }
     }
-  }
+  });
 
-  return allArticles;
+  return [...articlesByUrl.entries()].map(([urlKey, article]) => {
+    const categories = matchedCategories.get(urlKey);
+    return {
+      ...article,
+      queryMatches: queryMatches.get(urlKey),
+      ...(categories.length > 0 ? resolveCategory(categories) : {}),
+    };
+  });
 }
 
 module.exports = {
+  SUPPORTED_PROVIDERS,
+  DEFAULT_PROVIDER,
   fetchFromGNews,
   fetchFromNewsAPI,
+  fetchFromProvider,
+  fetchFromProviderCached,
+  resolveProviderChain,
+  fetchWithFailover,
   fetchNewsForQueries,
 };
@@ -0,0 +1,373 @@
+/**
+ * News Service
+ * The news pipeline shared by every entry point: validate the request, then
+ * run the query building, fetching, filtering, ranking, summarizing and
+ * briefing stages, with hooks before and after each stage
+ */
+
+const { buildTaggedQueries } = require("./queryBuilder");
+const { planQueries } = require("./queryPlanner");
+const { groupIntoSections } = require("./categories");
+const { createCacheStats } = require("./cache");
+const { createDeadline } = require("./outbound");
+const { resolvePagination, buildNextCursor } = require("./pagination");
+const { DEFAULT_LANGUAGE } = require("./languages");
+const { clusterArticles } = require("./dedupe");
+const { resolveDateRange, filterByDateRange } = require("./dateRange");
+const { rankArticles } = require("./ranker");
+const { filterExcludedArticles } = require("./querySyntax");
+const {
+  fetchNewsForQueries,
+  resolveProviderChain,
+  DEFAULT_PROVIDER,
+} = require("./newsFetcher");
+const { DEFAULT_FEEDS, selectFeeds } = require("./feedSource");
+const { summarizeArticles, summarizeDigest } = require("./summarizer");
+const { assertValidRequest } = require("./requestValidator");
+const {
+  createApiError,
+  createQueryFailureError,
+  buildWarnings,
+} = require("./errors");
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_DEADLINE_MS = parseInt(process.env.NEWS_REQUEST_DEADLINE_MS, 10) || 25000;
+
+// Pipeline stages, in the order they run
+const STAGES = ["buildQueries", "fetch", "filter", "rank", "summarize", "briefing"];
+
+/**
+ * Build search queries and split the query budget across categories
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<void>}
+ */
+async function buildQueriesStage(ctx) {
+  ctx.queryPlan = planQueries(buildTaggedQueries(ctx.data));
+  ctx.queries = ctx.queryPlan.planned;
+}
+
+/**
+ * Fetch articles for the planned queries, plus the configured feeds mapped
+ * to the request's location or community
+ *
+ * Fails only when every query and feed failed; partial failures are
+ * collected in ctx.state.failedQueries, and queries that merely found nothing
+ * don't count as failures. With ctx.onArticles set, each query's articles
+ * within the date range and free of excluded keywords are passed to it as
+ * soon as the query returns.
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<void>}
+ */
+async function fetchStage(ctx) {
+  const { data, state, pagination, services } = ctx;
+  const fetchStats = { attempted: 0 };
+  const onArticles = ctx.onArticles && ((articles) => {
+    const wanted = filterExcludedArticles(
+        filterByDateRange(articles, ctx.dateRange),
+        data.excludeKeywords,
+    );
+    if (wanted.length > 0) {
+      ctx.onArticles(wanted);
+    }
+  });
+
+  ctx.fetchedArticles = ctx.queries.length === 0 ?
+    [] :
+    await fetchNewsForQueries(
+        ctx.queries,
+        ctx.keys.newsApiKeys,
+        services.getProvider(data),
+        {
+          cache: services.newsCache,
+          cacheStats: state.cacheStats.news,
+          page: pagination.page,
+          maxResultsPerQuery: pagination.pageSize,
+          seenUrlHashes: new Set(pagination.seen),
+          languages: data.languages && data.languages.length > 0 ?
+            [...new Set(data.languages)] :
+            [DEFAULT_LANGUAGE],
+          country: data.country,
+          from: ctx.dateRange.from,
+          to: ctx.dateRange.to,
+          feeds: selectFeeds(services.feeds, data),
+          deadline: state.deadline,
+          failures: state.failedQueries,
+          fetchStats,
+          onArticles,
+        },
+    );
+
+  if (fetchStats.attempted > 0 && state.failedQueries.length >= fetchStats.attempted) {
+    throw createQueryFailureError(state.failedQueries);
+  }
+  ctx.articles = ctx.fetchedArticles;
+}
+
+/**
+ * Drop articles published outside the requested date range or mentioning an
+ * excluded keyword (providers don't always honour either), then merge the
+ * same story from different sources into one article
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<void>}
+ */
+async function filterStage(ctx) {
+  const articles = filterExcludedArticles(
+      filterByDateRange(ctx.articles, ctx.dateRange),
+      ctx.data.excludeKeywords,
+  );
+  ctx.articles = clusterArticles(articles);
+}
+
+/**
+ * Rank by recency, query overlap, profile match and source diversity
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<void>}
+ */
+async function rankStage(ctx) {
+  ctx.articles = rankArticles(ctx.articles, ctx.data);
+}
+
+/**
+ * Summarize articles, falling back to the description when summarization
+ * fails or isn't configured
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<void>}
+ */
+async function summarizeStage(ctx) {
+  const { data, state, keys, services } = ctx;
+
+  ctx.results = await summarizeArticles(
+      ctx.articles,
+      keys.openaiApiKey,
+      Boolean(keys.openaiApiKey || services.llm),
+      {
+        llm: services.llm,
+        cache: services.summaryCache,
+        cacheStats: state.cacheStats.summaries,
+        summaryLanguage: data.summaryLanguage || "article",
+        deadline: state.deadline,
+        failures: state.failedSummaries,
+        onResult: ctx.onResult,
+        enrich: data.enrich === true,
+        readerContext: {
+          location: data.location,
+          community: data.community,
+          businessInterests: data.businessInterests,
+        },
+      },
+  );
+}
+
+/**
+ * Write one briefing across the summarized results when the request asks
+ * for `digest: true`
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<void>}
+ */
+async function briefingStage(ctx) {
+  const { data, state, keys, services } = ctx;
+  if (data.digest !== true) {
+    return;
+  }
+
+  ctx.briefing = await summarizeDigest(ctx.results, keys.openaiApiKey, {
+    llm: services.llm,
+    cache: services.summaryCache,
+    cacheStats: state.cacheStats.summaries,
+    summaryLanguage: data.summaryLanguage || "article",
+    deadline: state.deadline,
+    failures: state.failedBriefing,
+  });
+}
+
+const DEFAULT_STAGES = {
+  buildQueries: buildQueriesStage,
+  fetch: fetchStage,
+  filter: filterStage,
+  rank: rankStage,
+  summarize: summarizeStage,
+  briefing: briefingStage,
+};
+
+/**
+ * Create the per-request state shared by the stages
+ * @param {number} deadlineMs - Deadline for the request's upstream calls
+ * @returns {Object} { cacheStats, deadline, failedQueries, failedSummaries,
+ *   failedBriefing }
+ */
+function createRequestState(deadlineMs = DEFAULT_DEADLINE_MS) {
+  return {
+    cacheStats: createCacheStats(),
+    deadline: createDeadline(deadlineMs),
+    failedQueries: [],
+    failedSummaries: [],
+    failedBriefing: [],
+  };
+}
+
+/**
+ * Build the response for a completed pipeline run
+ * @param {Object} ctx - Pipeline context
+ * @returns {Object} getNews response
+ */
+function buildResponse(ctx) {
+  const results = ctx.results || [];
+  let message;
+  if (ctx.queries.length === 0) {
+    message = "No search queries could be generated from the provided data.";
+  } else if (results.length === 0) {
+    message = "No news articles found for your criteria.";
+  }
+
+  return {
+    status: "success",
+    results,
+    ...(message ? { message } : {}),
+    sections: groupIntoSections(results),
+    queriesUsed: ctx.queries.length,
+    totalArticles: results.length,
+    queryPlan: ctx.queryPlan,
+    dateRange: ctx.dateRange,
+    ...(ctx.data.digest === true ? { briefing: ctx.briefing || null } : {}),
+    cache: ctx.state.cacheStats,
+    failedQueries: ctx.state.failedQueries,
+    warnings: buildWarnings(ctx.state),
+    page: ctx.pagination.page,
+    pageSize: ctx.pagination.pageSize,
+    nextCursor: buildNextCursor(ctx.pagination, ctx.fetchedArticles || []),
+  };
+}
+
+/**
+ * Normalize a hooks map so every stage has a list of hooks
+ * @param {Object} hooks - { before: { stage: fn | fn[] }, after: { ... } }
+ * @returns {Object} { before: { stage: fn[] }, after: { stage: fn[] } }
+ */
+function normalizeHooks(hooks = {}) {
+  const normalized = { before: {}, after: {} };
+  for (const when of ["before", "after"]) {
+    for (const stage of STAGES) {
+      const value = hooks[when]?.[stage];
+      normalized[when][stage] = value ? [].concat(value) : [];
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Create the news service
+ *
+ * Each stage is an async function that reads and updates the pipeline
+ * context (data, keys, state, pagination, dateRange, queries, articles,
+ * results, briefing).
+ * Stages can be replaced, and hooks run before and after any stage with the
+ * same context, so entry points can observe or adjust the pipeline without
+ * copying it.
+ * @param {Object} options - Service dependencies and settings
+ * @param {Function} options.getApiKeys - Returns { newsApiKeys, openaiApiKey }
+ * @param {Function} options.getProvider - Returns the primary provider for a request
+ * @param {Object} options.newsCache - News cache (see utils/cache.js)
+ * @param {Object} options.summaryCache - Summary cache
+ * @param {Object} options.llm - LLM provider for summaries, defaults to the
+ *   configured one (see utils/llm.js)
+ * @param {Object[]} options.feeds - RSS/Atom feeds, defaults to NEWS_FEEDS
+ *   (see utils/feedSource.js)
+ * @param {Function} options.loadDigest - Async (data) => pre-generated response or null
+ * @param {Object} options.stages - Stage implementations replacing the defaults
+ * @param {Object} options.hooks - Hooks run on every request, as
+ *   { before: { stage: fn }, after: { stage: fn } }
+ * @param {number} options.deadlineMs - Deadline for each request's upstream calls
+ * @returns {Object} Service with run(data, runOptions)
+ */
+function createNewsService(options = {}) {
+  const {
+    getApiKeys,
+    getProvider = (data) => data.provider || DEFAULT_PROVIDER,
+    newsCache,
+    summaryCache,
+    llm,
+    feeds = DEFAULT_FEEDS,
+    loadDigest,
+    deadlineMs = DEFAULT_DEADLINE_MS,
+  } = options;
+  const stages = { ...DEFAULT_STAGES, ...options.stages };
+  const serviceHooks = normalizeHooks(options.hooks);
+  const services = { getProvider, newsCache, summaryCache, llm, feeds };
+
+  /**
+   * Run hooks for a stage in order
+   * @param {Function[][]} hookLists - Lists of hooks to run
+   * @param {Object} ctx - Pipeline context
+   * @returns {Promise<void>}
+   */
+  const runHooks = async (hookLists, ctx) => {
+    for (const hook of hookLists.flat()) {
+      await hook(ctx);
+    }
+  };
+
+  return {
+    stages: STAGES,
+
+    /**
+     * Run the pipeline for a request
+     * @param {Object} data - Request data
+     * @param {Object} runOptions - Per-request settings
+     * @param {Object} runOptions.hooks - Hooks for this request only
+     * @param {Function} runOptions.onArticles - Called with each query's
+     *   articles as soon as it returns, before filtering across queries,
+     *   clustering and ranking (see fetchStage)
+     * @param {Function} runOptions.onResult - Called with (result, index) as
+     *   each summary is ready
+     * @param {boolean} runOptions.useDigest - Serve a fresh pre-generated
+     *   digest when there is one (default true)
+     * @returns {Promise<Object>} getNews response
+     * @throws {Error} API error (see utils/errors.js)
+     */
+    async run(data, runOptions = {}) {
+      const { useDigest = true, onArticles, onResult } = runOptions;
+      const requestHooks = normalizeHooks(runOptions.hooks);
+
+      assertValidRequest(data);
+
+      const digest = useDigest && loadDigest ? await loadDigest(data) : null;
+      if (digest) {
+        return { status: "success", ...digest };
+      }
+
+      const keys = getApiKeys();
+      if (resolveProviderChain(keys.newsApiKeys).length === 0) {
+        console.error("NEWS_API_KEY is not configured");
+        throw createApiError("not-configured");
+      }
+
+      const ctx = {
+        data,
+        keys,
+        services,
+        state: createRequestState(deadlineMs),
+        pagination: resolvePagination(data),
+        dateRange: resolveDateRange(data),
+        onArticles,
+        onResult,
+        queries: [],
+        articles: [],
+      };
+
+      for (const stage of STAGES) {
+        await runHooks([serviceHooks.before[stage], requestHooks.before[stage]], ctx);
+        await stages[stage](ctx);
+        await runHooks([serviceHooks.after[stage], requestHooks.after[stage]], ctx);
+      }
+
+      return buildResponse(ctx);
+    },
+  };
+}
+
+module.exports = {
+  STAGES,
+  DEFAULT_STAGES,
+  createRequestState,
+  createNewsService,
+};
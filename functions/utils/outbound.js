@@ -0,0 +1,282 @@
+/**
+ * Outbound Request Utility
+ * Shared layer for calls to news providers and OpenAI: bounded concurrency,
+ * retries with exponential backoff and jitter, and per-request deadlines
+ */
+
+/**
+ * Parse a non-negative integer setting, allowing 0
+ * @param {string} value - Raw value
+ * @param {number} fallback - Value to use when unset or invalid
+ * @returns {number} Parsed value
+ */
+function parseCount(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_CONCURRENCY = parseInt(process.env.OUTBOUND_CONCURRENCY, 10) || 4;
+const DEFAULT_MAX_RETRIES = parseCount(process.env.OUTBOUND_MAX_RETRIES, 2);
+const DEFAULT_BASE_DELAY_MS = parseInt(process.env.OUTBOUND_RETRY_BASE_MS, 10) || 500;
+const DEFAULT_MAX_DELAY_MS = parseInt(process.env.OUTBOUND_RETRY_MAX_MS, 10) || 8000;
+
+// Network error codes worth retrying
+const RETRYABLE_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN"];
+
+/**
+ * Create a limiter that runs at most `limit` tasks at a time
+ * @param {number} limit - Maximum number of tasks in flight
+ * @returns {Object} Limiter with run(task)
+ */
+function createConcurrencyLimiter(limit = DEFAULT_CONCURRENCY) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+  };
+
+  return {
+    /**
+     * Run a task once a slot is free
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} The task's result
+     */
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+  };
+}
+
+/**
+ * Create a deadline for a request
+ * @param {number} timeoutMs - Time allowed from now, or falsy for no deadline
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Deadline with expiresAt, remainingMs() and isExpired()
+ */
+function createDeadline(timeoutMs, now = Date.now()) {
+  const expiresAt = timeoutMs > 0 ? now + timeoutMs : Infinity;
+
+  return {
+    expiresAt,
+    remainingMs() {
+      return Math.max(0, expiresAt - Date.now());
+    },
+    isExpired() {
+      return Date.now() >= expiresAt;
+    },
+  };
+}
+
+/**
+ * Create the error thrown when a deadline passes
+ * @returns {Error} Error with code "DEADLINE_EXCEEDED"
+ */
+function createDeadlineError() {
+  const error = new Error("Deadline exceeded");
+  error.code = "DEADLINE_EXCEEDED";
+  return error;
+}
+
+/**
+ * Get the HTTP status of an axios, OpenAI or wrapped provider error
+ * @param {Error} error - Error to inspect
+ * @returns {number|undefined} HTTP status
+ */
+function getErrorStatus(error) {
+  return error?.status || error?.response?.status;
+}
+
+/**
+ * Check whether a failed call is worth retrying: rate limits (429),
+ * server errors (5xx) and transient network errors
+ * @param {Error} error - Error to inspect
+ * @returns {boolean} True if the call can be retried
+ */
+function isRetryableError(error) {
+  if (!error || error.code === "DEADLINE_EXCEEDED") {
+    return false;
+  }
+
+  const status = getErrorStatus(error);
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Read the Retry-After header of an error, in seconds or as an HTTP date
+ * @param {Error} error - Error to inspect
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if not given
+ */
+function getRetryAfterMs(error, now = Date.now()) {
+  const value = error?.retryAfter ??
+    error?.headers?.["retry-after"] ??
+    error?.response?.headers?.["retry-after"];
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Compute an exponential backoff delay with full jitter
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {Object} options - { baseDelayMs, maxDelayMs, random }
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelayMs(attempt, options = {}) {
+  const {
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+    random = Math.random,
+  } = options;
+
+  return Math.floor(random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt)));
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Settle a promise, or reject with a deadline error when the deadline passes first
+ * @param {Promise} promise - Promise to wait for
+ * @param {Object} deadline - Deadline from createDeadline, optional
+ * @returns {Promise<*>} The promise's result
+ */
+function raceDeadline(promise, deadline) {
+  if (!deadline || deadline.expiresAt === Infinity) {
+    return promise;
+  }
+
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createDeadlineError()), deadline.remainingMs());
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call an operation, retrying retryable failures with backoff
+ *
+ * Waits for Retry-After when the error carries one, otherwise for an
+ * exponential backoff with jitter. Gives up when retries run out, the error
+ * isn't retryable or the wait would pass the deadline.
+ * @param {Function} operation - Async function (attempt) => result
+ * @param {Object} options - Optional settings
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Backoff for the first retry
+ * @param {number} options.maxDelayMs - Longest backoff or Retry-After to wait
+ * @param {Object} options.deadline - Deadline from createDeadline
+ * @param {Function} options.sleep - Async delay function (for tests)
+ * @param {Function} options.random - Random number source (for tests)
+ * @returns {Promise<*>} The operation's result
+ */
+async function withRetry(operation, options = {}) {
+  const {
+    retries = DEFAULT_MAX_RETRIES,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+    deadline,
+    sleep: wait = sleep,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    if (deadline?.isExpired()) {
+      throw createDeadlineError();
+    }
+
+    try {
+      return await raceDeadline(operation(attempt), deadline);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delay = retryAfterMs !== null ? retryAfterMs : getBackoffDelayMs(attempt, options);
+      if (delay > maxDelayMs || (deadline && delay >= deadline.remainingMs())) {
+        throw error;
+      }
+
+      console.warn(`Retrying after ${delay}ms (status: ${getErrorStatus(error) || error.code})`);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Create an outbound client: a concurrency limiter plus retry defaults
+ * @param {Object} options - Limiter and retry settings
+ * @param {number} options.concurrency - Maximum calls in flight
+ * @returns {Object} Client with call(operation, callOptions)
+ */
+function createOutboundClient(options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, ...retryOptions } = options;
+  const limiter = createConcurrencyLimiter(concurrency);
+
+  return {
+    /**
+     * Run an operation within the concurrency limit, with retries
+     *
+     * Each attempt takes its own slot, so a call waiting to retry doesn't
+     * hold up other calls on the instance. An attempt whose deadline passed
+     * while it was queued is dropped instead of started.
+     * @param {Function} operation - Async function (attempt) => result
+     * @param {Object} callOptions - Per-call retry settings, e.g. { deadline }
+     * @returns {Promise<*>} The operation's result
+     */
+    call(operation, callOptions = {}) {
+      const settings = { ...retryOptions, ...callOptions };
+      return withRetry(
+          (attempt) => limiter.run(() => {
+            if (settings.deadline?.isExpired()) {
+              throw createDeadlineError();
+            }
+            return operation(attempt);
+          }),
+          settings,
+      );
+    },
+  };
+}
+
+module.exports = {
+  createConcurrencyLimiter,
+  createDeadline,
+  createDeadlineError,
+  isRetryableError,
+  getRetryAfterMs,
+  getBackoffDelayMs,
+  withRetry,
+  createOutboundClient,
+};
@@ -0,0 +1,145 @@
+/**
+ * Pagination Utility
+ * Resolves page/pageSize or an opaque cursor from the request and builds the
+ * cursor for the next page
+ */
+
+const crypto = require("crypto");
+const { getUrlKey } = require("./dedupe");
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_PAGE_SIZE = parseInt(process.env.NEWS_MAX_RESULTS_PER_QUERY, 10) || 3;
+const MAX_PAGE_SIZE = 25;
+const MAX_PAGE = 50;
+
+// Number of already-served article hashes carried in a cursor, so the
+// cursor stays small while recent pages are still deduplicated
+const MAX_SEEN_HASHES = 200;
+
+/**
+ * Hash an article URL into a short, stable ID for the cursor
+ *
+ * The URL is canonicalized first, so tracking and AMP variants of an article
+ * already served are recognized on later pages.
+ * @param {string} url - Article URL
+ * @returns {string} 12 character hex hash
+ */
+function hashUrl(url) {
+  return crypto.createHash("sha1").update(getUrlKey(url || "")).digest("hex").slice(0, 12);
+}
+
+/**
+ * Encode pagination state into an opaque cursor
+ * @param {Object} state - { page, pageSize, seen }
+ * @returns {string} URL-safe base64 cursor
+ */
+function encodeCursor(state) {
+  const payload = JSON.stringify({
+    p: state.page,
+    s: state.pageSize,
+    seen: state.seen || [],
+  });
+  return Buffer.from(payload).toString("base64url");
+}
+
+/**
+ * Decode an opaque cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object|null} { page, pageSize, seen }, or null if the cursor is invalid
+ */
+function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== "string") {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    const state = {
+      page: payload.p,
+      pageSize: payload.s,
+      seen: payload.seen,
+    };
+    if (
+      !isValidPage(state.page) ||
+      !isValidPageSize(state.pageSize) ||
+      !Array.isArray(state.seen) ||
+      !state.seen.every((hash) => typeof hash === "string")
+    ) {
+      return null;
+    }
+    return state;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a value is a valid page number
+ * @param {*} page - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidPage(page) {
+  return Number.isInteger(page) && page >= 1 && page <= MAX_PAGE;
+}
+
+/**
+ * Check whether a value is a valid page size
+ * @param {*} pageSize - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidPageSize(pageSize) {
+  return Number.isInteger(pageSize) && pageSize >= 1 && pageSize <= MAX_PAGE_SIZE;
+}
+
+/**
+ * Resolve pagination state from the request
+ *
+ * A cursor takes precedence over page/pageSize. Callers should validate the
+ * request first; invalid values fall back to the first page.
+ * @param {Object} data - Request data
+ * @returns {Object} { page, pageSize, seen }
+ */
+function resolvePagination(data) {
+  const fromCursor = data && data.cursor ? decodeCursor(data.cursor) : null;
+  if (fromCursor) {
+    return fromCursor;
+  }
+
+  return {
+    page: isValidPage(data?.page) ? data.page : 1,
+    pageSize: isValidPageSize(data?.pageSize) ? data.pageSize : DEFAULT_PAGE_SIZE,
+    seen: [],
+  };
+}
+
+/**
+ * Build the cursor for the page after the one just served
+ * @param {Object} pagination - Current { page, pageSize, seen }
+ * @param {Object[]} articles - Articles served on the current page
+ * @returns {string|null} Cursor, or null when there is nothing more to load
+ */
+function buildNextCursor(pagination, articles) {
+  if (!articles || articles.length === 0 || pagination.page >= MAX_PAGE) {
+    return null;
+  }
+
+  const seen = [...pagination.seen, ...articles.map((article) => hashUrl(article.url))];
+
+  return encodeCursor({
+    page: pagination.page + 1,
+    pageSize: pagination.pageSize,
+    seen: seen.slice(-MAX_SEEN_HASHES),
+  });
+}
+
+module.exports = {
+  MAX_PAGE,
+  MAX_PAGE_SIZE,
+  hashUrl,
+  encodeCursor,
+  decodeCursor,
+  isValidPage,
+  isValidPageSize,
+  resolvePagination,
+  buildNextCursor,
+};
@@ -0,0 +1,118 @@
+/**
+ * Profile Store Utility
+ * Saves users' news preference profiles in Firestore, keyed by auth UID
+ */
+
+const PROFILE_COLLECTION = process.env.NEWS_PROFILE_COLLECTION || "newsProfiles";
+
+// Request fields that can be stored in a profile
+const PROFILE_FIELDS = [
+  "location",
+  "businessInterests",
+  "community",
+  "excludeKeywords",
+  "provider",
+  "languages",
+  "country",
+  "summaryLanguage",
+  "maxAgeHours",
+  "enrich",
+  "digest",
+  "feedEnabled",
+];
+
+/**
+ * Keep only the profile fields of a request, dropping undefined values
+ * @param {Object} data - Request data
+ * @returns {Object} Profile fields
+ */
+function pickProfileFields(data) {
+  const profile = {};
+
+  if (!data) {
+    return profile;
+  }
+
+  for (const field of PROFILE_FIELDS) {
+    if (data[field] !== undefined) {
+      profile[field] = data[field];
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Merge request fields over a saved profile
+ * @param {Object|null} profile - Saved profile
+ * @param {Object} data - Request data; its defined fields win
+ * @returns {Object} Merged request data
+ */
+function mergeProfile(profile, data) {
+  const merged = { ...(profile ? pickProfileFields(profile) : {}) };
+
+  for (const [field, value] of Object.entries(data || {})) {
+    if (value !== undefined) {
+      merged[field] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Get the Firestore document for a user's profile
+ * @param {Object} db - Firestore instance
+ * @param {string} uid - Auth UID
+ * @returns {Object} Document reference
+ */
+function profileDoc(db, uid) {
+  return db.collection(PROFILE_COLLECTION).doc(uid);
+}
+
+/**
+ * Read a user's profile
+ * @param {Object} db - Firestore instance
+ * @param {string} uid - Auth UID
+ * @returns {Promise<Object|null>} Profile fields, or null if none is saved
+ */
+async function getProfile(db, uid) {
+  const snapshot = await profileDoc(db, uid).get();
+  return snapshot.exists ? pickProfileFields(snapshot.data()) : null;
+}
+
+/**
+ * Save a user's profile, replacing any existing one
+ * @param {Object} db - Firestore instance
+ * @param {string} uid - Auth UID
+ * @param {Object} data - Profile data
+ * @returns {Promise<Object>} Saved profile fields
+ */
+async function saveProfile(db, uid, data) {
+  const profile = pickProfileFields(data);
+  await profileDoc(db, uid).set({
+    ...profile,
+    updatedAt: new Date(),
+  });
+  return profile;
+}
+
+/**
+ * Delete a user's profile
+ * @param {Object} db - Firestore instance
+ * @param {string} uid - Auth UID
+ * @returns {Promise<void>}
+ */
+async function deleteProfile(db, uid) {
+  await profileDoc(db, uid).delete();
+}
+
+module.exports = {
+  PROFILE_COLLECTION,
+  PROFILE_FIELDS,
+  pickProfileFields,
+  mergeProfile,
+  getProfile,
+  saveProfile,
+  deleteProfile,
+};
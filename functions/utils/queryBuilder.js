@@ -1,14 +1,23 @@
 /**
  * Query Builder Utility
  * Builds search queries for news fetching based on user location and interests
+ *
+ * Queries are structured (see utils/querySyntax.js) and only written in a
+ * provider's syntax when they are sent: place, business and community names
+ * are matched as exact phrases, a city is paired with its state or country
+ * so places with the same name elsewhere don't match, and business interests
+ * are OR-ed into as few queries as fit every provider's length limit.
  */
 
+const { CATEGORIES } = require("./categories");
+const { SHORTEST_QUERY_LIMIT, exact, formatQuery } = require("./querySyntax");
+
 /**
- * Build local news queries based on city, state, and country
+ * Build regional news queries based on city and state
  * @param {Object} location - Location object with city, state, country
- * @returns {string[]} Array of local news queries
+ * @returns {Object[]} Array of structured regional news queries
  */
-function buildLocalQueries(location) {
+function buildRegionalQueries(location) {
   const queries = [];
 
   if (!location) {
@@ -17,72 +26,122 @@ function buildLocalQueries(location) {
 
   const { city, state, country } = location;
 
-  // City-level news
+  // City-level news, narrowed by the state (or country) the city is in
   if (city) {
-    queries.push(`${city} news`);
-    queries.push(`${city} local news`);
+    const region = state || country;
+    queries.push({
+      all: region ? [[exact(city)], [exact(region)]] : [[exact(city)], ["news", "local"]],
+    });
   }
 
   // State-level news
   if (state) {
-    queries.push(`${state} local news`);
-    queries.push(`${state} latest news`);
+    queries.push({ all: [[exact(state)], ["local news", "latest news"]] });
   }
 
-  // Country-level news (national)
-  if (country) {
-    queries.push(`${country} national news`);
-    queries.push(`${country} latest news`);
+  return queries;
+}
+
+/**
+ * Build national news queries based on country
+ * @param {Object} location - Location object with country
+ * @returns {Object[]} Array of structured national news queries
+ */
+function buildNationalQueries(location) {
+  if (!location || !location.country) {
+    return [];
   }
 
-  return queries;
+  return [{ all: [[exact(location.country)], ["national news", "latest news"]] }];
+}
+
+/**
+ * Build local news queries based on city, state, and country
+ * @param {Object} location - Location object with city, state, country
+ * @returns {Object[]} Array of structured local news queries
+ */
+function buildLocalQueries(location) {
+  return [
+    ...buildRegionalQueries(location),
+    ...buildNationalQueries(location),
+  ];
+}
+
+/**
+ * Build the business query for a group of interests
+ * @param {string[]} interests - Business interests, any of which may match
+ * @returns {Object} Structured business news query
+ */
+function buildBusinessQuery(interests) {
+  return { all: [interests.map(exact), ["business", "market", "trends"]] };
 }
 
 /**
  * Build business interest queries
+ *
+ * Interests are OR-ed together to save quota, starting a new query only
+ * when the next interest would make the query too long for a provider.
  * @param {string[]} businessInterests - Array of business interests
- * @returns {string[]} Array of business news queries
+ * @returns {Object[]} Array of structured business news queries
  */
 function buildBusinessQueries(businessInterests) {
-  const queries = [];
-
   if (!businessInterests || !Array.isArray(businessInterests)) {
-    return queries;
+    return [];
   }
 
-  for (const interest of businessInterests) {
-    if (interest && typeof interest === "string") {
-      const trimmedInterest = interest.trim();
-      if (trimmedInterest) {
-        queries.push(`${trimmedInterest} business news`);
-        queries.push(`${trimmedInterest} trends`);
-      }
+  const interests = [...new Set(businessInterests
+      .filter((interest) => interest && typeof interest === "string")
+      .map((interest) => interest.trim())
+      .filter(Boolean))];
+
+  const groups = [];
+  for (const interest of interests) {
+    const last = groups[groups.length - 1];
+    const widened = last && formatQuery(buildBusinessQuery([...last, interest]));
+    if (widened && widened.length <= SHORTEST_QUERY_LIMIT) {
+      last.push(interest);
+    } else {
+      groups.push([interest]);
     }
   }
 
-  return queries;
+  return groups.map(buildBusinessQuery);
 }
 
 /**
  * Build community-related queries
  * @param {string} community - Community interest/cause
- * @returns {string[]} Array of community news queries
+ * @returns {Object[]} Array of structured community news queries
  */
 function buildCommunityQueries(community) {
-  const queries = [];
-
   if (!community || typeof community !== "string") {
-    return queries;
+    return [];
   }
 
   const trimmedCommunity = community.trim();
-  if (trimmedCommunity) {
-    queries.push(`${trimmedCommunity} schemes`);
-    queries.push(`${trimmedCommunity} news`);
-    queries.push(`${trimmedCommunity} initiatives`);
+  if (!trimmedCommunity) {
+    return [];
   }
 
-  return queries;
+  return [{ all: [[exact(trimmedCommunity)], ["schemes", "news", "initiatives"]] }];
+}
+
+/**
+ * Add the user's exclusion keywords to structured queries
+ * @param {Object[]} queries - Structured queries
+ * @param {string[]} excludeKeywords - Keywords results must not mention
+ * @returns {Object[]} Queries with `exclude` set when there are keywords
+ */
+function addExclusions(queries, excludeKeywords) {
+  const exclude = [...new Set((Array.isArray(excludeKeywords) ? excludeKeywords : [])
+      .filter((keyword) => keyword && typeof keyword === "string")
+      .map((keyword) => keyword.trim())
+      .filter(Boolean))];
+
+  if (exclude.length === 0) {
+    return queries;
+  }
+  return queries.map((query) => ({ ...query, exclude: exclude.map(exact) }));
 }
 
 /**
@@ -91,36 +150,70 @@ function buildCommunityQueries(community) {
  * @param {Object} data.location - Location object
  * @param {string[]} data.businessInterests - Business interests array
  * @param {string} data.community - Community interest
- * @returns {string[]} Array of all search queries
+ * @param {string[]} data.excludeKeywords - Keywords results must not mention
+ * @returns {string[]} Array of all search queries, written with boolean
+ *   operators (see formatQuery)
  */
 function buildAllQueries(data) {
-  const allQueries = [];
+  const queriesByCategory = buildQueriesByCategory(data);
+  const allQueries = CATEGORIES
+      .flatMap((category) => queriesByCategory[category])
+      .map(formatQuery);
+
+  // Remove duplicates and empty strings
+  return [...new Set(allQueries.filter((q) => q && q.trim()))];
+}
 
+/**
+ * Build structured queries grouped by news category
+ * @param {Object} data - User input data
+ * @returns {Object} Map of category to array of structured queries
+ */
+function buildQueriesByCategory(data) {
   if (!data) {
-    return allQueries;
+    return { local: [], national: [], business: [], community: [] };
   }
 
-  // Add local/national news queries
-  const localQueries = buildLocalQueries(data.location);
-  allQueries.push(...localQueries);
-
-  // Add business interest queries
-  const businessQueries = buildBusinessQueries(data.businessInterests);
-  allQueries.push(...businessQueries);
-
-  // Add community queries
-  const communityQueries = buildCommunityQueries(data.community);
-  allQueries.push(...communityQueries);
+  const { excludeKeywords } = data;
+  return {
+    local: addExclusions(buildRegionalQueries(data.location), excludeKeywords),
+    national: addExclusions(buildNationalQueries(data.location), excludeKeywords),
+    business: addExclusions(buildBusinessQueries(data.businessInterests), excludeKeywords),
+    community: addExclusions(buildCommunityQueries(data.community), excludeKeywords),
+  };
+}
 
-  // Remove duplicates and empty strings
-  const uniqueQueries = [...new Set(allQueries.filter((q) => q && q.trim()))];
+/**
+ * Build all queries from user input, each tagged with its news category
+ * @param {Object} data - User input data
+ * @returns {Object[]} Array of { query, category, search }, without
+ *   duplicates; `search` is the structured query and `query` its text
+ */
+function buildTaggedQueries(data) {
+  const queriesByCategory = buildQueriesByCategory(data);
+  const seen = new Set();
+  const tagged = [];
+
+  for (const category of CATEGORIES) {
+    for (const search of queriesByCategory[category]) {
+      const query = formatQuery(search);
+      if (query && query.trim() && !seen.has(query)) {
+        seen.add(query);
+        tagged.push({ query, category, search });
+      }
+    }
+  }
 
-  return uniqueQueries;
+  return tagged;
 }
 
 module.exports = {
+  buildRegionalQueries,
+  buildNationalQueries,
   buildLocalQueries,
   buildBusinessQueries,
   buildCommunityQueries,
   buildAllQueries,
+  buildQueriesByCategory,
+  buildTaggedQueries,
 };
@@ -0,0 +1,125 @@
+/**
+ * Query Params Utility
+ * Builds getNews request data from the query string of a GET request to
+ * getNewsHttp
+ */
+
+/**
+ * Get every value of a query parameter; Express gives a string for one
+ * value and an array for a repeated parameter
+ * @param {Object} query - Parsed query string
+ * @param {string} name - Parameter name
+ * @returns {string[]} Trimmed, non-empty values
+ */
+function getAll(query, name) {
+  return [].concat(query?.[name] ?? [])
+      .map((value) => String(value).trim())
+      .filter(Boolean);
+}
+
+/**
+ * Get the first value of a query parameter
+ * @param {Object} query - Parsed query string
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} Value, or undefined when missing or empty
+ */
+function getOne(query, name) {
+  return getAll(query, name)[0];
+}
+
+/**
+ * Get every value of a list parameter, which can be repeated or
+ * comma-separated, e.g. language=hi&language=en or language=hi,en
+ * @param {Object} query - Parsed query string
+ * @param {string} name - Parameter name
+ * @returns {string[]} Trimmed, non-empty values
+ */
+function getList(query, name) {
+  return getAll(query, name)
+      .flatMap((value) => value.split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+}
+
+/**
+ * Convert a whole-number parameter; other values are passed through so
+ * validation reports them
+ * @param {string|undefined} value - Parameter value
+ * @returns {number|string|undefined} Number, or the original value
+ */
+function toInteger(value) {
+  return value !== undefined && /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+/**
+ * Convert a boolean parameter ("true"/"false" or "1"/"0"); other values are
+ * passed through so validation reports them
+ * @param {string|undefined} value - Parameter value
+ * @returns {boolean|string|undefined} Boolean, or the original value
+ */
+function toBoolean(value) {
+  const normalized = value?.toLowerCase();
+  if (normalized === "true" || normalized === "1") {
+    return true;
+  }
+  if (normalized === "false" || normalized === "0") {
+    return false;
+  }
+  return value;
+}
+
+/**
+ * Build request data from GET query parameters
+ *
+ * e.g. ?city=Ramgarh&state=Jharkhand&country=India&interest=Bakery&interest=Gift%20Studio
+ * &exclude=cricket
+ * `country` is the location's country; the ISO country filter is
+ * `countryCode`. Numbers and booleans are converted, and parameters that
+ * are missing are left out, so a saved profile can fill them in. Unknown
+ * parameters are ignored.
+ * @param {Object} query - Parsed query string (req.query)
+ * @returns {Object} Request data
+ */
+function parseQueryRequest(query = {}) {
+  const location = {};
+  for (const field of ["city", "state", "country"]) {
+    const value = getOne(query, field);
+    if (value !== undefined) {
+      location[field] = value;
+    }
+  }
+
+  const interests = getAll(query, "interest");
+  const languages = getList(query, "language");
+  const excludeKeywords = getList(query, "exclude");
+  const fields = {
+    ...(Object.keys(location).length > 0 ? { location } : {}),
+    ...(interests.length > 0 ? { businessInterests: interests } : {}),
+    community: getOne(query, "community"),
+    ...(excludeKeywords.length > 0 ? { excludeKeywords } : {}),
+    provider: getOne(query, "provider"),
+    ...(languages.length > 0 ? { languages } : {}),
+    country: getOne(query, "countryCode"),
+    summaryLanguage: getOne(query, "summaryLanguage"),
+    page: toInteger(getOne(query, "page")),
+    pageSize: toInteger(getOne(query, "pageSize")),
+    cursor: getOne(query, "cursor"),
+    from: getOne(query, "from"),
+    to: getOne(query, "to"),
+    maxAgeHours: toInteger(getOne(query, "maxAgeHours")),
+    enrich: toBoolean(getOne(query, "enrich")),
+    digest: toBoolean(getOne(query, "digest")),
+    stream: toBoolean(getOne(query, "stream")),
+  };
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+  getAll,
+  getOne,
+  getList,
+  toInteger,
+  toBoolean,
+  parseQueryRequest,
+};
@@ -0,0 +1,153 @@
+/**
+ * Query Planner Utility
+ * Splits the query budget fairly across news categories so that business
+ * and community queries are not crowded out by local ones
+ */
+
+const { CATEGORIES } = require("./categories");
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_QUERY_BUDGET = parseInt(process.env.NEWS_QUERY_LIMIT, 10) || 5;
+
+const DEFAULT_CATEGORY_WEIGHTS = {
+  local: 1,
+  national: 1,
+  business: 2,
+  community: 2,
+};
+
+/**
+ * Parse category weights from a "category:weight" list
+ * e.g. "local:1,national:1,business:2,community:2"
+ * @param {string} value - Weight list
+ * @returns {Object} Map of category to weight, missing categories use defaults
+ */
+function parseCategoryWeights(value) {
+  const weights = { ...DEFAULT_CATEGORY_WEIGHTS };
+
+  if (!value || typeof value !== "string") {
+    return weights;
+  }
+
+  for (const pair of value.split(",")) {
+    const [category, rawWeight] = pair.split(":").map((part) => part.trim());
+    const weight = parseFloat(rawWeight);
+    if (CATEGORIES.includes(category) && Number.isFinite(weight) && weight >= 0) {
+      weights[category] = weight;
+    }
+  }
+
+  return weights;
+}
+
+const CONFIGURED_CATEGORY_WEIGHTS = parseCategoryWeights(process.env.NEWS_QUERY_WEIGHTS);
+
+/**
+ * Allocate a query budget across categories
+ *
+ * Slots are handed out one at a time to the category whose allocation is
+ * lowest relative to its weight, so every category with queries gets one
+ * slot before any category gets a second, and the rest follow the weights.
+ * Slots a category can't use go to the others.
+ * @param {Object} counts - Map of category to number of available queries
+ * @param {number} budget - Total number of queries allowed
+ * @param {Object} weights - Map of category to weight
+ * @returns {Object} Map of category to number of allocated queries
+ */
+function allocateBudget(counts, budget, weights = CONFIGURED_CATEGORY_WEIGHTS) {
+  const allocation = {};
+  for (const category of CATEGORIES) {
+    allocation[category] = 0;
+  }
+
+  let remaining = Math.max(0, budget);
+
+  while (remaining > 0) {
+    let next = null;
+
+    for (const category of CATEGORIES) {
+      const weight = weights[category] || 0;
+      if (weight <= 0 || allocation[category] >= (counts[category] || 0)) {
+        continue;
+      }
+
+      const ratio = allocation[category] / weight;
+      if (
+        next === null ||
+        ratio < next.ratio ||
+        (ratio === next.ratio && weight > next.weight)
+      ) {
+        next = { category, ratio, weight };
+      }
+    }
+
+    if (!next) {
+      break;
+    }
+
+    allocation[next.category]++;
+    remaining--;
+  }
+
+  return allocation;
+}
+
+/**
+ * Plan which queries to send within the query budget
+ * @param {Object[]} taggedQueries - Array of { query, category }
+ * @param {number} budget - Maximum number of queries to send
+ * @param {Object} weights - Map of category to weight
+ * @returns {Object} { planned, dropped }, each an array of { query, category }
+ */
+function planQueries(
+    taggedQueries,
+    budget = DEFAULT_QUERY_BUDGET,
+    weights = CONFIGURED_CATEGORY_WEIGHTS,
+) {
+  const planned = [];
+  const dropped = [];
+
+  if (!Array.isArray(taggedQueries)) {
+    return { planned, dropped };
+  }
+
+  // Group by category, removing empty and duplicate queries
+  const seen = new Set();
+  const candidates = {};
+  for (const category of CATEGORIES) {
+    candidates[category] = [];
+  }
+  for (const entry of taggedQueries) {
+    const { query, category } = entry || {};
+    if (candidates[category] && query && query.trim() && !seen.has(query)) {
+      seen.add(query);
+      candidates[category].push(entry);
+    }
+  }
+
+  const counts = {};
+  for (const category of CATEGORIES) {
+    counts[category] = candidates[category].length;
+  }
+
+  const allocation = allocateBudget(counts, budget, weights);
+
+  for (const category of CATEGORIES) {
+    candidates[category].forEach((entry, index) => {
+      if (index < allocation[category]) {
+        planned.push(entry);
+      } else {
+        dropped.push(entry);
+      }
+    });
+  }
+
+  return { planned, dropped };
+}
+
+module.exports = {
+  DEFAULT_CATEGORY_WEIGHTS,
+  parseCategoryWeights,
+  allocateBudget,
+  planQueries,
+};
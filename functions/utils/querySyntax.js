@@ -0,0 +1,179 @@
+/**
+ * Query Syntax Utility
+ * Describes search queries as provider-neutral structures and writes them
+ * in each provider's search syntax, within its query length limit
+ */
+
+// Configurable constants (can be overridden via environment variables)
+const GNEWS_MAX_QUERY_LENGTH = parseInt(process.env.GNEWS_MAX_QUERY_LENGTH, 10) || 200;
+const NEWSAPI_MAX_QUERY_LENGTH = parseInt(process.env.NEWSAPI_MAX_QUERY_LENGTH, 10) || 500;
+
+// What each provider's `q` parameter supports. Both accept "quoted phrases",
+// AND, OR, NOT and parentheses; they differ in how long a query can be.
+const PROVIDER_SYNTAX = {
+  gnews: { operators: true, maxLength: GNEWS_MAX_QUERY_LENGTH },
+  newsapi: { operators: true, maxLength: NEWSAPI_MAX_QUERY_LENGTH },
+};
+
+// Providers without an entry get plain keywords: the first alternative of
+// each group, with no operators or exclusions
+const PLAIN_SYNTAX = { operators: false, maxLength: GNEWS_MAX_QUERY_LENGTH };
+
+// Longest query every provider accepts, so a query written within it never
+// needs shortening
+const SHORTEST_QUERY_LIMIT = Math.min(
+    ...Object.values(PROVIDER_SYNTAX).map((syntax) => syntax.maxLength),
+);
+
+/**
+ * Mark text to be matched as an exact phrase, e.g. a place or business name
+ * @param {string} text - Phrase
+ * @returns {Object} Query term
+ */
+function exact(text) {
+  return { text, exact: true };
+}
+
+/**
+ * Write a single term; exact terms and keywords with spaces are quoted
+ * @param {string|Object} term - Keyword, or a term from exact()
+ * @returns {string} Term in search syntax
+ */
+function formatTerm(term) {
+  const text = (typeof term === "string" ? term : term.text)
+      .replace(/"/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  return typeof term !== "string" || text.includes(" ") ? `"${text}"` : text;
+}
+
+/**
+ * Write a query with the given groups and exclusions
+ * @param {Array<Array<string|Object>>} groups - Groups of alternatives
+ * @param {Array<string|Object>} exclude - Terms that must not appear
+ * @param {boolean} operators - Whether boolean operators are supported
+ * @returns {string} Query text
+ */
+function writeQuery(groups, exclude, operators) {
+  const nonEmpty = groups.filter((group) => group.length > 0);
+
+  if (!operators) {
+    return nonEmpty.map((group) => formatTerm(group[0]).replace(/"/g, "")).join(" ");
+  }
+
+  const parts = nonEmpty.map((group) => (group.length > 1 ?
+    `(${group.map(formatTerm).join(" OR ")})` :
+    formatTerm(group[0])));
+  return [
+    parts.join(" AND "),
+    ...exclude.map((term) => `NOT ${formatTerm(term)}`),
+  ].filter(Boolean).join(" ");
+}
+
+/**
+ * Write a structured query with boolean operators and no length limit, as
+ * used to label it in query plans and failures
+ *
+ * A structured query is { all, exclude }: every group in `all` must match,
+ * through any one of its alternatives, and no term in `exclude` may. Terms
+ * are keywords, or phrases from exact().
+ * @param {Object} search - Structured query
+ * @returns {string} Query text, e.g. "Ramgarh" AND "Jharkhand" NOT cricket
+ */
+function formatQuery(search) {
+  return writeQuery(search.all || [], search.exclude || [], true);
+}
+
+/**
+ * Write a query in a provider's syntax, within its query length limit
+ *
+ * Too long a query is shortened step by step: exclusions go first, from the
+ * last one, then alternatives from the end of the largest group, then whole
+ * groups from the end. A single term that is still too long is cut.
+ * Plain string queries are only cut to the limit.
+ * @param {string|Object} search - Query text, or a structured query (see
+ *   formatQuery)
+ * @param {string} provider - Provider name
+ * @returns {string} Query for the provider's `q` parameter
+ */
+function renderQuery(search, provider) {
+  const { operators, maxLength } = PROVIDER_SYNTAX[provider] || PLAIN_SYNTAX;
+
+  if (typeof search === "string") {
+    return search.slice(0, maxLength);
+  }
+
+  const groups = (search.all || [])
+      .filter((group) => group.length > 0)
+      .map((group) => [...group]);
+  const exclude = operators ? [...(search.exclude || [])] : [];
+  let query = writeQuery(groups, exclude, operators);
+
+  while (query.length > maxLength) {
+    const largest = groups.reduce(
+        (best, group) => (group.length > (best?.length || 1) ? group : best),
+        null,
+    );
+    if (exclude.length > 0) {
+      exclude.pop();
+    } else if (largest) {
+      largest.pop();
+    } else if (groups.length > 1) {
+      groups.pop();
+    } else {
+      const [term] = groups[0];
+      const text = typeof term === "string" ? term : term.text;
+      // Leave room for the quotes
+      groups[0] = [exact(text.slice(0, maxLength - 2).trim())];
+      return writeQuery(groups, exclude, operators);
+    }
+    query = writeQuery(groups, exclude, operators);
+  }
+
+  return query;
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Drop articles whose title or description mentions an excluded keyword
+ *
+ * Providers apply exclusions themselves, but exclusions can be left out to
+ * fit a query length limit and feeds don't apply them at all.
+ * @param {Object[]} articles - Articles to filter
+ * @param {string[]} excludeKeywords - Keywords, matched as whole words in
+ *   any letter case
+ * @returns {Object[]} Articles that mention none of the keywords
+ */
+function filterExcludedArticles(articles, excludeKeywords) {
+  const keywords = (excludeKeywords || [])
+      .filter((keyword) => typeof keyword === "string" && keyword.trim());
+  if (keywords.length === 0) {
+    return articles;
+  }
+
+  const alternatives = keywords.map((keyword) => escapeRegExp(keyword.trim())).join("|");
+  const pattern = new RegExp(
+      `(^|[^\\p{L}\\p{M}\\p{N}])(${alternatives})(?![\\p{L}\\p{M}\\p{N}])`,
+      "iu",
+  );
+  return articles.filter(
+      (article) => !pattern.test(`${article.title || ""}\n${article.description || ""}`),
+  );
+}
+
+module.exports = {
+  PROVIDER_SYNTAX,
+  SHORTEST_QUERY_LIMIT,
+  exact,
+  formatQuery,
+  renderQuery,
+  filterExcludedArticles,
+};
@@ -0,0 +1,196 @@
+/**
+ * Ranker Utility
+ * Scores merged articles on recency, query overlap, relevance to the user's
+ * profile and source diversity, and sorts them by score
+ */
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_RECENCY_HALF_LIFE_HOURS =
+  parseFloat(process.env.NEWS_RANKING_HALF_LIFE_HOURS) || 24;
+
+const RANKING_SIGNALS = ["recency", "queryMatches", "textMatch", "sourceDiversity"];
+
+const DEFAULT_RANKING_WEIGHTS = {
+  recency: 0.35,
+  queryMatches: 0.15,
+  textMatch: 0.35,
+  sourceDiversity: 0.15,
+};
+
+// How much each profile field counts towards the text match signal
+const TEXT_MATCH_FIELD_WEIGHTS = {
+  city: 1,
+  state: 0.5,
+  businessInterests: 1,
+  community: 1,
+};
+
+/**
+ * Parse ranking weights from a "signal:weight" list
+ * e.g. "recency:0.4,queryMatches:0.1,textMatch:0.4,sourceDiversity:0.1"
+ * @param {string} value - Weight list
+ * @returns {Object} Map of signal to weight, missing signals use defaults
+ */
+function parseRankingWeights(value) {
+  const weights = { ...DEFAULT_RANKING_WEIGHTS };
+
+  if (!value || typeof value !== "string") {
+    return weights;
+  }
+
+  for (const pair of value.split(",")) {
+    const [signal, rawWeight] = pair.split(":").map((part) => part.trim());
+    const weight = parseFloat(rawWeight);
+    if (RANKING_SIGNALS.includes(signal) && Number.isFinite(weight) && weight >= 0) {
+      weights[signal] = weight;
+    }
+  }
+
+  return weights;
+}
+
+const CONFIGURED_RANKING_WEIGHTS = parseRankingWeights(process.env.NEWS_RANKING_WEIGHTS);
+
+/**
+ * Score how recent an article is, halving every half-life
+ * @param {string} publishedAt - ISO publication date
+ * @param {number} now - Current time in milliseconds
+ * @param {number} halfLifeHours - Hours after which the score halves
+ * @returns {number} Score between 0 and 1, 0 when the date is unknown
+ */
+function scoreRecency(publishedAt, now = Date.now(), halfLifeHours = DEFAULT_RECENCY_HALF_LIFE_HOURS) {
+  const published = new Date(publishedAt).getTime();
+  if (!publishedAt || Number.isNaN(published)) {
+    return 0;
+  }
+
+  const ageHours = Math.max(0, now - published) / 3600000;
+  return Math.pow(0.5, ageHours / halfLifeHours);
+}
+
+/**
+ * Collect the profile terms an article can match, grouped by field
+ * @param {Object} data - Request data
+ * @returns {Object[]} Array of { weight, terms } with lowercase terms
+ */
+function getProfileTerms(data) {
+  const groups = [];
+  const location = data?.location || {};
+
+  const addGroup = (field, values) => {
+    const terms = values
+        .filter((value) => typeof value === "string" && value.trim())
+        .map((value) => value.trim().toLowerCase());
+    if (terms.length > 0) {
+      groups.push({ weight: TEXT_MATCH_FIELD_WEIGHTS[field], terms });
+    }
+  };
+
+  addGroup("city", [location.city]);
+  addGroup("state", [location.state]);
+  addGroup("businessInterests", Array.isArray(data?.businessInterests) ? data.businessInterests : []);
+  addGroup("community", [data?.community]);
+
+  return groups;
+}
+
+/**
+ * Score how well an article's text matches the user's profile
+ * @param {Object} article - Article with title and description
+ * @param {Object[]} profileTerms - Terms from getProfileTerms
+ * @returns {number} Weighted share of profile fields mentioned, between 0 and 1
+ */
+function scoreTextMatch(article, profileTerms) {
+  if (profileTerms.length === 0) {
+    return 0;
+  }
+
+  const text = `${article.title || ""} ${article.description || ""}`.toLowerCase();
+  let matched = 0;
+  let total = 0;
+
+  for (const { weight, terms } of profileTerms) {
+    total += weight;
+    if (terms.some((term) => text.includes(term))) {
+      matched += weight;
+    }
+  }
+
+  return matched / total;
+}
+
+/**
+ * Rank articles by relevance
+ *
+ * Recency, query overlap and text match give each article a base score.
+ * Articles are then picked greedily, with a source diversity bonus that
+ * shrinks each time the same source has already been picked, so a single
+ * outlet can't take over the top of the feed.
+ * @param {Object[]} articles - Articles from fetchNewsForQueries
+ * @param {Object} data - Request data (location, businessInterests, community)
+ * @param {Object} weights - Map of signal to weight
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object[]} Articles sorted by descending `score` (0-1, 3 decimals)
+ */
+function rankArticles(articles, data, weights = CONFIGURED_RANKING_WEIGHTS, now = Date.now()) {
+  if (!articles || articles.length === 0) {
+    return [];
+  }
+
+  const totalWeight = RANKING_SIGNALS.reduce((sum, signal) => sum + (weights[signal] || 0), 0);
+  if (totalWeight === 0) {
+    return articles.map((article) => ({ ...article, score: 0 }));
+  }
+
+  const profileTerms = getProfileTerms(data);
+  const maxQueryMatches = Math.max(...articles.map((article) => article.queryMatches || 1));
+
+  const candidates = articles.map((article) => {
+    const queryScore = maxQueryMatches > 1 ?
+      ((article.queryMatches || 1) - 1) / (maxQueryMatches - 1) :
+      0;
+    const base =
+      (weights.recency || 0) * scoreRecency(article.publishedAt, now) +
+      (weights.queryMatches || 0) * queryScore +
+      (weights.textMatch || 0) * scoreTextMatch(article, profileTerms);
+    return { article, base };
+  });
+
+  const sourceCounts = new Map();
+  const ranked = [];
+
+  while (candidates.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -1;
+
+    candidates.forEach((candidate, position) => {
+      const source = candidate.article.source || "Unknown";
+      const diversity = 1 / (1 + (sourceCounts.get(source) || 0));
+      const score = candidate.base + (weights.sourceDiversity || 0) * diversity;
+      // Ties keep the original order
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = position;
+      }
+    });
+
+    const [best] = candidates.splice(bestIndex, 1);
+    const source = best.article.source || "Unknown";
+    sourceCounts.set(source, (sourceCounts.get(source) || 0) + 1);
+    ranked.push({
+      ...best.article,
+      score: Math.round((bestScore / totalWeight) * 1000) / 1000,
+    });
+  }
+
+  return ranked;
+}
+
+module.exports = {
+  DEFAULT_RANKING_WEIGHTS,
+  parseRankingWeights,
+  scoreRecency,
+  scoreTextMatch,
+  getProfileTerms,
+  rankArticles,
+};
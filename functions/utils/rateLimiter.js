@@ -0,0 +1,151 @@
+/**
+ * Rate Limiter Utility
+ * Token-bucket rate limiting per caller, with in-memory or Firestore storage
+ */
+
+// Configurable constants (can be overridden via environment variables)
+const DEFAULT_CAPACITY = parseInt(process.env.RATE_LIMIT_CAPACITY, 10) || 30;
+const DEFAULT_REFILL_PER_MINUTE = parseInt(process.env.RATE_LIMIT_REFILL_PER_MINUTE, 10) || 10;
+const DEFAULT_RATE_LIMIT_COLLECTION = process.env.RATE_LIMIT_COLLECTION || "rateLimits";
+const DEFAULT_MAX_BUCKETS = parseInt(process.env.RATE_LIMIT_MAX_BUCKETS, 10) || 10000;
+
+/**
+ * Take tokens from a bucket, refilling it for the time since its last update
+ * @param {Object|null} bucket - Stored { tokens, updatedAt }, or null for a new caller
+ * @param {Object} limits - { capacity, refillPerMinute }
+ * @param {number} cost - Tokens needed for this call
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { bucket, result } with the updated bucket and the decision
+ */
+function takeTokens(bucket, limits, cost, now) {
+  const { capacity, refillPerMinute } = limits;
+  const refillPerMs = refillPerMinute / 60000;
+
+  const previous = bucket || { tokens: capacity, updatedAt: now };
+  const elapsed = Math.max(0, now - previous.updatedAt);
+  const tokens = Math.min(capacity, previous.tokens + elapsed * refillPerMs);
+
+  if (tokens >= cost) {
+    return {
+      bucket: { tokens: tokens - cost, updatedAt: now },
+      result: { allowed: true, remaining: Math.floor(tokens - cost), retryAfterSeconds: 0 },
+    };
+  }
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    result: {
+      allowed: false,
+      remaining: 0,
+      retryAfterSeconds: Math.ceil((cost - tokens) / refillPerMs / 1000),
+    },
+  };
+}
+
+/**
+ * Create an in-memory bucket store (per function instance)
+ *
+ * The bucket of the caller seen longest ago is evicted once maxBuckets is
+ * reached, so the store can't grow without limit.
+ * @param {number} maxBuckets - Maximum number of buckets to keep
+ * @returns {Object} Store with async update(key, updater)
+ */
+function createMemoryBucketStore(maxBuckets = DEFAULT_MAX_BUCKETS) {
+  const buckets = new Map();
+
+  return {
+    async update(key, updater) {
+      const { bucket, result } = updater(buckets.get(key) || null);
+      buckets.delete(key);
+      buckets.set(key, bucket);
+      if (buckets.size > maxBuckets) {
+        buckets.delete(buckets.keys().next().value);
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * Create a Firestore bucket store, shared across function instances
+ * @param {Function} getFirestore - Returns a Firestore instance (called lazily)
+ * @param {string} collectionName - Collection to store buckets in
+ * @returns {Object} Store with async update(key, updater)
+ */
+function createFirestoreBucketStore(getFirestore, collectionName = DEFAULT_RATE_LIMIT_COLLECTION) {
+  return {
+    async update(key, updater) {
+      const firestore = getFirestore();
+      const ref = firestore.collection(collectionName).doc(key.replace(/\//g, "_"));
+
+      return firestore.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        const { bucket, result } = updater(snapshot.exists ? snapshot.data() : null);
+        transaction.set(ref, bucket);
+        return result;
+      });
+    },
+  };
+}
+
+/**
+ * Create a token-bucket rate limiter
+ *
+ * Store errors are logged and the call is allowed, so a storage outage
+ * doesn't take the API down.
+ * @param {Object} options - Limiter settings
+ * @param {number} options.capacity - Maximum burst of calls
+ * @param {number} options.refillPerMinute - Calls regained per minute
+ * @param {Object} options.store - Bucket store (defaults to in-memory)
+ * @returns {Object} Limiter with async consume(key, cost)
+ */
+function createRateLimiter(options = {}) {
+  const limits = {
+    capacity: options.capacity || DEFAULT_CAPACITY,
+    refillPerMinute: options.refillPerMinute || DEFAULT_REFILL_PER_MINUTE,
+  };
+  const store = options.store || createMemoryBucketStore();
+
+  return {
+    limits,
+
+    /**
+     * Take tokens for a caller
+     * @param {string} key - Caller key, e.g. "user:<uid>" or "ip:<hash>"
+     * @param {number} cost - Tokens needed for this call
+     * @returns {Promise<Object>} { allowed, remaining, retryAfterSeconds }
+     */
+    async consume(key, cost = 1) {
+      try {
+        return await store.update(key, (bucket) => takeTokens(bucket, limits, cost, Date.now()));
+      } catch (error) {
+        console.error("Error checking rate limit:", error.message);
+        return { allowed: true, remaining: limits.capacity, retryAfterSeconds: 0 };
+      }
+    },
+  };
+}
+
+/**
+ * Create a rate limiter from configuration
+ * @param {string} type - Store type ('memory', 'firestore' or 'none')
+ * @param {Function} getFirestore - Returns a Firestore instance
+ * @returns {Object|null} Limiter, or null when rate limiting is disabled
+ */
+function createRateLimiterFromConfig(type = "memory", getFirestore) {
+  if (type === "none") {
+    return null;
+  }
+  const store = type === "firestore" && getFirestore ?
+    createFirestoreBucketStore(getFirestore) :
+    createMemoryBucketStore();
+  return createRateLimiter({ store });
+}
+
+module.exports = {
+  takeTokens,
+  createMemoryBucketStore,
+  createFirestoreBucketStore,
+  createRateLimiter,
+  createRateLimiterFromConfig,
+};
@@ -0,0 +1,378 @@
+/**
+ * Request Validator Utility
+ * Validates getNews request data and saved profiles against a schema,
+ * reporting every problem as { field, message }
+ */
+
+const { SUPPORTED_PROVIDERS } = require("./newsFetcher");
+const { PROFILE_FIELDS } = require("./profileStore");
+const {
+  MAX_PAGE,
+  MAX_PAGE_SIZE,
+  decodeCursor,
+  isValidPage,
+  isValidPageSize,
+} = require("./pagination");
+const { MAX_LANGUAGES, isSupportedLanguage } = require("./languages");
+const {
+  MAX_AGE_HOURS,
+  isValidDateInput,
+  isValidMaxAgeHours,
+  parseDateInput,
+} = require("./dateRange");
+const { createApiError } = require("./errors");
+
+// Longest location part, community or other free-text field
+const MAX_TEXT_LENGTH = 100;
+
+// Most business interests per request, and the longest one; every interest
+// becomes a provider query
+const MAX_INTERESTS = 10;
+const MAX_INTEREST_LENGTH = 60;
+
+// Most exclusion keywords per request; each one lengthens every query
+const MAX_EXCLUDE_KEYWORDS = 10;
+
+// Longest cursor accepted; real cursors stay well below this
+const MAX_CURSOR_LENGTH = 8192;
+
+// Letters in any script, digits, spaces and the punctuation found in place
+// and business names
+const TEXT_PATTERN = /^[\p{L}\p{M}\p{N} .,'’&()/+-]+$/u;
+const TEXT_CHARACTERS = "letters, numbers, spaces and . , ' & ( ) / + -";
+
+/**
+ * Rule for a free-text field
+ * @param {string} label - Field name used in messages
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxLength - Longest allowed value
+ * @param {boolean} options.allowEmpty - Accept "" as "not given", as clients
+ *   send for blank form fields
+ * @returns {Object} Schema rule
+ */
+function textRule(label, options = {}) {
+  const { maxLength = MAX_TEXT_LENGTH, allowEmpty = true } = options;
+  return { type: "string", label, maxLength, allowEmpty, pattern: TEXT_PATTERN };
+}
+
+/**
+ * Rule checked by a function
+ * @param {Function} isValid - Returns true for valid values
+ * @param {string} message - Message for invalid values
+ * @returns {Object} Schema rule
+ */
+function checkRule(isValid, message) {
+  return { check: (value) => (isValid(value) ? null : message) };
+}
+
+/**
+ * Rule for a boolean field
+ * @param {string} label - Field name used in messages
+ * @returns {Object} Schema rule
+ */
+function booleanRule(label) {
+  return checkRule((value) => typeof value === "boolean", `${label} must be a boolean.`);
+}
+
+/**
+ * Rule for a from/to date
+ * @param {string} label - Field name used in messages
+ * @returns {Object} Schema rule
+ */
+function dateRule(label) {
+  return checkRule(
+      isValidDateInput,
+      `${label} must be an ISO 8601 date, e.g. "2024-01-15" or "2024-01-15T08:00:00Z".`,
+  );
+}
+
+// Every field a request can have; anything else is reported as unknown
+const REQUEST_SCHEMA = {
+  location: {
+    type: "object",
+    label: "Location",
+    properties: {
+      city: textRule("City"),
+      state: textRule("State"),
+      country: textRule("Country"),
+    },
+  },
+  businessInterests: {
+    type: "array",
+    label: "Business interests",
+    maxItems: MAX_INTERESTS,
+    items: textRule("Business interest", {
+      maxLength: MAX_INTEREST_LENGTH,
+      allowEmpty: false,
+    }),
+  },
+  community: textRule("Community"),
+  excludeKeywords: {
+    type: "array",
+    label: "Exclude keywords",
+    maxItems: MAX_EXCLUDE_KEYWORDS,
+    items: textRule("Exclude keyword", {
+      maxLength: MAX_INTEREST_LENGTH,
+      allowEmpty: false,
+    }),
+  },
+  provider: checkRule(
+      (value) => SUPPORTED_PROVIDERS.includes(value),
+      `Provider must be one of: ${SUPPORTED_PROVIDERS.join(", ")}.`,
+  ),
+  cursor: checkRule(
+      (value) => typeof value === "string" && value.length <= MAX_CURSOR_LENGTH &&
+        Boolean(decodeCursor(value)),
+      "Cursor is invalid. Use the nextCursor from a previous response.",
+  ),
+  page: checkRule(isValidPage, `Page must be an integer between 1 and ${MAX_PAGE}.`),
+  pageSize: checkRule(
+      isValidPageSize,
+      `Page size must be an integer between 1 and ${MAX_PAGE_SIZE}.`,
+  ),
+  languages: checkRule(
+      (value) => Array.isArray(value) &&
+        value.length <= MAX_LANGUAGES &&
+        value.every(isSupportedLanguage),
+      `Languages must be a list of up to ${MAX_LANGUAGES} supported ISO 639-1 codes.`,
+  ),
+  country: checkRule(
+      (value) => typeof value === "string" && /^[a-z]{2}$/.test(value),
+      "Country must be a two-letter lowercase ISO 3166-1 code, e.g. \"in\".",
+  ),
+  summaryLanguage: checkRule(
+      (value) => value === "article" || isSupportedLanguage(value),
+      "Summary language must be \"article\" or a supported ISO 639-1 code.",
+  ),
+  from: dateRule("From"),
+  to: dateRule("To"),
+  maxAgeHours: checkRule(
+      isValidMaxAgeHours,
+      `Max age hours must be an integer between 1 and ${MAX_AGE_HOURS}.`,
+  ),
+  stream: booleanRule("Stream"),
+  enrich: booleanRule("Enrich"),
+  digest: booleanRule("Digest"),
+  feedEnabled: booleanRule("Feed enabled"),
+};
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Check a value against a schema rule, adding any problems to `details`
+ * @param {*} value - Value to check
+ * @param {Object} rule - Schema rule
+ * @param {string} field - Path of the value, e.g. "location.city"
+ * @param {Object[]} details - Problems found so far, as { field, message }
+ */
+function checkValue(value, rule, field, details) {
+  const add = (message) => details.push({ field, message });
+
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) {
+      add(message);
+    }
+    return;
+  }
+
+  if (rule.type === "string") {
+    if (typeof value !== "string") {
+      add(`${rule.label} must be a string.`);
+    } else if (!value.trim()) {
+      if (!rule.allowEmpty) {
+        add(`${rule.label} must not be empty.`);
+      }
+    } else if (value.length > rule.maxLength) {
+      add(`${rule.label} must be at most ${rule.maxLength} characters.`);
+    } else if (!rule.pattern.test(value)) {
+      add(`${rule.label} can only contain ${TEXT_CHARACTERS}.`);
+    }
+    return;
+  }
+
+  if (rule.type === "array") {
+    if (!Array.isArray(value)) {
+      add(`${rule.label} must be a list.`);
+      return;
+    }
+    if (value.length > rule.maxItems) {
+      add(`${rule.label} can have at most ${rule.maxItems} entries.`);
+      return;
+    }
+    value.forEach((item, index) => checkValue(item, rule.items, `${field}[${index}]`, details));
+    return;
+  }
+
+  if (rule.type === "object") {
+    if (!isPlainObject(value)) {
+      add(`${rule.label} must be an object.`);
+      return;
+    }
+    checkProperties(value, rule.properties, field, details);
+  }
+}
+
+/**
+ * Check an object's properties against their rules; properties without a
+ * rule are reported as unknown
+ * @param {Object} value - Object to check
+ * @param {Object} properties - Rules by property name
+ * @param {string} prefix - Path of the object, "" for the request itself
+ * @param {Object[]} details - Problems found so far
+ */
+function checkProperties(value, properties, prefix, details) {
+  for (const [name, propertyValue] of Object.entries(value)) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    if (!Object.prototype.hasOwnProperty.call(properties, name)) {
+      details.push({ field, message: `Unknown field "${field}".` });
+    } else if (propertyValue !== undefined) {
+      checkValue(propertyValue, properties[name], field, details);
+    }
+  }
+}
+
+/**
+ * Check the rules that involve more than one field
+ * @param {Object} data - Request data
+ * @param {Object[]} details - Problems found so far; fields that already
+ *   have a problem are not checked again
+ */
+function checkCombinations(data, details) {
+  const hasProblem = (field) => details.some((detail) => detail.field === field);
+
+  if (data.location === undefined) {
+    details.push({
+      field: "location",
+      message: "Location is required. Please provide city, state, and country.",
+    });
+  } else if (
+    isPlainObject(data.location) &&
+    !data.location.city && !data.location.state && !data.location.country
+  ) {
+    details.push({
+      field: "location",
+      message: "At least one of city, state, or country is required in location.",
+    });
+  }
+
+  if (data.from !== undefined && data.maxAgeHours !== undefined) {
+    details.push({ field: "maxAgeHours", message: "Use either from or maxAgeHours, not both." });
+  }
+
+  if (
+    data.from !== undefined && data.to !== undefined &&
+    !hasProblem("from") && !hasProblem("to") &&
+    parseDateInput(data.from) > parseDateInput(data.to, true)
+  ) {
+    details.push({ field: "from", message: "From must be before to." });
+  }
+}
+
+/**
+ * Validate the incoming request data
+ *
+ * Every problem is reported at once in `details`, as { field, message }
+ * where field is a path such as "location.city" or "businessInterests[2]",
+ * or null for the request as a whole.
+ * @param {Object} data - Request data
+ * @param {Object} options - Optional settings
+ * @param {string[]} options.fields - Fields allowed at the top level,
+ *   defaults to every request field
+ * @returns {Object} { isValid, error, details }; error joins the messages
+ */
+function validateRequest(data, options = {}) {
+  const { fields } = options;
+
+  if (data === undefined || data === null) {
+    return {
+      isValid: false,
+      error: "Request data is required",
+      details: [{ field: null, message: "Request data is required" }],
+    };
+  }
+
+  if (!isPlainObject(data)) {
+    return {
+      isValid: false,
+      error: "Request data must be an object.",
+      details: [{ field: null, message: "Request data must be an object." }],
+    };
+  }
+
+  const schema = fields ?
+    Object.fromEntries(fields.map((field) => [field, REQUEST_SCHEMA[field]])) :
+    REQUEST_SCHEMA;
+
+  const details = [];
+  checkProperties(data, schema, "", details);
+  checkCombinations(data, details);
+
+  if (details.length === 0) {
+    return { isValid: true, details: [] };
+  }
+  return {
+    isValid: false,
+    error: details.map((detail) => detail.message).join(" "),
+    details,
+  };
+}
+
+/**
+ * Validate a profile to save; only profile fields are allowed
+ * @param {Object} data - Profile data
+ * @returns {Object} { isValid, error, details }, see validateRequest
+ */
+function validateProfile(data) {
+  return validateRequest(data, { fields: PROFILE_FIELDS });
+}
+
+/**
+ * Throw the validation problems as an API error
+ * @param {Object} validation - Result of validateRequest
+ * @throws {Error} "invalid-argument" API error with `details`
+ */
+function throwIfInvalid(validation) {
+  if (!validation.isValid) {
+    throw createApiError("invalid-argument", validation.error, { details: validation.details });
+  }
+}
+
+/**
+ * Validate request data, throwing when it is invalid
+ * @param {Object} data - Request data
+ * @throws {Error} "invalid-argument" API error listing every problem in
+ *   `details`
+ */
+function assertValidRequest(data) {
+  throwIfInvalid(validateRequest(data));
+}
+
+/**
+ * Validate a profile, throwing when it is invalid
+ * @param {Object} data - Profile data
+ * @throws {Error} "invalid-argument" API error listing every problem in
+ *   `details`
+ */
+function assertValidProfile(data) {
+  throwIfInvalid(validateProfile(data));
+}
+
+module.exports = {
+  MAX_EXCLUDE_KEYWORDS,
+  MAX_INTERESTS,
+  MAX_INTEREST_LENGTH,
+  MAX_TEXT_LENGTH,
+  REQUEST_SCHEMA,
+  validateRequest,
+  validateProfile,
+  assertValidRequest,
+  assertValidProfile,
+};
@@ -0,0 +1,72 @@
+/**
+ * Server-Sent Events Utility
+ * Streams getNewsHttp results progressively as text/event-stream
+ */
+
+/**
+ * Check whether an HTTP request asks for a streamed response
+ * @param {Object} req - HTTP request
+ * @returns {boolean} True for `stream: true` in the body or an
+ *   Accept header that includes text/event-stream
+ */
+function wantsEventStream(req) {
+  if (req.body?.stream === true) {
+    return true;
+  }
+
+  const accept = req.headers?.accept;
+  return typeof accept === "string" && accept.includes("text/event-stream");
+}
+
+/**
+ * Format a single event in the text/event-stream wire format
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload, sent as JSON on one data line
+ * @returns {string} Event block, terminated by a blank line
+ */
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Start an event stream on an HTTP response
+ *
+ * Sends the headers straight away so the client can start reading. Events
+ * sent after close() are dropped.
+ * @param {Object} res - HTTP response
+ * @returns {Object} Stream with send(event, data) and close()
+ */
+function openEventStream(res) {
+  let closed = false;
+
+  res.status(200);
+  res.set("Content-Type", "text/event-stream; charset=utf-8");
+  res.set("Cache-Control", "no-cache");
+  res.set("Connection", "keep-alive");
+  // Stop nginx-style proxies from buffering the stream
+  res.set("X-Accel-Buffering", "no");
+  if (typeof res.flushHeaders === "function") {
+    res.flushHeaders();
+  }
+
+  return {
+    send(event, data) {
+      if (!closed) {
+        res.write(formatEvent(event, data));
+      }
+    },
+
+    close() {
+      if (!closed) {
+        closed = true;
+        res.end();
+      }
+    },
+  };
+}
+
+module.exports = {
+  wantsEventStream,
+  formatEvent,
+  openEventStream,
+};
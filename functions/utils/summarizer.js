@@ -1,125 +1,309 @@
 /**
  * AI Summarizer Utility
- * Uses OpenAI GPT-4o-mini or GitHub Models for article summarization
+ * Summarizes articles with a chat model: OpenAI by default, or any
+ * OpenAI-compatible API or custom provider (see utils/llm.js)
  */
 
-const { OpenAI } = require("openai");
+const crypto = require("crypto");
+const { getLanguageName } = require("./languages");
+const { CATEGORIES } = require("./categories");
+const { createOutboundClient } = require("./outbound");
+const { createOpenAIClient, createLlmProvider } = require("./llm");
+const { summarizeExtractive } = require("./extractive");
+const {
+  describeReader,
+  parseJsonReply,
+  requestEnrichment,
+} = require("./enrichment");
+
+/**
+ * Parse a sampling temperature setting, allowing 0
+ * @param {string} value - Raw value
+ * @param {number} fallback - Value to use when unset or invalid
+ * @returns {number} Temperature between 0 and 2
+ */
+function parseTemperature(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 && parsed <= 2 ? parsed : fallback;
+}
 
 // Configurable model (can be overridden via environment variable)
-const DEFAULT_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+const DEFAULT_MODEL = process.env.LLM_MODEL || process.env.OPENAI_MODEL || "gpt-4o-mini";
+
+// Summary length, prompt and temperature for this deployment. The prompt
+// can use {minWords} and {maxWords}.
+const DEFAULT_SUMMARY_SETTINGS = {
+  minWords: parseInt(process.env.SUMMARY_MIN_WORDS, 10) || 60,
+  maxWords: parseInt(process.env.SUMMARY_MAX_WORDS, 10) || 80,
+  maxTokens: parseInt(process.env.SUMMARY_MAX_TOKENS, 10) || 150,
+  temperature: parseTemperature(process.env.SUMMARY_TEMPERATURE, 0.3),
+  systemPrompt: process.env.SUMMARY_PROMPT ||
+    "You are a news summarizer. Create concise, informative summaries of news articles in exactly {minWords}-{maxWords} words. Focus on the key facts and maintain a neutral tone.",
+};
+
+// Most articles passed to the model for a briefing
+const MAX_BRIEFING_ARTICLES = parseInt(process.env.BRIEFING_MAX_ARTICLES, 10) || 30;
+
+// Shared by all requests on this instance (see utils/outbound.js)
+const summaryOutbound = createOutboundClient();
 
 /**
- * Initialize OpenAI client
- * @param {string} apiKey - OpenAI API key
- * @returns {OpenAI} OpenAI client instance
+ * Fill the {minWords} and {maxWords} placeholders of a prompt
+ * @param {string} template - Prompt template
+ * @param {Object} settings - Summary settings
+ * @returns {string} Prompt
  */
-function createOpenAIClient(apiKey) {
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY is not configured");
-  }
-
-  return new OpenAI({
-    apiKey: apiKey,
-  });
+function fillPrompt(template, settings) {
+  return template
+      .replace(/\{minWords\}/g, settings.minWords)
+      .replace(/\{maxWords\}/g, settings.maxWords);
 }
 
 /**
- * Summarize a single article using OpenAI
+ * Ask the model for a summary of a single article
  * @param {Object} article - Article object with title and description
- * @param {OpenAI} client - OpenAI client instance
- * @param {string} model - OpenAI model to use
- * @returns {Promise<string>} Summary text (60-80 words)
+ * @param {Object} llm - LLM provider (see utils/llm.js)
+ * @param {string} model - Model to use
+ * @param {string} outputLanguage - ISO 639-1 code of the summary language,
+ *   defaults to the model's choice (usually the article's language)
+ * @param {Object} settings - Summary settings overriding DEFAULT_SUMMARY_SETTINGS
+ * @returns {Promise<string|null>} Summary text, or null if the model returned none
  */
-async function summarizeArticle(article, client, model = DEFAULT_MODEL) {
+async function requestSummary(article, llm, model = DEFAULT_MODEL, outputLanguage, settings = {}) {
   if (!article || (!article.title && !article.description)) {
-    return article?.description || "";
+    return null;
   }
 
-  try {
-    const content = `Title: ${article.title || ""}
+  const { minWords, maxWords, maxTokens, temperature, systemPrompt } = {
+    ...DEFAULT_SUMMARY_SETTINGS,
+    ...settings,
+  };
+
+  const content = `Title: ${article.title || ""}
 Description: ${article.description || ""}`;
 
-    const response = await client.chat.completions.create({
-      model: model,
-      messages: [
-        {
-          role: "system",
-          content: "You are a news summarizer. Create concise, informative summaries of news articles in exactly 60-80 words. Focus on the key facts and maintain a neutral tone.",
-        },
-        {
-          role: "user",
-          content: `Please summarize this news article in 60-80 words:\n\n${content}`,
-        },
-      ],
-      max_tokens: 150,
-      temperature: 0.3,
-    });
+  let system = fillPrompt(systemPrompt, { minWords, maxWords });
+  if (outputLanguage) {
+    system += ` Write the summary in ${getLanguageName(outputLanguage)}.`;
+  }
 
-    if (response.choices && response.choices[0]?.message?.content) {
-      return response.choices[0].message.content.trim();
-    }
+  const reply = await llm.complete({
+    model: model,
+    system: system,
+    user: `Please summarize this news article in ${minWords}-${maxWords} words:\n\n${content}`,
+    maxTokens: maxTokens,
+    temperature: temperature,
+  });
+
+  return reply?.trim() || null;
+}
+
+/**
+ * Build the summary used when the model can't provide one: an extractive
+ * summary (see utils/extractive.js), or the description when the extractive
+ * summary would add nothing to it
+ * @param {Object} article - Article with title, description and optional content
+ * @param {Object} settings - Summary { minWords, maxWords }
+ * @returns {Object} { summary, summaryMethod } with summaryMethod
+ *   "extractive" or "description"
+ */
+function getFallbackSummary(article, settings = DEFAULT_SUMMARY_SETTINGS) {
+  const description = article?.description || "";
+  const extractive = summarizeExtractive(article, settings);
+
+  if (!extractive || extractive === description.replace(/\s+/g, " ").trim()) {
+    return { summary: description, summaryMethod: "description" };
+  }
+  return { summary: extractive, summaryMethod: "extractive" };
+}
+
+/**
+ * Summarize a single article
+ * @param {Object} article - Article object with title and description
+ * @param {Object} llm - LLM provider (see utils/llm.js)
+ * @param {string} model - Model to use
+ * @param {string} outputLanguage - ISO 639-1 code of the summary language
+ * @returns {Promise<string>} Summary text, or the fallback summary if it failed
+ */
+async function summarizeArticle(article, llm, model = DEFAULT_MODEL, outputLanguage) {
+  try {
+    const summary = await requestSummary(article, llm, model, outputLanguage);
 
-    // Fallback to description if summarization fails
-    return article.description || "";
+    // Fallback to an extractive summary or the description if summarization fails
+    return summary || getFallbackSummary(article).summary;
   } catch (error) {
     console.error("Error summarizing article:", error.message);
-    // Return original description as fallback
-    return article.description || "";
+    return getFallbackSummary(article).summary;
   }
 }
 
+/**
+ * Build the result object returned for a summarized article
+ * @param {Object} article - Article object
+ * @param {string} summary - Summary text
+ * @param {Object} details - How the summary was made
+ * @param {string} details.summaryMethod - "llm", "extractive" or "description"
+ * @param {Object|null} details.enrichment - { topic, sentiment, entities,
+ *   relevance } in enrichment mode (null when it failed), undefined otherwise
+ * @returns {Object} Result with summary and the fields shown to clients
+ */
+function toSummarizedResult(article, summary, details = {}) {
+  const { summaryMethod, enrichment } = details;
+  return {
+    title: article.title,
+    url: article.url,
+    summary: summary,
+    summaryMethod: summaryMethod,
+    image: article.image,
+    publishedAt: article.publishedAt,
+    provider: article.provider,
+    category: article.category,
+    otherCategories: article.otherCategories,
+    language: article.language,
+    score: article.score,
+    relatedSources: article.relatedSources,
+    ...(enrichment !== undefined ? { enrichment } : {}),
+  };
+}
+
 /**
  * Summarize multiple articles
  * @param {Object[]} articles - Array of article objects
- * @param {string} apiKey - OpenAI API key
+ * @param {string} apiKey - API key for the LLM provider
  * @param {boolean} enableSummarization - Whether to enable AI summarization
- * @returns {Promise<Object[]>} Articles with summaries added
+ * @param {Object} options - Optional settings
+ * @param {string} options.model - Model to use
+ * @param {Object} options.llm - LLM provider to use instead of creating the
+ *   configured one from apiKey (see utils/llm.js)
+ * @param {Object} options.settings - Summary length, prompt and temperature
+ *   overriding DEFAULT_SUMMARY_SETTINGS
+ * @param {Object} options.cache - Summary cache (see utils/cache.js)
+ * @param {Object} options.cacheStats - Hit/miss counters to update
+ * @param {string} options.summaryLanguage - "article" to summarize each article
+ *   in its own language, or an ISO 639-1 code for a fixed output language
+ * @param {Function} options.onResult - Called with (result, index) as soon as
+ *   each article's summary is ready, e.g. to stream it to the client
+ * @param {Object} options.deadline - Deadline for the whole request; articles
+ *   not summarized in time get the fallback summary (see utils/outbound.js)
+ * @param {Object} options.outbound - Outbound client, defaults to the shared one
+ * @param {Object[]} options.failures - Array to collect articles that fell
+ *   back to an extractive summary or their description in, as { url, error }
+ * @param {boolean} options.enrich - Ask for structured JSON (see
+ *   utils/enrichment.js) and add it to each result as `enrichment`
+ * @param {Object} options.readerContext - Reader { location, community,
+ *   businessInterests } that enrichment relevance is scored for
+ * @returns {Promise<Object[]>} Articles with summaries added; each records
+ *   how it was summarized in `summaryMethod` ("llm", "extractive" or "description")
  */
-async function summarizeArticles(articles, apiKey, enableSummarization = true) {
+async function summarizeArticles(articles, apiKey, enableSummarization = true, options = {}) {
+  const {
+    model = DEFAULT_MODEL,
+    cache,
+    cacheStats,
+    summaryLanguage = "article",
+    onResult,
+    deadline,
+    outbound = summaryOutbound,
+    failures,
+    enrich = false,
+    readerContext,
+  } = options;
+  const settings = { ...DEFAULT_SUMMARY_SETTINGS, ...options.settings };
+
   if (!articles || articles.length === 0) {
     return [];
   }
 
-  // If summarization is disabled or no API key, return articles with description as summary
-  if (!enableSummarization || !apiKey) {
-    return articles.map((article) => ({
-      ...article,
-      summary: article.description || "",
-    }));
+  // Return articles with an extractive summary or their description; the
+  // body text is only used for the summary, so it isn't returned
+  const withFallbacks = () => articles.map((article, index) => {
+    const fields = { ...article };
+    delete fields.content;
+    const result = {
+      ...fields,
+      ...getFallbackSummary(article, settings),
+      ...(enrich ? { enrichment: null } : {}),
+    };
+    onResult?.(result, index);
+    return result;
+  });
+
+  // If summarization is disabled or no API key, use the offline fallback
+  if (!enableSummarization || (!apiKey && !options.llm)) {
+    return withFallbacks();
   }
 
-  let client;
+  let llm;
   try {
-    client = createOpenAIClient(apiKey);
-  } catch {
-    // If client creation fails, return articles with description as summary
-    return articles.map((article) => ({
-      ...article,
-      summary: article.description || "",
-    }));
+    llm = options.llm || createLlmProvider(apiKey);
+  } catch (error) {
+    // If provider creation fails, use the offline fallback
+    articles.forEach((article) => failures?.push({ url: article.url, error: error.message }));
+    return withFallbacks();
   }
 
+  /**
+   * Build the result for a summary or enrichment from the model or cache
+   * @param {Object} article - Article object
+   * @param {string|Object} output - Summary text, or enrichment in enrichment mode
+   * @returns {Object} Result
+   */
+  const toResult = (article, output) => {
+    if (!enrich) {
+      return toSummarizedResult(article, output, { summaryMethod: "llm" });
+    }
+    const { summary, ...enrichment } = output;
+    return toSummarizedResult(article, summary, { summaryMethod: "llm", enrichment });
+  };
+
+  // Enrichment relevance depends on the reader, so it is cached per reader
+  const readerKey = enrich ? `enrich|${describeReader(readerContext)}|` : "";
+
   // Parallelize summarization using Promise.allSettled for better performance
-  const summarizePromises = articles.map(async (article) => {
+  // Summaries are cached per article URL, model and output language, and
+  // only when the model actually produced one
+  const summarizeOne = async (article) => {
+    const outputLanguage = summaryLanguage === "article" ? article.language : summaryLanguage;
+    const cacheKey = `${model}|${readerKey}${outputLanguage || ""}|${article.url}`;
+    const useCache = Boolean(cache && article.url);
+
+    const cached = useCache ? await cache.get(cacheKey, cacheStats) : null;
+    if (cached) {
+      return toResult(article, cached);
+    }
+
+    let failure = "The model returned no summary";
     try {
-      const summary = await summarizeArticle(article, client);
-      return {
-        title: article.title,
-        url: article.url,
-        summary: summary,
-        image: article.image,
-        publishedAt: article.publishedAt,
-      };
-    } catch {
-      // On error, use description as fallback
-      return {
-        title: article.title,
-        url: article.url,
-        summary: article.description || "",
-        image: article.image,
-        publishedAt: article.publishedAt,
-      };
+      const output = await outbound.call(
+          () => enrich ?
+            requestEnrichment(article, llm, model, { outputLanguage, context: readerContext, settings }) :
+            requestSummary(article, llm, model, outputLanguage, settings),
+          { deadline },
+      );
+      if (output) {
+        if (useCache) {
+          await cache.set(cacheKey, output);
+        }
+        return toResult(article, output);
+      }
+    } catch (error) {
+      console.error("Error summarizing article:", error.message);
+      failure = error.message;
     }
+
+    // On error, use an extractive summary or the description as fallback
+    failures?.push({ url: article.url, error: failure });
+    const { summary, summaryMethod } = getFallbackSummary(article, settings);
+    return toSummarizedResult(article, summary, {
+      summaryMethod,
+      enrichment: enrich ? null : undefined,
+    });
+  };
+
+  const summarizePromises = articles.map(async (article, index) => {
+    const result = await summarizeOne(article);
+    onResult?.(result, index);
+    return result;
   });
 
   const results = await Promise.allSettled(summarizePromises);
@@ -130,8 +314,203 @@ async function summarizeArticles(articles, apiKey, enableSummarization = true) {
       .map((result) => result.value);
 }
 
+/**
+ * Pick the briefing language: the fixed summary language, or the most
+ * common article language when summarizing in each article's language
+ * @param {Object[]} results - Results in the briefing
+ * @param {string} summaryLanguage - "article" or an ISO 639-1 code
+ * @returns {string|undefined} ISO 639-1 code
+ */
+function resolveBriefingLanguage(results, summaryLanguage) {
+  if (summaryLanguage && summaryLanguage !== "article") {
+    return summaryLanguage;
+  }
+
+  const counts = new Map();
+  for (const { language } of results) {
+    if (language) {
+      counts.set(language, (counts.get(language) || 0) + 1);
+    }
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+/**
+ * Ask the model for a briefing across articles
+ *
+ * Articles are numbered from 1 in the prompt; the model cites them by number
+ * in each section's `sources`.
+ * @param {Object[]} items - Results with title, summary and category
+ * @param {Object} llm - LLM provider (see utils/llm.js)
+ * @param {string} model - Model to use
+ * @param {string} outputLanguage - ISO 639-1 code of the briefing language, optional
+ * @returns {Promise<string|null>} Raw model reply
+ */
+async function requestDigest(items, llm, model = DEFAULT_MODEL, outputLanguage) {
+  const categories = CATEGORIES.filter((category) => items.some((item) => item.category === category));
+
+  let systemPrompt = "You write a short morning news briefing for a local news app. " +
+    `Write one paragraph of 2-4 sentences for each of these categories: ${categories.join(", ")}. ` +
+    "Combine the articles of each category into one neutral overview of the key facts. " +
+    "Reply with a single JSON object and nothing else, shaped as " +
+    "{ \"sections\": [{ \"category\": \"local\", \"text\": \"...\", \"sources\": [1, 3] }] }, " +
+    "where sources lists the numbers of the articles the paragraph draws on. " +
+    "Don't put citation markers in the text.";
+  if (outputLanguage) {
+    systemPrompt += ` Write the briefing in ${getLanguageName(outputLanguage)}.`;
+  }
+
+  const articleList = items.map((item, index) => `[${index + 1}] (${item.category}) ` +
+    `${item.title || ""}\n${item.summary || ""}`).join("\n\n");
+
+  return llm.complete({
+    model: model,
+    system: systemPrompt,
+    user: `Articles:\n\n${articleList}`,
+    maxTokens: 800,
+    temperature: 0.3,
+    json: true,
+  });
+}
+
+/**
+ * Parse and check the model's briefing reply
+ * @param {string} content - Raw model reply
+ * @param {Object[]} items - Results the articles were numbered from
+ * @returns {Object|null} { sections: [{ category, text, sources }] } with
+ *   sources as indexes into items, or null when the reply is malformed
+ */
+function parseDigest(content, items) {
+  let value;
+  try {
+    value = parseJsonReply(content);
+  } catch {
+    return null;
+  }
+
+  if (!value || !Array.isArray(value.sections)) {
+    return null;
+  }
+
+  const sections = [];
+  for (const section of value.sections) {
+    const valid = section &&
+      CATEGORIES.includes(section.category) &&
+      typeof section.text === "string" &&
+      section.text.trim() &&
+      Array.isArray(section.sources) &&
+      section.sources.every((number) => Number.isInteger(number) && number >= 1 && number <= items.length);
+    if (!valid) {
+      return null;
+    }
+    sections.push({
+      category: section.category,
+      text: section.text.trim(),
+      sources: [...new Set(section.sources)].map((number) => number - 1),
+    });
+  }
+
+  // One paragraph per category, in display order
+  const byCategory = new Map(sections.map((section) => [section.category, section]));
+  return {
+    sections: CATEGORIES.filter((category) => byCategory.has(category))
+        .map((category) => byCategory.get(category)),
+  };
+}
+
+/**
+ * Summarize results into one briefing with a paragraph per category
+ *
+ * Each paragraph cites its source articles by index into `results` and by
+ * URL. The highest-ranked MAX_BRIEFING_ARTICLES results are used.
+ * @param {Object[]} results - Summarized results (see summarizeArticles)
+ * @param {string} apiKey - API key for the LLM provider
+ * @param {Object} options - Optional settings
+ * @param {string} options.model - Model to use
+ * @param {Object} options.llm - LLM provider to use instead of creating the
+ *   configured one from apiKey
+ * @param {Object} options.cache - Summary cache (see utils/cache.js)
+ * @param {Object} options.cacheStats - Hit/miss counters to update
+ * @param {string} options.summaryLanguage - "article" or an ISO 639-1 code
+ * @param {Object} options.deadline - Deadline for the whole request (see utils/outbound.js)
+ * @param {Object} options.outbound - Outbound client, defaults to the shared one
+ * @param {Object[]} options.failures - Array to collect the reason in, as
+ *   { error }, when no briefing could be written
+ * @returns {Promise<Object|null>} Briefing as { sections: [{ category, text,
+ *   sources: [{ index, url, title }] }] }, or null
+ */
+async function summarizeDigest(results, apiKey, options = {}) {
+  const {
+    model = DEFAULT_MODEL,
+    cache,
+    cacheStats,
+    summaryLanguage = "article",
+    deadline,
+    outbound = summaryOutbound,
+    failures,
+  } = options;
+
+  const items = (results || [])
+      .map((result, index) => ({ ...result, index }))
+      .filter((result) => CATEGORIES.includes(result.category))
+      .slice(0, MAX_BRIEFING_ARTICLES);
+  if (items.length === 0) {
+    return null;
+  }
+
+  // Cited articles are attached after parsing, so cached briefings stay small
+  const withSources = (digest) => ({
+    sections: digest.sections.map((section) => ({
+      ...section,
+      sources: section.sources.map((number) => ({
+        index: items[number].index,
+        url: items[number].url,
+        title: items[number].title,
+      })),
+    })),
+  });
+
+  const outputLanguage = resolveBriefingLanguage(items, summaryLanguage);
+  const articleHash = crypto.createHash("sha1")
+      .update(JSON.stringify(items.map((item) => [item.url, item.summary])))
+      .digest("hex");
+  const cacheKey = `${model}|briefing|${outputLanguage || ""}|${articleHash}`;
+
+  const cached = cache ? await cache.get(cacheKey, cacheStats) : null;
+  if (cached) {
+    return withSources(cached);
+  }
+
+  try {
+    const llm = options.llm || createLlmProvider(apiKey);
+    const reply = await outbound.call(
+        () => requestDigest(items, llm, model, outputLanguage),
+        { deadline },
+    );
+    const digest = parseDigest(reply, items);
+    if (!digest) {
+      throw new Error("The model returned an invalid briefing");
+    }
+    if (cache) {
+      await cache.set(cacheKey, digest);
+    }
+    return withSources(digest);
+  } catch (error) {
+    console.error("Error writing briefing:", error.message);
+    failures?.push({ error: error.message });
+    return null;
+  }
+}
+
 module.exports = {
+  DEFAULT_SUMMARY_SETTINGS,
   createOpenAIClient,
+  requestSummary,
   summarizeArticle,
+  getFallbackSummary,
+  toSummarizedResult,
   summarizeArticles,
+  requestDigest,
+  parseDigest,
+  summarizeDigest,
 };